@@ -5,8 +5,6 @@ import * as db from '../src/database.js';
 import logger from '../src/logger.js';
 import { config } from '../src/config.js';
 import { isSimulation, currentMode } from '../src/modes.js';
-import { initializeBinanceClient } from '../src/binanceClient.js';
-import { sleep } from '../src/utils.js';
 
 const KLINE_INTERVAL = '1m'; // Таймфрейм свічок (наприклад, 1 хвилина)
 const MAX_KLINES_PER_REQUEST = 1000; // Максимальна кількість свічок за один запит до Binance API
@@ -65,9 +63,7 @@ async function performStartupChecks() {
   // Перевірка підключення до Binance
   logger.info('Checking Binance connection...');
   try {
-    const client = await initializeBinanceClient();
-    // Використовуємо метод ping() для перевірки з'єднання
-    const response = await client.ping();
+    await binance.ping();
     logger.info('✅ Binance connection check passed');
   } catch (error) {
     logger.error('❌ Binance connection failed:', error);
@@ -104,9 +100,6 @@ async function fetchAllKlines(symbol, interval, startTime, endTime) {
       // klines[klines.length - 1][6] - це closeTime останньої свічки
       currentStartTime = klines[klines.length - 1][6] + 1;
       logger.info(`Fetched ${klines.length} klines for ${symbol}. Next start: ${new Date(currentStartTime).toISOString()}`);
-
-      // Затримка, щоб уникнути обмежень Rate Limit Binance API
-      await sleep(200); // 200мс затримки між запитами
     } catch (error) {
       logger.error(`Error fetching klines for ${symbol} from ${new Date(currentStartTime).toISOString()}: ${error.message}`);
       break; // Припиняємо завантаження для цього символу у випадку помилки
@@ -132,8 +125,8 @@ async function downloadHistoricalData() {
 
     logger.info(`Download period: ${new Date(startDate).toISOString()} to ${new Date(endDate).toISOString()}`);
 
-    const exchangeInfo = await binance.getExchangeInfo();
-    const usdtSymbols = exchangeInfo
+    const { symbols } = await binance.getExchangeInfo();
+    const usdtSymbols = symbols
       .filter(s => s.status === 'TRADING' && s.quoteAsset === 'USDT')
       .map(s => s.symbol);
 
@@ -176,10 +169,10 @@ async function downloadHistoricalData() {
           logger.warn(`⚠️ No ${KLINE_INTERVAL} klines found for ${symbol} in the specified period.`);
         }
 
-        // Додаємо затримку між символами для уникнення rate limit
+        // Темп запитів регулює планувальник лімітів binanceClient
         if (totalSymbolsProcessed % 10 === 0) {
-          logger.info(`Processed ${totalSymbolsProcessed} symbols, taking a break...`);
-          await sleep(2000); // 2 секунди перерви кожні 10 символів
+          const weight = binance.getRequestMetrics().limits.find(l => l.type === 'REQUEST_WEIGHT');
+          logger.info(`Processed ${totalSymbolsProcessed} symbols, request weight ${weight?.used}/${weight?.limit} per ${weight?.interval}`);
         }
 
       } catch (error) {
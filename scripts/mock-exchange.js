@@ -0,0 +1,30 @@
+// scripts/mock-exchange.js
+// Запуск: node scripts/mock-exchange.js [scenarios/listing-pump.json]
+// Бот підключається через BINANCE_BASE_URL=http://localhost:8090 та BINANCE_WS_URL=ws://localhost:8090
+import { loadScenario } from '../src/exchange/scenario.js';
+import { startMockExchange } from '../src/exchange/mockServer.js';
+import logger from '../src/logger.js';
+
+async function main() {
+  const scenarioPath = process.argv[2] || 'scenarios/listing-pump.json';
+  const port = parseInt(process.env.MOCK_EXCHANGE_PORT || '8090');
+
+  const scenario = loadScenario(scenarioPath);
+  const { server, streams } = await startMockExchange(scenario, port);
+
+  for (const spec of scenario.symbols) {
+    logger.info(`  ${spec.symbol}: listed at +${spec.listAt / 1000}s, ${spec.prices.length} price point(s)`);
+  }
+
+  const shutdown = () => {
+    streams.disconnectAll();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  logger.error('❌ Mock exchange failed to start:', error);
+  process.exit(1);
+});
@@ -18,6 +18,12 @@ async function runSimulations() {
     
     // Дуже агресивна
     { ...config, TAKE_PROFIT_PERCENT: 0.50, STOP_LOSS_PERCENT: 0.08, BUY_AMOUNT_USDT: 50 },
+    
+    // Trailing stop: TP далеко, прибуток фіксує стоп, що підтягується за ціною
+    {
+      ...config, TAKE_PROFIT_PERCENT: 1.00, STOP_LOSS_PERCENT: 0.10, BUY_AMOUNT_USDT: 30,
+      TRAILING_STOP_ENABLED: true, TRAILING_ACTIVATION_PERCENT: 0.15, TRAILING_DISTANCE_PERCENT: 0.08, TRAILING_STEP_PERCENT: 0.02
+    },
   ];
   
   const results = [];
@@ -30,9 +36,11 @@ async function runSimulations() {
     results.push(result);
     
     logger.info(`\n📊 Simulation Result:`);
-    logger.info(`TP: ${(params.TAKE_PROFIT_PERCENT * 100)}% | SL: ${(params.STOP_LOSS_PERCENT * 100)}%`);
-    logger.info(`Total Profit: ${result.totalProfit.toFixed(2)}%`);
-    logger.info(`Win Rate: ${result.winRate.toFixed(2)}%`);
+    logger.info(`TP: ${(params.TAKE_PROFIT_PERCENT * 100)}% | SL: ${(params.STOP_LOSS_PERCENT * 100)}%` +
+      (params.TRAILING_STOP_ENABLED ? ` | Trailing: ${params.TRAILING_ACTIVATION_PERCENT * 100}%/${params.TRAILING_DISTANCE_PERCENT * 100}%` : ''));
+    logger.info(`Total Profit: ${result.totalProfit.toFixed(2)}% net | ${result.grossProfit.toFixed(2)}% gross`);
+    logger.info(`Win Rate: ${result.winRate.toFixed(2)}% net | ${result.grossWinRate.toFixed(2)}% gross`);
+    logger.info(`Costs: fees ${result.totalFees.toFixed(2)} USDT | slippage ${result.slippageCost.toFixed(2)} USDT`);
     logger.info(`Total Trades: ${result.totalTrades}`);
     logger.info(`Max Drawdown: ${result.maxDrawdown.toFixed(2)}%`);
   }
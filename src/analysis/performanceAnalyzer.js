@@ -1,16 +1,14 @@
 import * as db from '../database.js';
 import logger from '../logger.js';
+import { getModeNames } from '../modes.js';
 
 export class PerformanceAnalyzer {
   async analyzeAllModes() {
-    const modes = ['simulation', 'testnet', 'production'];
+    const modes = getModeNames();
     const analysis = {};
     
     for (const mode of modes) {
-      const trades = await db.allAsync(
-        'SELECT * FROM trades WHERE mode = ? ORDER BY entryTime',
-        [mode]
-      );
+      const trades = await db.getTradesByMode(mode);
       
       if (trades.length === 0) continue;
       
@@ -84,10 +82,10 @@ const totalLoss = losers.reduce((sum, t) => sum + Math.abs(t.profitLoss), 0);
      highVolumeBetter: false
    };
    
-   // Аналіз по годинах
+   // Аналіз по годинах (UTC, як зберігається entryHourOfDay)
    const hourStats = {};
    trades.forEach(trade => {
-     const hour = new Date(trade.entryTime).getHours();
+     const hour = trade.entryHourOfDay ?? new Date(trade.entryTime).getUTCHours();
      if (!hourStats[hour]) {
        hourStats[hour] = { trades: 0, profit: 0 };
      }
@@ -110,18 +108,19 @@ const totalLoss = losers.reduce((sum, t) => sum + Math.abs(t.profitLoss), 0);
    // Аналіз по категоріях (якщо є дані)
    const categoryStats = {};
    trades.forEach(trade => {
-     if (trade.notes) {
+     let category = trade.category;
+     if (!category && trade.notes) {
        try {
-         const notes = JSON.parse(trade.notes);
-         if (notes.category) {
-           if (!categoryStats[notes.category]) {
-             categoryStats[notes.category] = { trades: 0, profit: 0 };
-           }
-           categoryStats[notes.category].trades++;
-           categoryStats[notes.category].profit += trade.profitLoss || 0;
-         }
+         category = JSON.parse(trade.notes).category;
        } catch (e) {}
      }
+     if (category) {
+       if (!categoryStats[category]) {
+         categoryStats[category] = { trades: 0, profit: 0 };
+       }
+       categoryStats[category].trades++;
+       categoryStats[category].profit += trade.profitLoss || 0;
+     }
    });
    
    if (Object.keys(categoryStats).length > 0) {
@@ -1,6 +1,17 @@
 import { Spot } from '@binance/connector';
-import { isSimulation, currentMode } from './modes.js';
+import { isSimulation, isPaper, currentMode, getExchangeAdapter, usesLocalEngine } from './modes.js';
 import logger from './logger.js';
+import { getLiquiditySettings, analyzeOrderBook } from './liquidity.js';
+import { config } from './config.js';
+import * as db from './database.js';
+import { MatchingEngine } from './exchange/matchingEngine.js';
+import { SimulatedMarket, VirtualClock } from './exchange/simulatedMarket.js';
+import { RequestScheduler, defaultRateLimits, isTransientError } from './requestScheduler.js';
+import { PriceCache } from './priceCache.js';
+import { ExchangeMetadata } from './exchangeMetadata.js';
+import { getMockExchangeInfo } from './exchange/mockExchangeInfo.js';
+
+export { getMockExchangeInfo };
 
 let client = null;
 
@@ -17,69 +28,277 @@ export const initializeBinanceClient = async () => {
   const apiKey = process.env.BINANCE_API_KEY;
   const apiSecret = process.env.BINANCE_API_SECRET;
 
-  if (!apiKey || !apiSecret) {
+  // Paper-режиму достатньо публічних ринкових даних
+  if ((!apiKey || !apiSecret) && !isPaper()) {
     throw new Error('API keys are not set in environment variables');
   }
 
   // Створюємо клієнт з відповідними налаштуваннями
-  client = new Spot(apiKey, apiSecret, {
-    baseURL: mode === 'testnet' ? 'https://testnet.binance.vision' : 'https://api.binance.com'
-  });
+  const baseURL = config.BINANCE_BASE_URL
+    || (mode === 'testnet' ? 'https://testnet.binance.vision' : 'https://api.binance.com');
+  client = new Spot(apiKey, apiSecret, { baseURL, timeout: config.REQUEST_TIMEOUT_MS });
 
-  logger.info(`Binance client initialized in ${mode} mode`);
+  logger.info(`Binance client initialized in ${mode} mode${config.BINANCE_BASE_URL ? ` (${baseURL})` : ''}`);
   return client;
 };
 
-// Mock дані для симуляції
-const mockData = {
-  exchangeInfo: {
-    symbols: [
-      { symbol: 'BTCUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.01'}] },
-      { symbol: 'ETHUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.01'}] },
-      { symbol: 'BNBUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.01'}] },
-      { symbol: 'SOLUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.01'}] },
-      { symbol: 'XRPUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.0001'}] },
-      { symbol: 'PIXELUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.00001'}] },
-      { symbol: 'PORTALUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.0001'}] },
-      { symbol: 'ACEUSDT', status: 'TRADING', quoteAsset: 'USDT', filters: [{filterType: 'PRICE_FILTER', tickSize: '0.001'}] },
-      // Додайте більше символів
-    ]
-  },
-  balance: { USDT: { available: '10000' } },
-  klines: (symbol, interval, startTime, endTime, limit) => {
-    logger.warn(`Mock Klines called for ${symbol}, interval ${interval}. This is a simulation.`);
-    // Повертаємо пустий масив або заглушку для mock-режиму,
-    // бо завантаження реальних Klines не має відбуватися в симуляції через binanceClient
-    // АБО: якщо ви хочете тестувати download-historical у симуляції,
-    // то тут має бути логіка, яка генерує "мокових" Klines.
-    // Наразі для download-historical ми очікуємо реальне підключення до Binance.
-    return []; 
-  }
-};
-
-let exchangeInfoCache = null;
-let cacheTimestamp = 0;
-
-/**
- * Отримує інформацію про всі доступні торгові пари
- * @returns {Promise<Array>} Масив об'єктів з інформацією про торгові пари
- */
-export const getExchangeInfo = async () => {
+// Усі запити до REST API проходять через планувальник лімітів
+const scheduler = new RequestScheduler({
+  rateLimits: defaultRateLimits({
+    weightPerMinute: config.RATE_LIMIT_WEIGHT_PER_MINUTE,
+    ordersPer10s: config.RATE_LIMIT_ORDERS_PER_10S,
+    ordersPerDay: config.RATE_LIMIT_ORDERS_PER_DAY
+  }),
+  safety: config.RATE_LIMIT_SAFETY,
+  maxRetries: config.REQUEST_MAX_RETRIES,
+  backoffMs: config.REQUEST_BACKOFF_MS,
+  backoffMaxMs: config.REQUEST_BACKOFF_MAX_MS
+});
+
+/**
+ * Виконує запит через планувальник лімітів
+ * @param {{weight: number, orders?: number}} cost - Вага запиту та кількість нових ордерів
+ * @param {(client: Spot) => Promise<Object>} call - Виклик методу конектора
+ * @returns {Promise<Object>} Відповідь axios
+ */
+const request = async (cost, call) => {
   const client = await initializeBinanceClient();
-  const response = await client.exchangeInfo();
-  return response.data.symbols;
+  return scheduler.schedule(cost, () => call(client));
 };
 
-export const getBalance = async (asset = 'USDT') => {
+// Вага GET /api/v3/depth залежить від глибини
+const depthWeight = (limit) => {
+  if (limit <= 100) return 5;
+  if (limit <= 500) return 25;
+  if (limit <= 1000) return 50;
+  return 250;
+};
+
+/**
+ * Поточне використання лімітів запитів (вага, ордери) та статистика повторів
+ * @returns {Object}
+ */
+export const getRequestMetrics = () => scheduler.getMetrics();
+
+/**
+ * Перевіряє з'єднання з API
+ * @returns {Promise<Object>}
+ */
+export const ping = async () => {
+  const response = await request({ weight: 1 }, client => client.ping());
+  return response.data;
+};
+
+let localEngine = null;
+
+/**
+ * Рушій зведення ордерів режимів, у яких ордери не йдуть на біржу:
+ *   paper     - ціни та книга ордерів з mainnet, баланси та ордери зберігаються в БД режиму
+ *   simulated - ціни та екстремуми зі свічок за віртуальним годинником, стан живе до перезапуску
+ *               (кожен запуск симуляції починається з SIMULATION_INITIAL_BALANCE).
+ *               Час ордерів системний, як і решта часу бота; у свічки він переводиться годинником
+ * @returns {Promise<MatchingEngine>}
+ */
+const getLocalEngine = async () => {
+  if (localEngine) {
+    return localEngine;
+  }
+
+  const engine = getExchangeAdapter() === 'simulated'
+    ? new MatchingEngine({
+      marketData: {
+        getPrice: (symbol) => simulatedMarket.getPrice(symbol),
+        getOrderBook: (symbol) => simulatedMarket.getOrderBook(symbol, 1000),
+        getPriceRange: (symbol, since) => simulatedMarket.getPriceRange(symbol, simulationClock.toVirtual(since))
+      },
+      getRules: getSymbolRules,
+      feeRate: config.BINANCE_FEE,
+      initialBalances: { USDT: config.SIMULATION_INITIAL_BALANCE }
+    })
+    : new MatchingEngine({
+      marketData: { getPrice, getOrderBook: (symbol) => getOrderBook(symbol, 1000) },
+      getRules: getSymbolRules,
+      feeRate: config.BINANCE_FEE,
+      initialBalances: { USDT: config.PAPER_INITIAL_BALANCE },
+      store: {
+        loadState: db.loadPaperState,
+        saveBalances: db.savePaperBalances,
+        saveOrder: db.savePaperOrder,
+        saveOrderList: db.savePaperOrderList
+      }
+    });
+  await engine.load();
+  localEngine = engine;
+  return localEngine;
+};
+
+/**
+ * Віртуальний годинник симуляції: стартує з SIMULATION_START_DATE і біжить у SIMULATION_SPEED разів
+ * швидше за реальний; null в інших режимах
+ */
+export const simulationClock = isSimulation()
+  ? new VirtualClock({ startTime: Date.parse(config.SIMULATION_START_DATE) || Date.now(), speed: config.SIMULATION_SPEED })
+  : null;
+
+// Ринок симуляції: ціни та список пар зі свічок таблиці klines; фільтри відомих пар з mock exchangeInfo
+const simulatedMarket = isSimulation()
+  ? new SimulatedMarket({
+    loadKlines: db.getKlines,
+    loadSymbols: db.getKlineSymbols,
+    clock: simulationClock,
+    knownSymbols: getMockExchangeInfo().symbols
+  })
+  : null;
+
+const fetchExchangeInfo = async () => {
   if (isSimulation()) {
-    return parseFloat(mockData.balance[asset]?.available || 0);
+    return simulatedMarket.exchangeInfo();
+  }
+
+  const response = await request({ weight: 20 }, client => client.exchangeInfo());
+  // Ліміти біржі можуть відрізнятися від значень за замовчуванням
+  if (response.data.rateLimits?.length) {
+    scheduler.setRateLimits(response.data.rateLimits);
+  }
+  return response.data;
+};
+
+// Метадані біржі: exchangeInfo з кешем на EXCHANGE_INFO_TTL_MS і знімком у БД режиму
+export const exchangeMetadata = new ExchangeMetadata({
+  fetchExchangeInfo,
+  store: isSimulation() ? null : { load: db.loadExchangeInfoSnapshot, save: db.saveExchangeInfoSnapshot },
+  ttlMs: config.EXCHANGE_INFO_TTL_MS,
+  // У симуляції кеш старіє за віртуальним часом, інакше нові пари з'являлися б із запізненням
+  now: isSimulation() ? () => simulationClock.now() : Date.now
+});
+
+/**
+ * Отримує інформацію про всі торгові пари (з кешу, якщо він не старший за maxAgeMs)
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Максимальний вік даних (за замовчуванням EXCHANGE_INFO_TTL_MS)
+ * @returns {Promise<{symbols: Array<Object>, rateLimits: Array<Object>, serverTime: number|null, fetchedAt: number, stale: boolean}>}
+ *   stale - біржа недоступна, дані зі збереженого знімка
+ */
+export const getExchangeInfo = async (options) => exchangeMetadata.get(options);
+
+/**
+ * Повертає дані торгової пари з exchangeInfo
+ * @param {string} symbol - Торгова пара
+ * @returns {Promise<{symbol: string, status: string, baseAsset: string, quoteAsset: string, permissions: string[], filters: Object<string, Object>, info: Object}|null>}
+ */
+export const getSymbolInfo = async (symbol) => exchangeMetadata.getSymbol(symbol);
+
+/**
+ * Повертає правила торгової пари (крок обсягу, tickSize, мінімальна вартість)
+ * @param {string} symbol - Торгова пара
+ * @returns {Promise<Object>} Результат parseSymbolRules
+ */
+export const getSymbolRules = async (symbol) => {
+  const rules = await exchangeMetadata.getRules(symbol);
+  if (!rules) {
+    throw new Error(`Symbol ${symbol} not found in exchangeInfo`);
+  }
+  return rules;
+};
+
+export const getBalance = async (asset = 'USDT') => {
+  const balances = await getAccountBalances();
+  return balances[asset]?.free || 0;
+};
+
+/**
+ * Повертає ненульові баланси акаунта
+ * @returns {Promise<Object<string, {free: number, locked: number}>>} Баланси за активом
+ */
+export const getAccountBalances = async () => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).account();
   }
   
-  const client = await initializeBinanceClient();
-  const balances = await client.balance();
-  return parseFloat(balances[asset]?.available || 0);
+  if (streamBalances) {
+    return Object.fromEntries(Object.entries(streamBalances).map(([asset, b]) => [asset, { ...b }]));
+  }
+  
+  const { balances } = await fetchAccountBalances();
+  return balances;
+};
+
+const fetchAccountBalances = async () => {
+  const response = await request({ weight: 20 }, client => client.account({ omitZeroBalances: true }));
+  return {
+    balances: Object.fromEntries(response.data.balances
+      .map(b => [b.asset, { free: parseFloat(b.free), locked: parseFloat(b.locked) }])),
+    updateTime: response.data.updateTime ?? 0
+  };
+};
+
+// Баланси, які підтримує user data stream; null - потік не підключено і баланси читаються з REST
+let streamBalances = null;
+let streamBalancesTime = 0;
+
+/**
+ * Бере знімок балансів з REST, далі його оновлюють події outboundAccountPosition
+ */
+export const refreshStreamBalances = async () => {
+  const { balances, updateTime } = await fetchAccountBalances();
+  streamBalances = balances;
+  streamBalancesTime = updateTime;
+};
+
+/**
+ * Вимикає баланси потоку (після розриву з'єднання вони можуть бути застарілими)
+ */
+export const clearStreamBalances = () => {
+  streamBalances = null;
+};
+
+/**
+ * Застосовує подію outboundAccountPosition до балансів потоку
+ * @param {Object} event - Подія (u - час оновлення, B - [{a, f, l}] змінені активи)
+ */
+export const applyAccountPosition = (event) => {
+  // Події, старші за знімок REST, у ньому вже враховані
+  if (!streamBalances || event.u <= streamBalancesTime) return;
+  for (const { a: asset, f, l } of event.B) {
+    const free = parseFloat(f);
+    const locked = parseFloat(l);
+    if (free > 0 || locked > 0) streamBalances[asset] = { free, locked };
+    else delete streamBalances[asset];
+  }
+};
+
+/**
+ * Створює listenKey для user data stream
+ * @returns {Promise<string>}
+ */
+export const createListenKey = async () => {
+  const response = await request({ weight: 2 }, client => client.createListenKey());
+  return response.data.listenKey;
+};
+
+/**
+ * Продовжує життя listenKey ще на 60 хвилин
+ * @param {string} listenKey
+ */
+export const keepAliveListenKey = async (listenKey) => {
+  await request({ weight: 2 }, client => client.renewListenKey(listenKey));
+};
+
+/**
+ * Закриває listenKey
+ * @param {string} listenKey
+ */
+export const closeListenKey = async (listenKey) => {
+  await request({ weight: 2 }, client => client.closeListenKey(listenKey));
 };
 
+/**
+ * Адреса WebSocket для потоків поточного режиму
+ * @returns {string}
+ */
+export const getStreamUrl = () => config.BINANCE_WS_URL
+  || (currentMode() === 'testnet' ? 'wss://stream.testnet.binance.vision' : 'wss://stream.binance.com:9443');
+
 /**
  * Отримує історичні дані (свічки) для вказаної торгової пари
  * @param {string} symbol - Торгова пара (наприклад, 'BTCUSDT')
@@ -90,61 +309,454 @@ export const getBalance = async (asset = 'USDT') => {
  * @returns {Promise<Array>} Масив свічок
  */
 export const getKlines = async (symbol, interval, startTime, endTime, limit = 1000) => {
-  const client = await initializeBinanceClient();
-  const response = await client.klines(symbol, interval, {
+  if (isSimulation()) {
+    return simulatedMarket.getKlines(symbol, interval, startTime, endTime, limit);
+  }
+
+  const response = await request({ weight: 2 }, client => client.klines(symbol, interval, {
     startTime,
     endTime,
     limit
-  });
+  }));
   return response.data;
 };
 
 // Binance API helper methods
-export const checkLiquidity = async (symbol) => {
-  const client = await initializeBinanceClient();
-  return client.checkLiquidity(symbol);
+// Ціни з market data stream: поки вони свіжі, getPrice не ходить у REST
+const priceCache = new PriceCache();
+
+/**
+ * Оновлює кеш цін подіями mini-ticker
+ * @param {Array<Object>} tickers - Події 24hrMiniTicker (s - пара, c - остання ціна, h/l - екстремуми за 24 год)
+ */
+export const applyMiniTickers = (tickers) => {
+  const now = Date.now();
+  for (const { s, c, h, l } of tickers) {
+    priceCache.update(s, { price: parseFloat(c), high24h: parseFloat(h), low24h: parseFloat(l) }, now);
+  }
+};
+
+/**
+ * Встановлює пари, для яких кеш веде історію тіків (активні угоди)
+ * @param {Array<string>} symbols - Торгові пари
+ */
+export const watchPrices = (symbols) => priceCache.watch(symbols);
+
+/**
+ * Максимум і мінімум ціни пари під наглядом за даними потоку
+ * @param {string} symbol - Торгова пара
+ * @param {number} since - Початок періоду (мс)
+ * @returns {{high: number, low: number}|null}
+ */
+export const getPriceRange = (symbol, since) => priceCache.getRange(symbol, since);
+
+/**
+ * Оцінює ліквідність пари за знімком книги ордерів
+ * @param {string} symbol - Торгова пара
+ * @param {Object} [settings] - Результат getLiquiditySettings (за замовчуванням з config)
+ * @returns {Promise<Object|null>} Результат analyzeOrderBook; null при порожній книзі
+ */
+export const checkLiquidity = async (symbol, settings = getLiquiditySettings(config)) => {
+  const book = await getOrderBook(symbol);
+  return book ? analyzeOrderBook(book, settings) : null;
 };
 
 export const getPrice = async (symbol) => {
-  const client = await initializeBinanceClient();
-  const data = await client.getPrice(symbol);
-  return parseFloat(data.price ?? data?.data?.price);
+  if (isSimulation()) {
+    return simulatedMarket.getPrice(symbol);
+  }
+
+  const cached = priceCache.get(symbol, config.PRICE_CACHE_MAX_AGE_MS);
+  if (cached) {
+    return cached.price;
+  }
+  
+  const response = await request({ weight: 2 }, client => client.tickerPrice(symbol));
+  return parseFloat(response.data.price);
 };
 
-export const marketBuy = async (symbol, quantity) => {
-  const client = await initializeBinanceClient();
-  return client.marketBuy(symbol, quantity);
+/**
+ * Отримує 24-годинну статистику торгової пари
+ * @param {string} symbol - Торгова пара
+ * @returns {Promise<{volume24h: number, priceChange24h: number}|null>} Об'єм у quote-валюті та зміна ціни у %; у симуляції - за свічками
+ */
+export const get24hrTicker = async (symbol) => {
+  if (isSimulation()) {
+    return simulatedMarket.get24hrTicker(symbol);
+  }
+
+  const response = await request({ weight: 2 }, client => client.ticker24hr(symbol));
+  return {
+    volume24h: parseFloat(response.data.quoteVolume),
+    priceChange24h: parseFloat(response.data.priceChangePercent)
+  };
 };
 
-export const placeLimitSell = async (symbol, quantity, price) => {
-  const client = await initializeBinanceClient();
-  return client.placeLimitSell(symbol, quantity, price);
+/**
+ * Повертає знімок книги ордерів
+ * @param {string} symbol - Торгова пара
+ * @param {number} [limit=100] - Кількість рівнів з кожного боку
+ * @returns {Promise<{bids: Array<[number, number]>, asks: Array<[number, number]>}|null>} Ціна та обсяг рівнів; у симуляції - синтетична книга за свічками
+ */
+export const getOrderBook = async (symbol, limit = 100) => {
+  if (isSimulation()) {
+    return simulatedMarket.getOrderBook(symbol, limit);
+  }
+
+  const response = await request({ weight: depthWeight(limit) }, client => client.depth(symbol, { limit }));
+  const toLevels = (levels) => levels.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]);
+  return {
+    bids: toLevels(response.data.bids),
+    asks: toLevels(response.data.asks)
+  };
 };
 
-export const placeStopLoss = async (symbol, quantity, stopPrice, limitPrice) => {
-  const client = await initializeBinanceClient();
-  return client.placeStopLoss(symbol, quantity, stopPrice, limitPrice);
+// Префікс clientOrderId ордерів бота (Binance приймає до 36 символів [a-zA-Z0-9-_.])
+const CLIENT_ORDER_ID_PREFIX = 'lb';
+
+// Допустима розбіжність годинників: ордер, знайдений за clientOrderId, має бути створений цією спробою
+const CLIENT_ORDER_LOOKUP_SKEW_MS = 60000;
+
+/**
+ * Детермінований clientOrderId ордера угоди: повторна відправка того ж ордера має той самий ID
+ * @param {number} tradeId - ID угоди
+ * @param {string} leg - Нога угоди (BUY, OCO, TP1, SL, EXIT, ...)
+ * @returns {string}
+ */
+export const clientOrderIdFor = (tradeId, leg) => `${CLIENT_ORDER_ID_PREFIX}${tradeId}-${leg}`;
+
+/**
+ * Чи розміщений ордер ботом (clientOrderId з clientOrderIdFor)
+ * @param {string} clientOrderId - clientOrderId ордера з біржі
+ * @returns {boolean}
+ */
+export const isBotClientOrderId = (clientOrderId) => new RegExp(`^${CLIENT_ORDER_ID_PREFIX}\\d+-`).test(clientOrderId ?? '');
+
+// Код помилки Binance з відповіді REST або з помилки рушія paper-режиму
+const errorCode = (error) => error.response?.data?.code ?? error.code;
+
+/**
+ * Розміщує ордер з відновленням після невизначеного результату (таймаут, обрив з'єднання, 5xx).
+ * Такий ордер міг бути прийнятий біржею, тому спершу шукаємо його за clientOrderId
+ * і відправляємо повторно, лише якщо біржа його не отримала.
+ * Якщо стан так і не вдалося з'ясувати, помилка отримує прапорець orderStatusUnknown.
+ * @param {string} clientOrderId - clientOrderId ордера (без нього відновлення неможливе)
+ * @param {() => Promise<Object>} submit - Відправка ордера, повертає дані відповіді
+ * @param {(since: number) => Promise<Object|null>} lookup - Пошук ордера, створеного після since (null - не знайдено)
+ * @returns {Promise<Object>} Дані відповіді або знайдений ордер
+ */
+const placeWithRecovery = async (clientOrderId, submit, lookup) => {
+  const since = Date.now();
+  try {
+    return await submit();
+  } catch (error) {
+    if (!clientOrderId || !isTransientError(error)) {
+      throw error;
+    }
+    logger.warn(`⚠️ Order ${clientOrderId}: result unknown (${error.response?.status ?? error.code}), looking it up on the exchange`);
+
+    let existing;
+    try {
+      existing = await lookup(since);
+    } catch (lookupError) {
+      logger.error(`❌ Order ${clientOrderId}: lookup failed, order state is unknown:`, lookupError.message);
+      throw Object.assign(error, { orderStatusUnknown: true });
+    }
+    if (existing) {
+      logger.info(`✅ Order ${clientOrderId} was accepted by the exchange (order ${existing.orderId ?? existing.orderListId})`);
+      return existing;
+    }
+
+    logger.info(`🔁 Order ${clientOrderId} did not reach the exchange, resubmitting`);
+    try {
+      return await submit();
+    } catch (retryError) {
+      if (isTransientError(retryError)) retryError.orderStatusUnknown = true;
+      throw retryError;
+    }
+  }
+};
+
+/**
+ * Шукає ордер за clientOrderId
+ * @param {string} symbol - Торгова пара
+ * @param {string} clientOrderId - clientOrderId
+ * @param {number} [since=0] - Час першої спроби: раніші ордери з тим самим ID (з минулих запусків) ігноруються
+ * @returns {Promise<Object|null>} Ордер або null, якщо біржа його не знає
+ */
+export const findOrderByClientId = async (symbol, clientOrderId, since = 0) => {
+  try {
+    const order = usesLocalEngine()
+      ? await (await getLocalEngine()).getOrderByClientId(symbol, clientOrderId)
+      : (await request({ weight: 4 }, client => client.getOrder(symbol, { origClientOrderId: clientOrderId }))).data;
+    return order.time >= since - CLIENT_ORDER_LOOKUP_SKEW_MS ? order : null;
+  } catch (error) {
+    if (errorCode(error) === -2013) return null;
+    throw error;
+  }
+};
+
+// Ринковий ордер з відповіддю FULL (fills); ордер, знайдений після збою, fills не містить
+const marketOrder = async (symbol, side, quantity, clientOrderId) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).marketOrder(symbol, side, quantity, { clientOrderId });
+  }
+
+  return placeWithRecovery(
+    clientOrderId,
+    async () => (await request({ weight: 1, orders: 1 }, client => client.newOrder(symbol, side, 'MARKET', {
+      quantity,
+      newClientOrderId: clientOrderId,
+      newOrderRespType: 'FULL'
+    }))).data,
+    (since) => findOrderByClientId(symbol, clientOrderId, since)
+  );
+};
+
+/**
+ * Ринковий продаж
+ * @param {string} symbol - Торгова пара
+ * @param {number|string} quantity - Кількість базового активу
+ * @param {string} [clientOrderId] - Детермінований ID ордера (clientOrderIdFor)
+ * @returns {Promise<Object>} Відповідь біржі (FULL, з fills)
+ */
+export const marketSell = async (symbol, quantity, clientOrderId) => marketOrder(symbol, 'SELL', quantity, clientOrderId);
+
+/**
+ * Ринкова купівля
+ * @param {string} symbol - Торгова пара
+ * @param {number|string} quantity - Кількість базового активу
+ * @param {string} [clientOrderId] - Детермінований ID ордера (clientOrderIdFor)
+ * @returns {Promise<Object>} Відповідь біржі (FULL, з fills)
+ */
+export const marketBuy = async (symbol, quantity, clientOrderId) => marketOrder(symbol, 'BUY', quantity, clientOrderId);
+
+export const placeLimitSell = async (symbol, quantity, price, clientOrderId) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).limitSell(symbol, quantity, price, { clientOrderId });
+  }
+
+  return placeWithRecovery(
+    clientOrderId,
+    async () => (await request({ weight: 1, orders: 1 }, client => client.newOrder(symbol, 'SELL', 'LIMIT', {
+      quantity,
+      price,
+      timeInForce: 'GTC',
+      newClientOrderId: clientOrderId
+    }))).data,
+    (since) => findOrderByClientId(symbol, clientOrderId, since)
+  );
+};
+
+export const placeStopLoss = async (symbol, quantity, stopPrice, limitPrice, clientOrderId) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).stopLossSell(symbol, quantity, stopPrice, limitPrice, { clientOrderId });
+  }
+
+  return placeWithRecovery(
+    clientOrderId,
+    async () => (await request({ weight: 1, orders: 1 }, client => client.newOrder(symbol, 'SELL', 'STOP_LOSS_LIMIT', {
+      quantity,
+      stopPrice,
+      price: limitPrice,
+      timeInForce: 'GTC',
+      newClientOrderId: clientOrderId
+    }))).data,
+    (since) => findOrderByClientId(symbol, clientOrderId, since)
+  );
+};
+
+/**
+ * Розміщує OCO ордер на продаж: тейк-профіт (LIMIT_MAKER) + стоп-лосс (STOP_LOSS_LIMIT).
+ * Виконання однієї ноги автоматично скасовує іншу.
+ * @param {string} symbol - Торгова пара
+ * @param {number|string} quantity - Кількість для продажу
+ * @param {number|string} takeProfitPrice - Ціна тейк-профіту
+ * @param {number|string} stopPrice - Тригер стоп-лоссу
+ * @param {number|string} stopLimitPrice - Лімітна ціна стоп-лоссу
+ * @param {string} [clientOrderId] - listClientOrderId; ноги отримують суфікси -TP та -SL
+ * @returns {Promise<{orderListId: number, tpOrderId: number, slOrderId: number, clientOrderId: string, raw: Object}>}
+ */
+export const placeOcoSell = async (symbol, quantity, takeProfitPrice, stopPrice, stopLimitPrice, clientOrderId) => {
+  const clientIds = clientOrderId
+    ? { listClientOrderId: clientOrderId, aboveClientOrderId: `${clientOrderId}-TP`, belowClientOrderId: `${clientOrderId}-SL` }
+    : {};
+
+  let data;
+  if (usesLocalEngine()) {
+    data = await (await getLocalEngine()).ocoSell(symbol, quantity, takeProfitPrice, stopPrice, stopLimitPrice, clientIds);
+  } else {
+    data = await placeWithRecovery(
+      clientOrderId,
+      async () => (await request({ weight: 1, orders: 2 }, client => client.newOCOOrder(symbol, 'SELL', quantity, 'LIMIT_MAKER', 'STOP_LOSS_LIMIT', {
+        abovePrice: takeProfitPrice,
+        belowStopPrice: stopPrice,
+        belowPrice: stopLimitPrice,
+        belowTimeInForce: 'GTC',
+        ...clientIds
+      }))).data,
+      (since) => findOrderListByClientId(clientOrderId, clientIds, since)
+    );
+  }
+
+  const { orderListId, orderReports = [] } = data;
+  const tpReport = orderReports.find(o => o.type === 'LIMIT_MAKER');
+  const slReport = orderReports.find(o => o.type === 'STOP_LOSS_LIMIT');
+
+  return {
+    orderListId,
+    tpOrderId: tpReport?.orderId,
+    slOrderId: slReport?.orderId,
+    clientOrderId: data.listClientOrderId,
+    raw: data
+  };
+};
+
+// Шукає OCO за listClientOrderId; тип ніг відновлюємо за їхніми clientOrderId
+const findOrderListByClientId = async (listClientOrderId, { aboveClientOrderId }, since) => {
+  try {
+    const { data: list } = await request({ weight: 4 }, client => client.getOCOOrder({ origClientOrderId: listClientOrderId }));
+    if (list.transactionTime < since - CLIENT_ORDER_LOOKUP_SKEW_MS) return null;
+    return {
+      ...list,
+      orderReports: list.orders.map(o => ({ ...o, type: o.clientOrderId === aboveClientOrderId ? 'LIMIT_MAKER' : 'STOP_LOSS_LIMIT' }))
+    };
+  } catch (error) {
+    if (errorCode(error) === -2018) return null;
+    throw error;
+  }
+};
+
+/**
+ * Отримує стан OCO ордера
+ * @param {number|string} orderListId - ID списку ордерів
+ * @returns {Promise<Object>} Стан списку (listOrderStatus, listStatusType, orders)
+ */
+export const getOrderListStatus = async (orderListId) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).getOrderList(orderListId);
+  }
+
+  const response = await request({ weight: 4 }, client => client.getOCOOrder({ orderListId }));
+  return response.data;
+};
+
+/**
+ * Скасовує OCO ордер повністю (обидві ноги)
+ * @param {string} symbol - Торгова пара
+ * @param {number|string} orderListId - ID списку ордерів
+ * @returns {Promise<Object>}
+ */
+export const cancelOrderList = async (symbol, orderListId) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).cancelOrderList(symbol, orderListId);
+  }
+
+  const response = await request({ weight: 1 }, client => client.cancelOCOOrder(symbol, { orderListId }));
+  return response.data;
 };
 
 export const getOrderStatus = async (symbol, orderId) => {
-  const client = await initializeBinanceClient();
-  return client.getOrderStatus(symbol, orderId);
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).getOrder(symbol, orderId);
+  }
+
+  const response = await request({ weight: 4 }, client => client.getOrder(symbol, { orderId }));
+  return response.data;
+};
+
+/**
+ * Повертає виконання (trades) ордера з комісіями
+ * @param {string} symbol - Торгова пара
+ * @param {string|number} orderId - ID ордера
+ * @returns {Promise<Array<{price: string, qty: string, commission: string, commissionAsset: string}>>}
+ */
+export const getOrderTrades = async (symbol, orderId) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).myTrades(symbol, orderId);
+  }
+
+  const response = await request({ weight: 5 }, client => client.myTrades(symbol, { orderId }));
+  return response.data;
 };
 
 export const cancelOrder = async (symbol, orderId) => {
-  const client = await initializeBinanceClient();
-  return client.cancelOrder(symbol, orderId);
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).cancelOrder(symbol, orderId);
+  }
+
+  const response = await request({ weight: 1 }, client => client.cancelOrder(symbol, { orderId }));
+  return response.data;
+};
+
+/**
+ * Повертає відкриті ордери
+ * @param {string} [symbol] - Торгова пара (без неї - по всіх парах, вага запиту значно більша)
+ * @returns {Promise<Array>}
+ */
+export const getOpenOrders = async (symbol) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).openOrders(symbol);
+  }
+
+  const response = await request({ weight: symbol ? 6 : 80 }, client => client.openOrders(symbol ? { symbol } : {}));
+  return response.data;
+};
+
+/**
+ * Повертає історію ордерів по парі
+ * @param {string} symbol - Торгова пара
+ * @param {number} [startTime] - Початок періоду (мс)
+ * @returns {Promise<Array>}
+ */
+export const getAllOrders = async (symbol, startTime) => {
+  if (usesLocalEngine()) {
+    return (await getLocalEngine()).allOrders(symbol, startTime);
+  }
+
+  const response = await request({ weight: 20 }, client => client.allOrders(symbol, startTime ? { startTime, limit: 1000 } : { limit: 1000 }));
+  return response.data;
 };
 
 export default {
   initializeBinanceClient,
+  getRequestMetrics,
+  ping,
+  simulationClock,
+  exchangeMetadata,
   getExchangeInfo,
+  getSymbolInfo,
+  getSymbolRules,
+  getMockExchangeInfo,
   getBalance,
+  getAccountBalances,
+  refreshStreamBalances,
+  clearStreamBalances,
+  applyAccountPosition,
+  createListenKey,
+  keepAliveListenKey,
+  closeListenKey,
+  getStreamUrl,
   getKlines,
   checkLiquidity,
   getPrice,
+  applyMiniTickers,
+  watchPrices,
+  getPriceRange,
+  get24hrTicker,
+  getOrderBook,
+  clientOrderIdFor,
+  isBotClientOrderId,
+  findOrderByClientId,
   marketBuy,
+  marketSell,
   placeLimitSell,
   placeStopLoss,
+  placeOcoSell,
+  getOrderListStatus,
+  cancelOrderList,
   getOrderStatus,
-  cancelOrder};
\ No newline at end of file
+  getOrderTrades,
+  cancelOrder,
+  getOpenOrders,
+  getAllOrders};
\ No newline at end of file
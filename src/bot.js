@@ -0,0 +1,185 @@
+import { config } from './config.js';
+import * as tradingBot from './tradingBot.js';
+import * as riskManager from './riskManager.js';
+import * as db from './database.js';
+import logger from './logger.js';
+
+// Стан оркестратора
+const state = {
+  running: false,
+  stopping: false,
+  startedAt: null,
+  cycleCount: 0,
+  failedCycles: 0,
+  consecutiveFailures: 0,
+  lastCycle: null,
+  currentCycle: null,
+  loopPromise: null,
+  wakeUp: null
+};
+
+/**
+ * Виконує один крок циклу та заміряє його тривалість
+ * @param {string} name - Назва кроку (для статистики)
+ * @param {Function} fn - Асинхронна функція кроку
+ * @returns {Promise<{name: string, durationMs: number, error: string|null}>}
+ */
+const runStep = async (name, fn) => {
+  const startedAt = Date.now();
+  try {
+    await fn();
+    return { name, durationMs: Date.now() - startedAt, error: null };
+  } catch (error) {
+    logger.error(`❌ Cycle step ${name} failed:`, error.message);
+    return { name, durationMs: Date.now() - startedAt, error: error.message };
+  }
+};
+
+/**
+ * Один повний цикл роботи бота: оцінка ризику, пошук нових лістингів, моніторинг активних угод
+ * @returns {Promise<Object>} Статистика циклу
+ */
+const runCycle = async () => {
+  const cycleNumber = state.cycleCount + 1;
+  const startedAt = Date.now();
+
+  const steps = [];
+  steps.push(await runStep('risk', () => riskManager.evaluateRisk()));
+  steps.push(await runStep('scan', tradingBot.scanForNewListings));
+  steps.push(await runStep('monitor', tradingBot.monitorActiveTrades));
+
+  const errors = steps.filter(s => s.error).map(s => `${s.name}: ${s.error}`);
+  const cycle = {
+    number: cycleNumber,
+    startedAt,
+    durationMs: Date.now() - startedAt,
+    steps,
+    errors
+  };
+
+  state.cycleCount = cycleNumber;
+  state.lastCycle = cycle;
+
+  if (errors.length > 0) {
+    state.failedCycles++;
+    state.consecutiveFailures++;
+    logger.warn(`⚠️ Cycle #${cycleNumber} finished with ${errors.length} error(s) in ${cycle.durationMs}ms`);
+  } else {
+    state.consecutiveFailures = 0;
+    logger.debug(`Cycle #${cycleNumber} finished in ${cycle.durationMs}ms`);
+  }
+
+  if (cycle.durationMs > config.SCAN_INTERVAL_MS) {
+    logger.warn(`🐢 Cycle #${cycleNumber} took ${cycle.durationMs}ms, longer than SCAN_INTERVAL_MS (${config.SCAN_INTERVAL_MS}ms)`);
+  }
+
+  return cycle;
+};
+
+/**
+ * Очікування до наступного циклу, яке можна перервати через stopBot()
+ * @param {number} ms - Тривалість очікування
+ * @returns {Promise<void>}
+ */
+const waitForNextCycle = (ms) => new Promise(resolve => {
+  const timer = setTimeout(done, ms);
+  function done() {
+    clearTimeout(timer);
+    state.wakeUp = null;
+    resolve();
+  }
+  state.wakeUp = done;
+});
+
+// Головний цикл: наступний цикл стартує лише після завершення попереднього
+const loop = async () => {
+  while (state.running) {
+    state.currentCycle = runCycle();
+    const cycle = await state.currentCycle;
+    state.currentCycle = null;
+
+    if (!state.running) break;
+
+    // Інтервал рахується від початку циклу, але без накладання циклів
+    const delay = Math.max(0, config.SCAN_INTERVAL_MS - cycle.durationMs);
+    await waitForNextCycle(delay);
+  }
+};
+
+/**
+ * Запускає оркестратор бота
+ * @returns {Promise<void>} Завершується після зупинки бота
+ */
+export const startBot = async () => {
+  if (state.running) {
+    logger.warn('Bot is already running');
+    return state.loopPromise;
+  }
+  // Зупинку запросили ще під час стартових перевірок - БД уже закрита
+  if (state.stopping) {
+    logger.warn('Bot stop was requested before start, not starting');
+    return;
+  }
+
+  state.running = true;
+  state.startedAt = Date.now();
+
+  logger.info(`🤖 Bot started. Scan interval: ${config.SCAN_INTERVAL_MS}ms`);
+
+  // Виконання ордерів приходять подіями; поки потік недоступний, монітор опитує ордери через REST
+  await tradingBot.startUserDataStream();
+  // Нові пари з mini-ticker потоку обробляються одразу, ціни беруться з кешу потоку
+  await tradingBot.startMarketDataStream();
+
+  state.loopPromise = loop();
+  return state.loopPromise;
+};
+
+/**
+ * Зупиняє бота: дочікується завершення поточного циклу та закриває БД
+ * @param {string} [reason] - Причина зупинки (наприклад, назва сигналу)
+ * @returns {Promise<void>}
+ */
+export const stopBot = async (reason = 'manual') => {
+  if (state.stopping) return;
+  state.stopping = true;
+  state.running = false;
+
+  logger.info(`🛑 Stopping bot (${reason})...`);
+
+  if (state.wakeUp) state.wakeUp();
+
+  if (state.currentCycle) {
+    logger.info('⏳ Waiting for the current cycle to finish...');
+    await state.currentCycle;
+  }
+  await state.loopPromise;
+
+  await tradingBot.stopUserDataStream();
+  await tradingBot.stopMarketDataStream();
+
+  try {
+    await db.close();
+    logger.info('💾 Database flushed and closed');
+  } catch (error) {
+    logger.error('Failed to close database:', error.message);
+  }
+
+  const uptimeSec = state.startedAt ? ((Date.now() - state.startedAt) / 1000).toFixed(0) : 0;
+  logger.info(`👋 Bot stopped after ${state.cycleCount} cycles (${state.failedCycles} with errors), uptime ${uptimeSec}s`);
+};
+
+/**
+ * Повертає статистику роботи оркестратора
+ * @returns {Object}
+ */
+export const getBotStats = () => ({
+  running: state.running,
+  startedAt: state.startedAt,
+  cycleCount: state.cycleCount,
+  failedCycles: state.failedCycles,
+  consecutiveFailures: state.consecutiveFailures,
+  lastCycle: state.lastCycle,
+  userDataStream: tradingBot.getUserDataStreamStatus(),
+  marketDataStream: tradingBot.getMarketDataStreamStatus()
+});
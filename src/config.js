@@ -2,6 +2,8 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { currentMode } from './modes.js';
+import { SIZING_MODELS } from './positionSizing.js';
+import { AMBIGUOUS_BAR_POLICIES } from './simulation/barPath.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -22,22 +24,149 @@ export const config = {
   // Налаштування тестової мережі
   IS_TESTNET: process.env.IS_TESTNET === 'true',
 
+  // Адреса REST API замість стандартної для режиму (наприклад, локальна mock-біржа: http://localhost:8090)
+  BINANCE_BASE_URL: process.env.BINANCE_BASE_URL || '',
+
+  // Ліміти запитів REST API (уточнюються з exchangeInfo та заголовків відповідей)
+  RATE_LIMIT_WEIGHT_PER_MINUTE: parseInt(process.env.RATE_LIMIT_WEIGHT_PER_MINUTE || '6000'),
+  RATE_LIMIT_ORDERS_PER_10S: parseInt(process.env.RATE_LIMIT_ORDERS_PER_10S || '100'),
+  RATE_LIMIT_ORDERS_PER_DAY: parseInt(process.env.RATE_LIMIT_ORDERS_PER_DAY || '200000'),
+  RATE_LIMIT_SAFETY: parseFloat(process.env.RATE_LIMIT_SAFETY || '0.8'), // Частка ліміту, яку бот може використати
+  REQUEST_TIMEOUT_MS: parseInt(process.env.REQUEST_TIMEOUT_MS || '10000'), // Таймаут одного HTTP запиту
+  REQUEST_MAX_RETRIES: parseInt(process.env.REQUEST_MAX_RETRIES || '3'), // Повтори після 429/418 та мережевих помилок
+  REQUEST_BACKOFF_MS: parseInt(process.env.REQUEST_BACKOFF_MS || '500'), // Базова затримка повтору (подвоюється)
+  REQUEST_BACKOFF_MAX_MS: parseInt(process.env.REQUEST_BACKOFF_MAX_MS || '30000'),
+  EXCHANGE_INFO_TTL_MS: parseInt(process.env.EXCHANGE_INFO_TTL_MS || '60000'), // Кеш exchangeInfo (сканер бачить нові пари з цією затримкою)
+
+  // User data stream: виконання ордерів і баланси через WebSocket замість опитування REST
+  USER_DATA_STREAM_ENABLED: process.env.USER_DATA_STREAM_ENABLED !== 'false',
+  BINANCE_WS_URL: process.env.BINANCE_WS_URL || '', // Адреса WebSocket замість стандартної для режиму
+  USER_DATA_KEEPALIVE_MS: parseInt(process.env.USER_DATA_KEEPALIVE_MS || '1800000'), // Продовження listenKey (живе 60 хв)
+  USER_DATA_RECONNECT_MS: parseInt(process.env.USER_DATA_RECONNECT_MS || '1000'), // Базова затримка перепідключення (подвоюється)
+  USER_DATA_RECONNECT_MAX_MS: parseInt(process.env.USER_DATA_RECONNECT_MAX_MS || '60000'),
+
+  // Market data stream: mini-ticker всіх пар для миттєвого виявлення лістингів і кешу цін
+  MARKET_DATA_STREAM_ENABLED: process.env.MARKET_DATA_STREAM_ENABLED !== 'false',
+  MARKET_DATA_STALE_MS: parseInt(process.env.MARKET_DATA_STALE_MS || '30000'), // Без повідомлень довше - перепідключення
+  MARKET_DATA_RECONNECT_MS: parseInt(process.env.MARKET_DATA_RECONNECT_MS || '1000'),
+  MARKET_DATA_RECONNECT_MAX_MS: parseInt(process.env.MARKET_DATA_RECONNECT_MAX_MS || '60000'),
+  PRICE_CACHE_MAX_AGE_MS: parseInt(process.env.PRICE_CACHE_MAX_AGE_MS || '5000'), // Старіша ціна з потоку запитується через REST
+
   // Налаштування симуляції
   SIMULATION_START_DATE: process.env.SIMULATION_START_DATE,
   SIMULATION_END_DATE: process.env.SIMULATION_END_DATE,
   SIMULATION_INITIAL_BALANCE: parseFloat(process.env.SIMULATION_INITIAL_BALANCE || '1000'),
+  // Прискорення віртуального годинника BOT_MODE=simulation. Час угод (утримання, часові виходи)
+  // бот рахує за системним годинником, тому вони відповідають свічкам лише при швидкості 1
+  SIMULATION_SPEED: parseFloat(process.env.SIMULATION_SPEED || '1'),
+
+  // Бектест HistoricalSimulator по хвилинних свічках: скільки годин після лістингу проходити свічки
+  // (незакрита угода закривається на останній свічці вікна за її закриттям) і хто перший,
+  // якщо свічка зачепила і TP, і SL: stop - стоп, target - тейк-профіт, open - ближчий до ціни відкриття
+  SIMULATION_MAX_HOLD_HOURS: parseFloat(process.env.SIMULATION_MAX_HOLD_HOURS || '48'),
+  SIMULATION_AMBIGUOUS_BAR: process.env.SIMULATION_AMBIGUOUS_BAR || 'stop',
+  SIMULATION_LOG_EVENTS: process.env.SIMULATION_LOG_EVENTS === 'true', // Лог кожної події черги бектесту (для налагодження)
+
+  // Модель виконання бектесту: комісії (maker - лімітні TP, taker - ринкові входи, стопи та примусові виходи),
+  // прослизання = SIMULATION_SLIPPAGE_IMPACT * сума ордера / оборот свічки (не більше SIMULATION_MAX_SLIPPAGE),
+  // затримка входу після лістингу і часткове виконання лімітних виходів (seed - для відтворюваності)
+  SIMULATION_MAKER_FEE: parseFloat(process.env.SIMULATION_MAKER_FEE || '0.001'),
+  SIMULATION_TAKER_FEE: parseFloat(process.env.SIMULATION_TAKER_FEE || '0.001'),
+  SIMULATION_FEE_IN_BNB: process.env.SIMULATION_FEE_IN_BNB === 'true',
+  SIMULATION_BNB_DISCOUNT: parseFloat(process.env.SIMULATION_BNB_DISCOUNT || '0.25'),
+  SIMULATION_SLIPPAGE_IMPACT: parseFloat(process.env.SIMULATION_SLIPPAGE_IMPACT || '0.1'),
+  SIMULATION_MAX_SLIPPAGE: parseFloat(process.env.SIMULATION_MAX_SLIPPAGE || '0.05'),
+  SIMULATION_ENTRY_LATENCY_MS: parseInt(process.env.SIMULATION_ENTRY_LATENCY_MS || '0'),
+  SIMULATION_PARTIAL_FILL_PROBABILITY: parseFloat(process.env.SIMULATION_PARTIAL_FILL_PROBABILITY || '0'),
+  SIMULATION_PARTIAL_FILL_RATIO: parseFloat(process.env.SIMULATION_PARTIAL_FILL_RATIO || '0.5'),
+  SIMULATION_RANDOM_SEED: parseInt(process.env.SIMULATION_RANDOM_SEED || '1'),
+
+  // Paper-режим: стартовий віртуальний баланс USDT (використовується, поки bot_paper.db порожня)
+  PAPER_INITIAL_BALANCE: parseFloat(process.env.PAPER_INITIAL_BALANCE || '1000'),
 
   // Налаштування торгівлі
   BUY_AMOUNT_USDT: parseFloat(process.env.BUY_AMOUNT_USDT || '100'),
   TAKE_PROFIT_PERCENT: parseFloat(process.env.TAKE_PROFIT_PERCENT || '0.02'),
   STOP_LOSS_PERCENT: parseFloat(process.env.STOP_LOSS_PERCENT || '0.01'),
+  STOP_LIMIT_OFFSET_PERCENT: parseFloat(process.env.STOP_LIMIT_OFFSET_PERCENT || '0.005'), // Ліміт стоп-лоссу нижче тригера, щоб ордер виконався
+  BINANCE_FEE: parseFloat(process.env.BINANCE_FEE || '0.001'), // Комісія за одну сторону угоди (0.1%)
   SCAN_INTERVAL_MS: parseInt(process.env.SCAN_INTERVAL_MS || '60000'), // 1 хвилина за замовчуванням 1
+  SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '30000'), // Максимальний час на graceful shutdown
+
+  MAX_OPEN_TRADES: parseInt(process.env.MAX_OPEN_TRADES || '2'), // Максимум одночасно відкритих угод
+
+  // Розмір позиції: fixed | percentBalance | risk | volatility | kelly (див. positionSizing.js)
+  POSITION_SIZING: process.env.POSITION_SIZING || 'fixed',
+  SIZING_BALANCE_PERCENT: parseFloat(process.env.SIZING_BALANCE_PERCENT || '0.1'), // Частка вільного балансу (percentBalance)
+  SIZING_RISK_PERCENT: parseFloat(process.env.SIZING_RISK_PERCENT || '0.01'), // Втрата капіталу при спрацюванні стопу (risk, volatility)
+  SIZING_ATR_PERIOD: parseInt(process.env.SIZING_ATR_PERIOD || '14'),
+  SIZING_ATR_INTERVAL: process.env.SIZING_ATR_INTERVAL || '1m',
+  SIZING_ATR_MULTIPLIER: parseFloat(process.env.SIZING_ATR_MULTIPLIER || '2'), // Стоп у ATR для volatility
+  SIZING_KELLY_FRACTION: parseFloat(process.env.SIZING_KELLY_FRACTION || '0.25'), // Частка від повного Келлі
+  SIZING_KELLY_MIN_TRADES: parseInt(process.env.SIZING_KELLY_MIN_TRADES || '20'), // Мінімум закритих угод для статистики
+  SIZING_MAX_USDT: parseFloat(process.env.SIZING_MAX_USDT || '0'), // Максимальна сума угоди, 0 = без обмеження
+
+  // Ризик-менеджер: при порушенні ліміту нові входи зупиняються на RISK_HALT_COOLDOWN_MS (0 = ліміт вимкнено)
+  RISK_DAILY_LOSS_PERCENT: parseFloat(process.env.RISK_DAILY_LOSS_PERCENT || '0.05'), // Денний збиток від капіталу на початок доби (UTC)
+  RISK_MAX_EXPOSURE_USDT: parseFloat(process.env.RISK_MAX_EXPOSURE_USDT || '0'), // Максимальна вартість відкритих позицій: вхід понад неї відхиляється без зупинки
+  RISK_MAX_CONSECUTIVE_LOSSES: parseInt(process.env.RISK_MAX_CONSECUTIVE_LOSSES || '3'), // Збиткових угод поспіль
+  RISK_MAX_DRAWDOWN_PERCENT: parseFloat(process.env.RISK_MAX_DRAWDOWN_PERCENT || '0.2'), // Просадка від піку капіталу
+  RISK_HALT_COOLDOWN_MS: parseInt(process.env.RISK_HALT_COOLDOWN_MS || '21600000'), // 6 годин
+
+  // Фільтри входу: виконуються по черзі до першої відмови, ризик-менеджер - завжди першим (див. entryFilters.js)
+  ENTRY_FILTERS: process.env.ENTRY_FILTERS || 'cooldown,maxOpenTrades,balance,blacklist,leveragedToken,volume24h,priceChange,spread,depth,slippage',
+  SYMBOL_BLACKLIST: process.env.SYMBOL_BLACKLIST || '', // Пари через кому, напр. "USDCUSDT,FDUSDUSDT"
+  SYMBOL_BLACKLIST_REGEX: process.env.SYMBOL_BLACKLIST_REGEX || '', // Регулярний вираз для назви пари
+  MIN_VOLUME_24H_USDT: parseFloat(process.env.MIN_VOLUME_24H_USDT || '0'), // Мінімальний обіг за 24 год
+  MAX_PRICE_CHANGE_PERCENT: parseFloat(process.env.MAX_PRICE_CHANGE_PERCENT || '2'), // Максимальне зростання від відкриття (2 = +200%)
+  MAX_SPREAD_PERCENT: parseFloat(process.env.MAX_SPREAD_PERCENT || '0.02'), // Максимальний спред bid/ask від середньої ціни
+  MIN_LIQUIDITY_USDT: parseFloat(process.env.MIN_LIQUIDITY_USDT || '1000'), // Мінімальна глибина asks у межах DEPTH_RANGE_PERCENT
+  DEPTH_RANGE_PERCENT: parseFloat(process.env.DEPTH_RANGE_PERCENT || '0.02'), // Діапазон від середньої ціни для глибини
+  MAX_SLIPPAGE_PERCENT: parseFloat(process.env.MAX_SLIPPAGE_PERCENT || '0.01'), // Допустиме прослизання ринкової купівлі
+  SLIPPAGE_ACTION: process.env.SLIPPAGE_ACTION || 'shrink', // 'shrink' - зменшити суму купівлі, 'skip' - пропустити угоду
+
+  // Trailing stop-loss
+  TRAILING_STOP_ENABLED: process.env.TRAILING_STOP_ENABLED === 'true',
+  TRAILING_ACTIVATION_PERCENT: parseFloat(process.env.TRAILING_ACTIVATION_PERCENT || '0.1'), // Прибуток, після якого вмикається trailing
+  TRAILING_DISTANCE_PERCENT: parseFloat(process.env.TRAILING_DISTANCE_PERCENT || '0.05'), // Відстань стопу від максимуму
+  TRAILING_STEP_PERCENT: parseFloat(process.env.TRAILING_STEP_PERCENT || '0.01'), // Мінімальний крок переміщення стопу
+
+  // Виходи за часом (0 = вимкнено): максимальний час утримання та закриття "завислої" угоди,
+  // якщо ціна STALE_WINDOW_MS тримається в межах ±STALE_RANGE_PERCENT
+  MAX_HOLD_TIME_MS: parseInt(process.env.MAX_HOLD_TIME_MS || '0'),
+  STALE_WINDOW_MS: parseInt(process.env.STALE_WINDOW_MS || '0'),
+  STALE_RANGE_PERCENT: parseFloat(process.env.STALE_RANGE_PERCENT || '0.02'),
+
+  // Драбина часткових тейк-профітів ("прибуток:частка,...", напр. "0.2:0.4,0.5:0.3"), порожньо = один TP
+  TAKE_PROFIT_LADDER: process.env.TAKE_PROFIT_LADDER || '',
+  LADDER_BREAKEVEN_STOP: process.env.LADDER_BREAKEVEN_STOP !== 'false', // Перенос стопу в беззбиток після першого TP
+
+  // Звірка БД з біржею при старті: 'repair' - виправляти автоматично, 'flag' - лише звітувати
+  RECONCILIATION_POLICY: process.env.RECONCILIATION_POLICY || 'flag',
+  RECONCILIATION_LOOKBACK_HOURS: parseFloat(process.env.RECONCILIATION_LOOKBACK_HOURS || '48'), // Глибина перевірки історії ордерів
 
   // Налаштування логування
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   LOG_FILE: process.env.LOG_FILE || 'bot.log'
 };
 
-// Валідація тільки для non-simulation режимівif (currentMode() !== 'simulation' && (!config.BINANCE_API_KEY || !config.BINANCE_API_SECRET)) {
+// Валідація тільки для режимів з реальними ордерами (paper працює з публічними даними)
+if (!['simulation', 'paper'].includes(currentMode()) && (!config.BINANCE_API_KEY || !config.BINANCE_API_SECRET)) {
   throw new Error(`❌ API credentials not set for ${currentMode()} mode!`);
+}
+
+if (!['repair', 'flag'].includes(config.RECONCILIATION_POLICY)) {
+  throw new Error(`❌ Invalid RECONCILIATION_POLICY "${config.RECONCILIATION_POLICY}", expected "repair" or "flag"`);
+}
+
+if (!['shrink', 'skip'].includes(config.SLIPPAGE_ACTION)) {
+  throw new Error(`❌ Invalid SLIPPAGE_ACTION "${config.SLIPPAGE_ACTION}", expected "shrink" or "skip"`);
+}
+
+if (!SIZING_MODELS.includes(config.POSITION_SIZING)) {
+  throw new Error(`❌ Invalid POSITION_SIZING "${config.POSITION_SIZING}", expected one of: ${SIZING_MODELS.join(', ')}`);
+}
 
+if (!AMBIGUOUS_BAR_POLICIES.includes(config.SIMULATION_AMBIGUOUS_BAR)) {
+  throw new Error(`❌ Invalid SIMULATION_AMBIGUOUS_BAR "${config.SIMULATION_AMBIGUOUS_BAR}", expected one of: ${AMBIGUOUS_BAR_POLICIES.join(', ')}`);
+}
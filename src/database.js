@@ -1,21 +1,25 @@
 import sqlite3 from 'sqlite3';
 import { promisify } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import logger from './logger.js';
 import { currentMode } from './modes.js';
+import { calculateNetPnl } from './fills.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Створюємо директорію для бази даних, якщо вона не існує
+// BOT_DB_PATH замінює файл БД режиму (':memory:' - тимчасова БД у пам'яті, наприклад для тестів)
 const dataDir = path.join(__dirname, '..', 'data');
-if (!fs.existsSync(dataDir)) {
+const dbPath = process.env.BOT_DB_PATH || path.join(dataDir, `bot_${currentMode()}.db`);
+
+// Створюємо директорію для бази даних, якщо вона не існує
+if (!process.env.BOT_DB_PATH && !fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
   logger.info('Created data directory');
 }
 
-const dbPath = path.join(dataDir, `bot_${currentMode()}.db`);
 logger.info(`Using database: ${dbPath}`);
 
 const db = new sqlite3.Database(dbPath, (err) => {
@@ -26,10 +30,76 @@ const db = new sqlite3.Database(dbPath, (err) => {
   logger.info('Connected to the SQLite database.');
 });
 
+// Усі запити йдуть через одну чергу: з'єднання одне, і запит іншого коду між BEGIN і COMMIT
+// став би частиною чужої транзакції (і зник би разом з її ROLLBACK)
+let queueTail = Promise.resolve();
+const enqueue = (task) => {
+  const run = queueTail.then(task);
+  queueTail = run.catch(() => {});
+  return run;
+};
+
+// Запити всередині транзакції виконуються одразу - черга вже зайнята цією транзакцією
+const transactionScope = new AsyncLocalStorage();
+const queued = (query) => (...args) => (transactionScope.getStore() ? query(...args) : enqueue(() => query(...args)));
+
 // Promisify методи для async/await
-const runAsync = promisify(db.run).bind(db);
-const getAsync = promisify(db.get).bind(db);
-const allAsync = promisify(db.all).bind(db);
+const runAsync = queued(promisify(db.run).bind(db));
+const getAsync = queued(promisify(db.get).bind(db));
+const allAsync = queued(promisify(db.all).bind(db));
+const closeAsync = queued(promisify(db.close).bind(db));
+
+// db.run з поверненням ID вставленого рядка (promisify втрачає this.lastID)
+const insertAsync = queued((sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function (err) {
+    if (err) return reject(err);
+    resolve(this.lastID);
+  });
+}));
+
+// db.run з поверненням кількості змінених рядків
+const changesAsync = queued((sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function (err) {
+    if (err) return reject(err);
+    resolve(this.changes);
+  });
+}));
+
+/**
+ * Виконує work у транзакції. Поки вона відкрита, решта запитів чекає в черзі;
+ * вкладений виклик виконується в межах зовнішньої транзакції.
+ * @param {() => Promise<*>} work - Запити транзакції
+ * @returns {Promise<*>} Результат work
+ */
+const withTransaction = (work) => {
+  if (transactionScope.getStore()) return work();
+  return enqueue(() => transactionScope.run(true, async () => {
+    await runAsync('BEGIN TRANSACTION');
+    try {
+      const result = await work();
+      await runAsync('COMMIT');
+      return result;
+    } catch (error) {
+      await runAsync('ROLLBACK');
+      throw error;
+    }
+  }));
+};
+
+/**
+ * Додає відсутні колонки до існуючої таблиці (міграція баз, створених старішою версією)
+ * @param {string} table - Назва таблиці
+ * @param {Object<string, string>} columns - Назва колонки → SQL тип
+ */
+const addMissingColumns = async (table, columns) => {
+  const existing = (await allAsync(`PRAGMA table_info(${table})`)).map(c => c.name);
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) {
+      await runAsync(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      logger.info(`Migrated ${table}: added column ${name}`);
+    }
+  }
+};
 
 // Розширена схема для ML та аналітики
 const initSchema = async () => {
@@ -42,6 +112,7 @@ const initSchema = async () => {
         buyPrice REAL NOT NULL,
         buyQuantity REAL NOT NULL,
         buyOrderId TEXT NOT NULL,
+        orderListId TEXT,
         tpOrderId TEXT,
         slOrderId TEXT,
         status TEXT NOT NULL DEFAULT 'ACTIVE',
@@ -63,10 +134,36 @@ const initSchema = async () => {
         minPriceAfterListing REAL,
         category TEXT,
         buyCommission REAL,
-        sellCommission REAL
+        sellCommission REAL,
+        trailingActive BOOLEAN DEFAULT FALSE,
+        stopPrice REAL,
+        remainingQuantity REAL,
+        dustQuantity REAL DEFAULT 0,
+        realizedPnl REAL DEFAULT 0,
+        staleAnchorPrice REAL,
+        staleAnchorTime INTEGER,
+        netPnl REAL,
+        netPnlPercent REAL,
+        buyClientOrderId TEXT,
+        exitClientOrderId TEXT
       );
     `);
 
+    await addMissingColumns('trades', {
+      orderListId: 'TEXT',
+      trailingActive: 'BOOLEAN DEFAULT FALSE',
+      stopPrice: 'REAL',
+      remainingQuantity: 'REAL',
+      dustQuantity: 'REAL DEFAULT 0',
+      realizedPnl: 'REAL DEFAULT 0',
+      staleAnchorPrice: 'REAL',
+      staleAnchorTime: 'INTEGER',
+      netPnl: 'REAL',
+      netPnlPercent: 'REAL',
+      buyClientOrderId: 'TEXT',
+      exitClientOrderId: 'TEXT'
+    });
+
     await runAsync(`
       CREATE TABLE IF NOT EXISTS listing_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -99,9 +196,20 @@ const initSchema = async () => {
         avgProfit REAL,
         avgLoss REAL,
         bestTrade TEXT,
-        worstTrade TEXT
+        worstTrade TEXT,
+        grossProfit REAL,
+        grossWinRate REAL,
+        totalFees REAL,
+        slippageCost REAL
       );
     `);
+
+    await addMissingColumns('simulation_results', {
+      grossProfit: 'REAL',
+      grossWinRate: 'REAL',
+      totalFees: 'REAL',
+      slippageCost: 'REAL'
+    });
     
     // Нова таблиця для збереження Klines
     await runAsync(`
@@ -124,6 +232,169 @@ const initSchema = async () => {
       );
     `);
 
+    // Реєстр відомих символів для виявлення нових лістингів
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS known_symbols (
+        symbol TEXT PRIMARY KEY,
+        baseAsset TEXT,
+        quoteAsset TEXT,
+        status TEXT NOT NULL,
+        firstSeen INTEGER NOT NULL,
+        listedAt INTEGER,
+        lastStatusChange INTEGER,
+        isBaseline BOOLEAN DEFAULT FALSE
+      );
+    `);
+
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS symbol_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        symbol TEXT NOT NULL,
+        oldStatus TEXT,
+        newStatus TEXT NOT NULL,
+        changedAt INTEGER NOT NULL
+      );
+    `);
+
+    await runAsync('CREATE INDEX IF NOT EXISTS idx_symbol_status_history_symbol ON symbol_status_history (symbol, changedAt)');
+
+    // Виходи з позиції: сходинки тейк-профіту, основний OCO, runner
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS trade_exits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tradeId INTEGER NOT NULL,
+        leg TEXT NOT NULL,
+        targetPrice REAL,
+        quantity REAL NOT NULL,
+        orderListId TEXT,
+        tpOrderId TEXT,
+        slOrderId TEXT,
+        status TEXT NOT NULL DEFAULT 'OPEN',
+        filledQty REAL DEFAULT 0,
+        fillPrice REAL,
+        realizedPnl REAL DEFAULT 0,
+        commission REAL DEFAULT 0,
+        createdAt INTEGER NOT NULL,
+        filledAt INTEGER,
+        clientOrderId TEXT
+      );
+    `);
+
+    await addMissingColumns('trade_exits', {
+      commission: 'REAL DEFAULT 0',
+      clientOrderId: 'TEXT'
+    });
+
+    await runAsync('CREATE INDEX IF NOT EXISTS idx_trade_exits_trade ON trade_exits (tradeId, status)');
+
+    // Комісії по кожному ордеру угоди в активі списання та в перерахунку на USDT
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS trade_commissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tradeId INTEGER NOT NULL,
+        orderId TEXT NOT NULL,
+        side TEXT NOT NULL,
+        asset TEXT NOT NULL,
+        amount REAL NOT NULL,
+        quoteAmount REAL,
+        createdAt INTEGER NOT NULL
+      );
+    `);
+
+    await runAsync('CREATE INDEX IF NOT EXISTS idx_trade_commissions_trade ON trade_commissions (tradeId)');
+
+    // Журнал переміщень стопу (trailing, беззбиток)
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS trade_stop_adjustments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tradeId INTEGER NOT NULL,
+        symbol TEXT NOT NULL,
+        oldStopPrice REAL,
+        newStopPrice REAL NOT NULL,
+        maxPrice REAL NOT NULL,
+        orderId TEXT,
+        createdAt INTEGER NOT NULL
+      );
+    `);
+
+    // Рішення фільтрів входу: чому лістинг був пропущений або прийнятий
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS entry_filter_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        symbol TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        evaluatedAt INTEGER NOT NULL,
+        filterName TEXT NOT NULL,
+        passed BOOLEAN NOT NULL,
+        reason TEXT,
+        value REAL,
+        threshold REAL
+      );
+    `);
+
+    await runAsync('CREATE INDEX IF NOT EXISTS idx_entry_filter_decisions_symbol ON entry_filter_decisions (symbol, evaluatedAt)');
+
+    // Стан ризик-менеджера: зупинка нових входів переживає перезапуск
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS risk_state (
+        mode TEXT PRIMARY KEY,
+        haltedAt INTEGER,
+        haltedUntil INTEGER,
+        haltReason TEXT,
+        peakEquity REAL,
+        peakEquityAt INTEGER,
+        lastResumeAt INTEGER,
+        updatedAt INTEGER NOT NULL
+      );
+    `);
+
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS risk_halts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        mode TEXT NOT NULL,
+        haltedAt INTEGER NOT NULL,
+        haltedUntil INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        metrics TEXT
+      );
+    `);
+
+    // Стан рушія зведення ордерів paper-режиму: віртуальні баланси, ордери та OCO списки
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS paper_balances (
+        asset TEXT PRIMARY KEY,
+        free REAL NOT NULL,
+        locked REAL NOT NULL
+      );
+    `);
+
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS paper_orders (
+        orderId INTEGER PRIMARY KEY,
+        symbol TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updateTime INTEGER NOT NULL
+      );
+    `);
+
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS paper_order_lists (
+        orderListId INTEGER PRIMARY KEY,
+        symbol TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `);
+
+    // Останній знімок exchangeInfo: правила пар і реєстр символів без зв'язку з біржею
+    await runAsync(`
+      CREATE TABLE IF NOT EXISTS exchange_info_snapshot (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        fetchedAt INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+    `);
+
     logger.info('Database schema initialized successfully');
   } catch (error) {
     logger.error('Error initializing database schema:', error);
@@ -148,6 +419,687 @@ export const getKlines = async (symbol, interval, startTime, endTime) => {
   );
 };
 
+/**
+ * Пари, для яких є свічки, з часом першої та останньої свічки
+ * @param {string} interval - Інтервал свічок
+ * @returns {Promise<Array<{symbol: string, firstOpenTime: number, lastCloseTime: number, firstOpen: number}>>}
+ */
+export const getKlineSymbols = async (interval) => {
+  return await allAsync(
+    `SELECT k.symbol, r.firstOpenTime, r.lastCloseTime, k.open AS firstOpen
+     FROM (SELECT symbol, MIN(openTime) AS firstOpenTime, MAX(closeTime) AS lastCloseTime
+           FROM klines WHERE interval = ? GROUP BY symbol) r
+     JOIN klines k ON k.symbol = r.symbol AND k.interval = ? AND k.openTime = r.firstOpenTime
+     ORDER BY r.firstOpenTime ASC`,
+    [interval, interval]
+  );
+};
+
+// Функції для роботи з угодами
+
+// Колонки trades, які дозволено оновлювати через updateTrade
+const TRADE_UPDATABLE_COLUMNS = [
+  'orderListId', 'tpOrderId', 'slOrderId', 'status', 'exitTime', 'sellPrice', 'profitLoss',
+  'maxPrice', 'minPrice', 'holdTime', 'maxPriceAfterListing', 'minPriceAfterListing',
+  'buyCommission', 'sellCommission', 'trailingActive', 'stopPrice', 'remainingQuantity', 'dustQuantity', 'realizedPnl',
+  'staleAnchorPrice', 'staleAnchorTime', 'netPnl', 'netPnlPercent', 'buyClientOrderId', 'exitClientOrderId'
+];
+
+// Колонки trade_exits, які дозволено оновлювати через updateTradeExit
+const TRADE_EXIT_UPDATABLE_COLUMNS = [
+  'quantity', 'orderListId', 'tpOrderId', 'slOrderId', 'status', 'filledQty', 'fillPrice', 'realizedPnl', 'commission', 'filledAt',
+  'clientOrderId'
+];
+
+/**
+ * Формує UPDATE лише для дозволених колонок
+ * @param {string} table - Назва таблиці
+ * @param {string[]} allowed - Дозволені колонки
+ * @param {number} id - ID рядка
+ * @param {Object} fields - Поля для оновлення
+ */
+const updateColumns = async (table, allowed, id, fields) => {
+  const columns = Object.keys(fields).filter(key => allowed.includes(key));
+  const ignored = Object.keys(fields).filter(key => !allowed.includes(key));
+  if (ignored.length > 0) {
+    logger.warn(`update ${table}: ignoring unknown columns ${ignored.join(', ')}`);
+  }
+  if (columns.length === 0) return;
+
+  const assignments = columns.map(column => `${column} = ?`).join(', ');
+  await runAsync(
+    `UPDATE ${table} SET ${assignments} WHERE id = ?`,
+    [...columns.map(column => fields[column]), id]
+  );
+};
+
+/**
+ * Резервує угоду перед купівлею: її ID потрібен для clientOrderId ордера купівлі.
+ * Угода в статусі PENDING не бере участі в торгівлі та статистиці, доки saveTrade не запише купівлю
+ * (або звірка не з'ясує долю ордера після збою).
+ * @param {string} symbol - Торгова пара
+ * @returns {Promise<number>} ID угоди
+ */
+export const createPendingTrade = async (symbol) => {
+  return await insertAsync(
+    `INSERT INTO trades (symbol, mode, buyPrice, buyQuantity, buyOrderId, status, entryTime)
+     VALUES (?, ?, 0, 0, '', 'PENDING', ?)`,
+    [symbol, currentMode(), Date.now()]
+  );
+};
+
+/**
+ * Видаляє зарезервовану угоду, купівля якої точно не відбулась
+ * @param {number} id - ID угоди
+ * @returns {Promise<void>}
+ */
+export const discardPendingTrade = async (id) => {
+  await runAsync("DELETE FROM trades WHERE id = ? AND status = 'PENDING'", [id]);
+};
+
+/**
+ * Повертає зарезервовані угоди поточного режиму (купівля з невідомим результатом)
+ * @returns {Promise<Array>}
+ */
+export const getPendingTrades = async () => {
+  return await allAsync(
+    "SELECT * FROM trades WHERE status = 'PENDING' AND mode = ? ORDER BY entryTime ASC",
+    [currentMode()]
+  );
+};
+
+/**
+ * Зберігає нову угоду разом з ознаками для аналітики.
+ * Якщо trade.id задано (угоду зарезервовано createPendingTrade), запис замінюється зі збереженням ID.
+ * @param {Object} trade - Дані угоди (id, symbol, buyPrice, buyQuantity, remainingQuantity, dustQuantity, buyOrderId, buyClientOrderId, orderListId, tpOrderId, slOrderId, stopPrice)
+ * @param {Object} [features] - Ринкові ознаки на момент входу
+ * @param {number} [features.volume24h] - Об'єм за 24 години (USDT)
+ * @param {number} [features.priceChange24h] - Зміна ціни за 24 години (%)
+ * @param {boolean} [features.isNewListing] - Чи є угода входом у новий лістинг
+ * @param {number} [features.initialPrice] - Перша відома ціна після лістингу
+ * @param {string} [features.category] - Категорія токена
+ * @returns {Promise<number>} ID збереженої угоди
+ */
+export const saveTrade = async (trade, features = {}) => {
+  const entryTime = trade.entryTime ?? Date.now();
+  const entryDate = new Date(entryTime);
+
+  return await insertAsync(
+    `INSERT OR REPLACE INTO trades (
+      id, symbol, mode, buyPrice, buyQuantity, buyOrderId, orderListId, tpOrderId, slOrderId, status, entryTime,
+      maxPrice, minPrice, volume24h, priceChange24h, entryHourOfDay, entryDayOfWeek, entryMonth,
+      isNewListing, initialPrice, maxPriceAfterListing, minPriceAfterListing, category, buyCommission, stopPrice,
+      remainingQuantity, dustQuantity, buyClientOrderId
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      trade.id ?? null,
+      trade.symbol,
+      trade.mode ?? currentMode(),
+      trade.buyPrice,
+      trade.buyQuantity,
+      String(trade.buyOrderId),
+      trade.orderListId != null ? String(trade.orderListId) : null,
+      trade.tpOrderId != null ? String(trade.tpOrderId) : null,
+      trade.slOrderId != null ? String(trade.slOrderId) : null,
+      entryTime,
+      trade.buyPrice,
+      trade.buyPrice,
+      features.volume24h ?? null,
+      features.priceChange24h ?? null,
+      entryDate.getUTCHours(),
+      entryDate.getUTCDay(),
+      entryDate.getUTCMonth() + 1,
+      features.isNewListing ?? false,
+      features.initialPrice ?? trade.buyPrice,
+      features.isNewListing ? trade.buyPrice : null,
+      features.isNewListing ? trade.buyPrice : null,
+      features.category ?? null,
+      trade.buyCommission ?? 0,
+      trade.stopPrice ?? null,
+      trade.remainingQuantity ?? trade.buyQuantity,
+      trade.dustQuantity ?? 0,
+      trade.buyClientOrderId ?? null
+    ]
+  );
+};
+
+/**
+ * Оновлює довільні поля угоди
+ * @param {number} id - ID угоди
+ * @param {Object} fields - Поля для оновлення (лише з TRADE_UPDATABLE_COLUMNS)
+ * @returns {Promise<void>}
+ */
+export const updateTrade = async (id, fields) => {
+  await updateColumns('trades', TRADE_UPDATABLE_COLUMNS, id, fields);
+};
+
+/**
+ * Фіксує спостережену ціну для відстеження екстремумів протягом життя угоди
+ * @param {number} id - ID угоди
+ * @param {number} price - Поточна ціна
+ * @param {Object} [range] - Екстремуми між спостереженнями (наприклад, з market data stream)
+ * @param {number} [range.high=price] - Максимум
+ * @param {number} [range.low=price] - Мінімум
+ * @returns {Promise<void>}
+ */
+export const recordTradePrice = async (id, price, { high = price, low = price } = {}) => {
+  await runAsync(
+    `UPDATE trades SET
+       maxPrice = MAX(COALESCE(maxPrice, ?), ?),
+       minPrice = MIN(COALESCE(minPrice, ?), ?),
+       maxPriceAfterListing = CASE WHEN isNewListing THEN MAX(COALESCE(maxPriceAfterListing, ?), ?) ELSE maxPriceAfterListing END,
+       minPriceAfterListing = CASE WHEN isNewListing THEN MIN(COALESCE(minPriceAfterListing, ?), ?) ELSE minPriceAfterListing END
+     WHERE id = ?`,
+    [high, high, low, low, high, high, low, low, id]
+  );
+};
+
+/**
+ * Закриває угоду: рахує P&L (валовий у % від ціни та чистий після комісій), час утримання та фінальні екстремуми ціни
+ * @param {number} id - ID угоди
+ * @param {Object} exit - Дані виходу
+ * @param {string} exit.status - Фінальний статус (FILLED_TP, FILLED_SL, ...)
+ * @param {number} exit.sellPrice - Ціна продажу (середньозважена, якщо виходів було кілька)
+ * @param {number} [exit.exitTime=Date.now()] - Час виходу
+ * @param {number} [exit.sellCommission] - Комісії всіх продажів, USDT
+ * @returns {Promise<Object>} Оновлена угода
+ */
+export const closeTrade = async (id, { status, sellPrice, exitTime = Date.now(), sellCommission = null }) => {
+  const trade = await getTradeById(id);
+  if (!trade) {
+    throw new Error(`Trade ${id} not found`);
+  }
+
+  await recordTradePrice(id, sellPrice);
+
+  const profitLoss = (sellPrice - trade.buyPrice) / trade.buyPrice * 100;
+  const { netPnl, netPnlPercent } = calculateNetPnl({ ...trade, sellCommission });
+  await updateTrade(id, {
+    status,
+    exitTime,
+    sellPrice,
+    profitLoss,
+    netPnl,
+    netPnlPercent,
+    holdTime: exitTime - trade.entryTime,
+    sellCommission,
+    remainingQuantity: 0
+  });
+
+  return getTradeById(id);
+};
+
+/**
+ * Зберігає вихід з позиції (сходинку TP, основний OCO або runner)
+ * @param {Object} exit
+ * @param {number} exit.tradeId - ID угоди
+ * @param {string} exit.leg - Назва виходу (TP1, TP2, MAIN, RUNNER, ...)
+ * @param {number} exit.quantity - Обсяг виходу
+ * @param {number} [exit.targetPrice] - Цільова ціна тейк-профіту
+ * @param {number} [exit.commission] - Комісія виконання, USDT
+ * @param {string} [exit.clientOrderId] - clientOrderId OCO сходинки
+ * @returns {Promise<number>} ID виходу
+ */
+export const saveTradeExit = async ({
+  tradeId, leg, targetPrice = null, quantity, orderListId = null, tpOrderId = null, slOrderId = null,
+  status = 'OPEN', filledQty = 0, fillPrice = null, realizedPnl = 0, commission = 0, filledAt = null, createdAt = Date.now(),
+  clientOrderId = null
+}) => {
+  return await insertAsync(
+    `INSERT INTO trade_exits (tradeId, leg, targetPrice, quantity, orderListId, tpOrderId, slOrderId, status, filledQty, fillPrice, realizedPnl, commission, createdAt, filledAt, clientOrderId)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tradeId, leg, targetPrice, quantity,
+      orderListId != null ? String(orderListId) : null,
+      tpOrderId != null ? String(tpOrderId) : null,
+      slOrderId != null ? String(slOrderId) : null,
+      status, filledQty, fillPrice, realizedPnl, commission, createdAt, filledAt, clientOrderId
+    ]
+  );
+};
+
+/**
+ * Оновлює вихід з позиції
+ * @param {number} id - ID виходу
+ * @param {Object} fields - Поля для оновлення
+ * @returns {Promise<void>}
+ */
+export const updateTradeExit = async (id, fields) => {
+  await updateColumns('trade_exits', TRADE_EXIT_UPDATABLE_COLUMNS, id, fields);
+};
+
+/**
+ * Повертає всі виходи угоди
+ * @param {number} tradeId - ID угоди
+ * @returns {Promise<Array>}
+ */
+export const getTradeExits = async (tradeId) => {
+  return await allAsync('SELECT * FROM trade_exits WHERE tradeId = ? ORDER BY id ASC', [tradeId]);
+};
+
+/**
+ * Зберігає комісії ордера по активах
+ * @param {number} tradeId - ID угоди
+ * @param {string|number} orderId - ID ордера
+ * @param {'BUY'|'SELL'} side - Сторона ордера
+ * @param {Array<{asset: string, amount: number, quoteAmount: number|null}>} items - Комісії (результат convertCommissions)
+ * @returns {Promise<void>}
+ */
+export const saveTradeCommissions = async (tradeId, orderId, side, items) => {
+  const createdAt = Date.now();
+  for (const { asset, amount, quoteAmount } of items) {
+    await runAsync(
+      `INSERT INTO trade_commissions (tradeId, orderId, side, asset, amount, quoteAmount, createdAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [tradeId, String(orderId), side, asset, amount, quoteAmount, createdAt]
+    );
+  }
+};
+
+/**
+ * Повертає комісії угоди по всіх ордерах
+ * @param {number} tradeId - ID угоди
+ * @returns {Promise<Array>}
+ */
+export const getTradeCommissions = async (tradeId) => {
+  return await allAsync('SELECT * FROM trade_commissions WHERE tradeId = ? ORDER BY id ASC', [tradeId]);
+};
+
+/**
+ * Повертає виходи угоди, що ще очікують виконання
+ * @param {number} tradeId - ID угоди
+ * @returns {Promise<Array>}
+ */
+export const getOpenTradeExits = async (tradeId) => {
+  return await allAsync("SELECT * FROM trade_exits WHERE tradeId = ? AND status = 'OPEN' ORDER BY id ASC", [tradeId]);
+};
+
+/**
+ * Записує переміщення trailing stop
+ * @param {Object} adjustment
+ * @param {number} adjustment.tradeId - ID угоди
+ * @param {string} adjustment.symbol - Торгова пара
+ * @param {number|null} adjustment.oldStopPrice - Попередній рівень стопу
+ * @param {number} adjustment.newStopPrice - Новий рівень стопу
+ * @param {number} adjustment.maxPrice - Максимум ціни, від якого розраховано стоп
+ * @param {string|number} [adjustment.orderId] - ID нового стоп-ордера
+ * @returns {Promise<number>} ID запису
+ */
+export const saveStopAdjustment = async ({ tradeId, symbol, oldStopPrice, newStopPrice, maxPrice, orderId = null, createdAt = Date.now() }) => {
+  return await insertAsync(
+    `INSERT INTO trade_stop_adjustments (tradeId, symbol, oldStopPrice, newStopPrice, maxPrice, orderId, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [tradeId, symbol, oldStopPrice, newStopPrice, maxPrice, orderId != null ? String(orderId) : null, createdAt]
+  );
+};
+
+/**
+ * Повертає історію переміщень стопу для угоди
+ * @param {number} tradeId - ID угоди
+ * @returns {Promise<Array>}
+ */
+export const getStopAdjustments = async (tradeId) => {
+  return await allAsync(
+    'SELECT * FROM trade_stop_adjustments WHERE tradeId = ? ORDER BY createdAt ASC',
+    [tradeId]
+  );
+};
+
+/**
+ * Повертає угоду за ID
+ * @param {number} id - ID угоди
+ * @returns {Promise<Object|undefined>}
+ */
+export const getTradeById = async (id) => {
+  return await getAsync('SELECT * FROM trades WHERE id = ?', [id]);
+};
+
+/**
+ * Повертає активні угоди поточного режиму
+ * @returns {Promise<Array>}
+ */
+export const getActiveTrades = async () => {
+  return await allAsync(
+    "SELECT * FROM trades WHERE status = 'ACTIVE' AND mode = ? ORDER BY entryTime ASC",
+    [currentMode()]
+  );
+};
+
+/**
+ * Повертає угоди поточного режиму, закриті після вказаного часу
+ * @param {number} since - Час (мс)
+ * @returns {Promise<Array>}
+ */
+export const getClosedTradesSince = async (since) => {
+  return await allAsync(
+    "SELECT * FROM trades WHERE status != 'ACTIVE' AND mode = ? AND exitTime >= ? ORDER BY exitTime ASC",
+    [currentMode(), since]
+  );
+};
+
+/**
+ * Повертає угоду за ID ордера купівлі
+ * @param {string|number} buyOrderId - ID ордера на біржі
+ * @returns {Promise<Object|undefined>}
+ */
+export const getTradeByBuyOrderId = async (buyOrderId) => {
+  return await getAsync(
+    'SELECT * FROM trades WHERE buyOrderId = ? AND mode = ?',
+    [String(buyOrderId), currentMode()]
+  );
+};
+
+/**
+ * Повертає угоди вказаного режиму
+ * @param {string} mode - Режим роботи
+ * @returns {Promise<Array>}
+ */
+export const getTradesByMode = async (mode) => {
+  return await allAsync("SELECT * FROM trades WHERE mode = ? AND status != 'PENDING' ORDER BY entryTime ASC", [mode]);
+};
+
+/**
+ * Повертає категорію токена з історії лістингів (якщо відома)
+ * @param {string} symbol - Торгова пара
+ * @returns {Promise<string|null>}
+ */
+export const getListingCategory = async (symbol) => {
+  const row = await getAsync('SELECT category FROM listing_history WHERE symbol = ?', [symbol]);
+  return row?.category ?? null;
+};
+
+/**
+ * Зберігає (або оновлює) історичні дані лістингу
+ * @param {Object} listing - Дані лістингу (колонки listing_history)
+ */
+export const saveListingHistory = async (listing) => {
+  await runAsync(
+    `INSERT OR REPLACE INTO listing_history
+     (symbol, listingTime, initialPrice, price1h, price24h, price48h, maxPrice48h, minPrice48h, volume48h, category)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [listing.symbol, listing.listingTime, listing.initialPrice, listing.price1h, listing.price24h,
+      listing.price48h, listing.maxPrice48h, listing.minPrice48h, listing.volume48h, listing.category ?? null]
+  );
+};
+
+/**
+ * Лістинги за період у хронологічному порядку
+ * @param {number} startTime - Початок періоду (мс)
+ * @param {number} endTime - Кінець періоду (мс)
+ * @returns {Promise<Array>} Записи listing_history
+ */
+export const getListingHistory = async (startTime, endTime) => {
+  return await allAsync(
+    'SELECT * FROM listing_history WHERE listingTime BETWEEN ? AND ? ORDER BY listingTime ASC',
+    [startTime, endTime]
+  );
+};
+
+/**
+ * Зберігає результат прогону симуляції
+ * @param {Object} results - Результат HistoricalSimulator.analyzeResults
+ */
+export const saveSimulationResult = async (results) => {
+  await runAsync(
+    `INSERT OR REPLACE INTO simulation_results
+     (runId, timestamp, parameters, totalTrades, winningTrades, losingTrades, totalProfit,
+      maxDrawdown, sharpeRatio, winRate, avgProfit, avgLoss, bestTrade, worstTrade,
+      grossProfit, grossWinRate, totalFees, slippageCost)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [results.runId, Date.now(), JSON.stringify(results.parameters), results.totalTrades,
+      results.winningTrades, results.losingTrades, results.totalProfit, results.maxDrawdown,
+      results.sharpeRatio, results.winRate, results.avgProfit, results.avgLoss,
+      JSON.stringify(results.bestTrade), JSON.stringify(results.worstTrade),
+      results.grossProfit, results.grossWinRate, results.totalFees, results.slippageCost]
+  );
+};
+
+// Функції для роботи з реєстром відомих символів
+
+/**
+ * Повертає всі відомі символи з реєстру
+ * @returns {Promise<Array>} Записи known_symbols
+ */
+export const getKnownSymbols = async () => {
+  return await allAsync('SELECT * FROM known_symbols');
+};
+
+/**
+ * Повертає запис реєстру для символу
+ * @param {string} symbol - Торгова пара
+ * @returns {Promise<Object|undefined>}
+ */
+export const getKnownSymbol = async (symbol) => {
+  return await getAsync('SELECT * FROM known_symbols WHERE symbol = ?', [symbol]);
+};
+
+/**
+ * Повертає символи, що вийшли в торгівлю після вказаного часу (без початкового знімка)
+ * @param {number} since - Час (мс)
+ * @returns {Promise<Array>}
+ */
+export const getListedSymbolsSince = async (since) => {
+  return await allAsync(
+    'SELECT * FROM known_symbols WHERE isBaseline = 0 AND listedAt >= ? ORDER BY listedAt ASC',
+    [since]
+  );
+};
+
+/**
+ * Перевіряє, чи вже був знятий початковий знімок символів
+ * @returns {Promise<boolean>}
+ */
+export const hasSymbolBaseline = async () => {
+  const row = await getAsync('SELECT COUNT(*) AS count FROM known_symbols');
+  return row.count > 0;
+};
+
+/**
+ * Зберігає символи з exchangeInfo у реєстр: додає нові та фіксує зміни статусу
+ * @param {Array<{symbol: string, status: string, baseAsset?: string, quoteAsset?: string}>} symbols - Символи з exchangeInfo
+ * @param {Object} [options]
+ * @param {boolean} [options.baseline=false] - Позначити символи як частину початкового знімка
+ * @param {number} [options.timestamp=Date.now()] - Час спостереження
+ * @returns {Promise<{added: string[], statusChanges: Array<{symbol: string, oldStatus: string, newStatus: string}>}>}
+ */
+export const saveKnownSymbols = async (symbols, { baseline = false, timestamp = Date.now() } = {}) => withTransaction(async () => {
+  // Реєстр читається в транзакції: паралельне збереження не побачить його напівоновленим
+  const existing = new Map((await getKnownSymbols()).map(row => [row.symbol, row]));
+  const added = [];
+  const statusChanges = [];
+
+  for (const { symbol, status, baseAsset = null, quoteAsset = null } of symbols) {
+    const known = existing.get(symbol);
+    const listedAt = status === 'TRADING' ? timestamp : null;
+
+    if (!known) {
+      const inserted = await changesAsync(
+        `INSERT INTO known_symbols (symbol, baseAsset, quoteAsset, status, firstSeen, listedAt, lastStatusChange, isBaseline)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(symbol) DO NOTHING`,
+        [symbol, baseAsset, quoteAsset, status, timestamp, listedAt, timestamp, baseline]
+      );
+      if (inserted === 0) continue; // дубль у самому списку
+      await runAsync(
+        'INSERT INTO symbol_status_history (symbol, oldStatus, newStatus, changedAt) VALUES (?, ?, ?, ?)',
+        [symbol, null, status, timestamp]
+      );
+      added.push(symbol);
+      continue;
+    }
+
+    if (known.status !== status) {
+      await runAsync(
+        'UPDATE known_symbols SET status = ?, lastStatusChange = ?, listedAt = COALESCE(listedAt, ?) WHERE symbol = ?',
+        [status, timestamp, listedAt, symbol]
+      );
+      await runAsync(
+        'INSERT INTO symbol_status_history (symbol, oldStatus, newStatus, changedAt) VALUES (?, ?, ?, ?)',
+        [symbol, known.status, status, timestamp]
+      );
+      statusChanges.push({ symbol, oldStatus: known.status, newStatus: status });
+    }
+  }
+
+  return { added, statusChanges };
+});
+
+/**
+ * Повертає історію змін статусу символу
+ * @param {string} symbol - Торгова пара
+ * @returns {Promise<Array>}
+ */
+export const getSymbolStatusHistory = async (symbol) => {
+  return await allAsync(
+    'SELECT * FROM symbol_status_history WHERE symbol = ? ORDER BY changedAt ASC',
+    [symbol]
+  );
+};
+
+// Функції для роботи з рішеннями фільтрів входу
+
+/**
+ * Зберігає рішення фільтрів входу для одного лістингу
+ * @param {string} symbol - Торгова пара
+ * @param {Array<{filter: string, passed: boolean, reason: string|null, value?: number, threshold?: number}>} decisions - Рішення в порядку виконання
+ * @param {number} [evaluatedAt=Date.now()] - Час перевірки
+ * @returns {Promise<void>}
+ */
+export const saveEntryDecisions = async (symbol, decisions, evaluatedAt = Date.now()) => withTransaction(async () => {
+  for (const { filter, passed, reason, value = null, threshold = null } of decisions) {
+    await runAsync(
+      `INSERT INTO entry_filter_decisions (symbol, mode, evaluatedAt, filterName, passed, reason, value, threshold)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [symbol, currentMode(), evaluatedAt, filter, passed, reason, value, threshold]
+    );
+  }
+});
+
+/**
+ * Повертає рішення фільтрів входу поточного режиму
+ * @param {Object} [options]
+ * @param {string} [options.symbol] - Лише для вказаної пари
+ * @param {number} [options.since=0] - Починаючи з часу (мс)
+ * @returns {Promise<Array>}
+ */
+export const getEntryDecisions = async ({ symbol, since = 0 } = {}) => {
+  const params = [currentMode(), since];
+  let sql = 'SELECT * FROM entry_filter_decisions WHERE mode = ? AND evaluatedAt >= ?';
+  if (symbol) {
+    sql += ' AND symbol = ?';
+    params.push(symbol);
+  }
+  return await allAsync(`${sql} ORDER BY evaluatedAt ASC, id ASC`, params);
+};
+
+/**
+ * Рахує відмови за фільтрами - які фільтри найчастіше відсіюють лістинги
+ * @param {number} [since=0] - Починаючи з часу (мс)
+ * @returns {Promise<Array<{filterName: string, rejections: number}>>}
+ */
+export const getEntryRejectionStats = async (since = 0) => {
+  return await allAsync(
+    `SELECT filterName, COUNT(*) AS rejections FROM entry_filter_decisions
+     WHERE mode = ? AND evaluatedAt >= ? AND passed = 0
+     GROUP BY filterName ORDER BY rejections DESC`,
+    [currentMode(), since]
+  );
+};
+
+// Функції для роботи зі станом ризик-менеджера
+
+// Колонки risk_state, які дозволено оновлювати
+const RISK_STATE_COLUMNS = ['haltedAt', 'haltedUntil', 'haltReason', 'peakEquity', 'peakEquityAt', 'lastResumeAt'];
+
+/**
+ * Повертає стан ризик-менеджера поточного режиму
+ * @returns {Promise<Object>} Запис risk_state (порожній стан, якщо ще не зберігався)
+ */
+export const getRiskState = async () => {
+  const row = await getAsync('SELECT * FROM risk_state WHERE mode = ?', [currentMode()]);
+  return row ?? {
+    mode: currentMode(),
+    haltedAt: null,
+    haltedUntil: null,
+    haltReason: null,
+    peakEquity: null,
+    peakEquityAt: null,
+    lastResumeAt: null
+  };
+};
+
+/**
+ * Оновлює стан ризик-менеджера поточного режиму
+ * @param {Object} fields - Поля для оновлення (лише з RISK_STATE_COLUMNS)
+ * @returns {Promise<void>}
+ */
+export const saveRiskState = async (fields) => {
+  const entries = Object.entries(fields).filter(([key]) => RISK_STATE_COLUMNS.includes(key));
+  if (entries.length === 0) return;
+
+  const columns = entries.map(([key]) => key);
+  const values = entries.map(([, value]) => value);
+  await runAsync(
+    `INSERT INTO risk_state (mode, ${columns.join(', ')}, updatedAt) VALUES (?, ${columns.map(() => '?').join(', ')}, ?)
+     ON CONFLICT(mode) DO UPDATE SET ${columns.map(c => `${c} = excluded.${c}`).join(', ')}, updatedAt = excluded.updatedAt`,
+    [currentMode(), ...values, Date.now()]
+  );
+};
+
+/**
+ * Зберігає запис про зупинку нових входів
+ * @param {Object} halt
+ * @param {number} halt.haltedAt - Час зупинки
+ * @param {number} halt.haltedUntil - Час, до якого входи зупинені
+ * @param {string} halt.reason - Причина
+ * @param {Object} [halt.metrics] - Метрики ризику на момент зупинки
+ * @returns {Promise<number>} ID запису
+ */
+export const saveRiskHalt = async ({ haltedAt, haltedUntil, reason, metrics = null }) => {
+  return await insertAsync(
+    'INSERT INTO risk_halts (mode, haltedAt, haltedUntil, reason, metrics) VALUES (?, ?, ?, ?, ?)',
+    [currentMode(), haltedAt, haltedUntil, reason, metrics ? JSON.stringify(metrics) : null]
+  );
+};
+
+/**
+ * Повертає історію зупинок поточного режиму
+ * @returns {Promise<Array>}
+ */
+export const getRiskHalts = async () => {
+  return await allAsync('SELECT * FROM risk_halts WHERE mode = ? ORDER BY haltedAt ASC', [currentMode()]);
+};
+
+/**
+ * Сума реалізованого P&L (USDT) по всіх виходах, виконаних після вказаного часу
+ * @param {number} since - Час (мс)
+ * @returns {Promise<number>}
+ */
+export const getRealizedPnlSince = async (since) => {
+  const row = await getAsync(
+    `SELECT COALESCE(SUM(e.realizedPnl - COALESCE(e.commission, 0)), 0) AS pnl FROM trade_exits e
+     JOIN trades t ON t.id = e.tradeId
+     WHERE t.mode = ? AND e.filledQty > 0 AND e.filledAt >= ?`,
+    [currentMode(), since]
+  );
+  return row.pnl;
+};
+
+/**
+ * Повертає останні закриті угоди з відомим результатом, від найновішої
+ * @param {number} limit - Кількість угод
+ * @param {number} [since=0] - Лише угоди, закриті після цього часу
+ * @returns {Promise<Array>} Записи trades з commissionUsdt - сумою комісій угоди з trade_commissions, USDT
+ */
+export const getRecentClosedTrades = async (limit, since = 0) => {
+  return await allAsync(
+    `SELECT t.*, COALESCE((SELECT SUM(c.quoteAmount) FROM trade_commissions c WHERE c.tradeId = t.id), 0) AS commissionUsdt
+     FROM trades t WHERE t.mode = ? AND t.status != 'ACTIVE' AND t.profitLoss IS NOT NULL AND t.exitTime >= ?
+     ORDER BY t.exitTime DESC LIMIT ?`,
+    [currentMode(), since, limit]
+  );
+};
+
 // Ініціалізація схеми при запуску
 initSchema().catch(err => {
   logger.error('Failed to initialize database schema:', err);
@@ -159,7 +1111,92 @@ export {
   runAsync as run,
   getAsync as get,
   allAsync as all,
+  closeAsync as close,
   initSchema
 };
 
-export default db;
\ No newline at end of file
+export default db;
+
+/**
+ * Завантажує стан рушія зведення ордерів paper-режиму
+ * @returns {Promise<{balances: Object, orders: Array, orderLists: Array}>}
+ */
+export const loadPaperState = async () => {
+  const balances = await allAsync('SELECT * FROM paper_balances');
+  const orders = await allAsync('SELECT data FROM paper_orders ORDER BY orderId ASC');
+  const orderLists = await allAsync('SELECT data FROM paper_order_lists ORDER BY orderListId ASC');
+  return {
+    balances: Object.fromEntries(balances.map(b => [b.asset, { free: b.free, locked: b.locked }])),
+    orders: orders.map(row => JSON.parse(row.data)),
+    orderLists: orderLists.map(row => JSON.parse(row.data))
+  };
+};
+
+/**
+ * Зберігає віртуальні баланси paper-режиму
+ * @param {Object<string, {free: number, locked: number}>} balances - Баланси за активом
+ * @returns {Promise<void>}
+ */
+export const savePaperBalances = async (balances) => {
+  for (const [asset, { free, locked }] of Object.entries(balances)) {
+    await runAsync(
+      `INSERT INTO paper_balances (asset, free, locked) VALUES (?, ?, ?)
+       ON CONFLICT(asset) DO UPDATE SET free = excluded.free, locked = excluded.locked`,
+      [asset, free, locked]
+    );
+  }
+};
+
+/**
+ * Зберігає ордер paper-режиму
+ * @param {Object} order - Внутрішній ордер рушія зведення
+ * @returns {Promise<void>}
+ */
+export const savePaperOrder = async (order) => {
+  await runAsync(
+    `INSERT INTO paper_orders (orderId, symbol, status, data, updateTime) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(orderId) DO UPDATE SET status = excluded.status, data = excluded.data, updateTime = excluded.updateTime`,
+    [order.orderId, order.symbol, order.status, JSON.stringify(order), order.updateTime]
+  );
+};
+
+/**
+ * Зберігає OCO список paper-режиму
+ * @param {Object} list - Внутрішній список рушія зведення
+ * @returns {Promise<void>}
+ */
+export const savePaperOrderList = async (list) => {
+  await runAsync(
+    `INSERT INTO paper_order_lists (orderListId, symbol, data) VALUES (?, ?, ?)
+     ON CONFLICT(orderListId) DO UPDATE SET data = excluded.data`,
+    [list.orderListId, list.symbol, JSON.stringify(list)]
+  );
+};
+
+// Функції для роботи зі знімком exchangeInfo
+
+/**
+ * Повертає збережений знімок exchangeInfo
+ * @returns {Promise<{symbols: Array, rateLimits: Array, serverTime: number|null, fetchedAt: number}|null>}
+ */
+export const loadExchangeInfoSnapshot = async () => {
+  const row = await getAsync('SELECT fetchedAt, data FROM exchange_info_snapshot WHERE id = 1');
+  return row ? { ...JSON.parse(row.data), fetchedAt: row.fetchedAt } : null;
+};
+
+/**
+ * Зберігає знімок exchangeInfo (замінює попередній)
+ * @param {Object} snapshot
+ * @param {Array} snapshot.symbols - Пари з exchangeInfo
+ * @param {Array} [snapshot.rateLimits] - Ліміти запитів
+ * @param {number|null} [snapshot.serverTime] - Час біржі
+ * @param {number} snapshot.fetchedAt - Час отримання
+ * @returns {Promise<void>}
+ */
+export const saveExchangeInfoSnapshot = async ({ symbols, rateLimits = [], serverTime = null, fetchedAt }) => {
+  await runAsync(
+    `INSERT INTO exchange_info_snapshot (id, fetchedAt, data) VALUES (1, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET fetchedAt = excluded.fetchedAt, data = excluded.data`,
+    [fetchedAt, JSON.stringify({ symbols, rateLimits, serverTime })]
+  );
+};
@@ -0,0 +1,218 @@
+import { config } from './config.js';
+import * as db from './database.js';
+import * as binance from './binanceClient.js';
+import logger from './logger.js';
+import { getLiquiditySettings, applyLiquidityPolicy } from './liquidity.js';
+import { checkEntry } from './riskManager.js';
+
+/**
+ * Ланцюжок фільтрів входу для нового лістингу.
+ * Фільтри виконуються в порядку ENTRY_FILTERS до першої відмови,
+ * кожне рішення зберігається в entry_filter_decisions для подальшого аналізу.
+ */
+
+const pass = (value = null, threshold = null, reason = null) => ({ passed: true, reason, value, threshold });
+const reject = (reason, value = null, threshold = null) => ({ passed: false, reason, value, threshold });
+
+// Ризик-менеджер перевіряється завжди, навіть якщо його немає в ENTRY_FILTERS
+const MANDATORY_FILTERS = ['risk'];
+
+// Токени з кредитним плечем: BTCUP, ETHDOWN, XRPBULL, ...
+const LEVERAGED_SUFFIXES = ['UP', 'DOWN', 'BULL', 'BEAR'];
+
+/**
+ * Реєстр фільтрів. Кожен фільтр отримує контекст перевірки та параметри стратегії
+ * і повертає {passed, reason, value, threshold}.
+ */
+export const ENTRY_FILTERS = {
+  risk: async (context, parameters) => {
+    const { allowed, reason } = await checkEntry(parameters, { orderAmount: context.orderAmount });
+    return allowed ? pass() : reject(reason);
+  },
+
+  cooldown: async (context) => (context.onCooldown
+    ? reject('symbol is on cooldown')
+    : pass()),
+
+  maxOpenTrades: async (context, parameters) => {
+    const openTrades = await context.openTrades();
+    return openTrades < parameters.MAX_OPEN_TRADES
+      ? pass(openTrades, parameters.MAX_OPEN_TRADES)
+      : reject(`max open trades reached (${openTrades}/${parameters.MAX_OPEN_TRADES})`, openTrades, parameters.MAX_OPEN_TRADES);
+  },
+
+  balance: async (context) => {
+    // Сума купівлі - за моделлю розміру позиції з урахуванням політики ліквідності
+    const amountUsdt = await context.orderAmount();
+    if (amountUsdt <= 0) return reject('position size is 0', amountUsdt);
+    const balance = await context.balance();
+    return balance >= amountUsdt
+      ? pass(balance, amountUsdt)
+      : reject(`insufficient balance: ${balance} USDT for ${amountUsdt.toFixed(2)} USDT order`, balance, amountUsdt);
+  },
+
+  blacklist: async ({ symbol }, parameters) => {
+    const list = (parameters.SYMBOL_BLACKLIST || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    if (list.includes(symbol)) {
+      return reject('symbol is blacklisted');
+    }
+    if (parameters.SYMBOL_BLACKLIST_REGEX && new RegExp(parameters.SYMBOL_BLACKLIST_REGEX).test(symbol)) {
+      return reject(`symbol matches blacklist pattern ${parameters.SYMBOL_BLACKLIST_REGEX}`);
+    }
+    return pass();
+  },
+
+  leveragedToken: async (context) => {
+    const baseAsset = await context.baseAsset();
+    const suffix = LEVERAGED_SUFFIXES.find(s => baseAsset.endsWith(s));
+    if (!suffix) return pass();
+
+    // BTCUP - токен з плечем лише якщо BTC існує як окремий актив (JUP, SYRUP - звичайні токени)
+    const underlying = baseAsset.slice(0, -suffix.length);
+    const knownAssets = await context.knownBaseAssets();
+    return underlying && knownAssets.has(underlying)
+      ? reject(`leveraged token on ${underlying}`)
+      : pass();
+  },
+
+  volume24h: async (context, parameters) => {
+    const ticker = await context.ticker();
+    if (!ticker) return reject('24h ticker unavailable');
+    return ticker.volume24h >= parameters.MIN_VOLUME_24H_USDT
+      ? pass(ticker.volume24h, parameters.MIN_VOLUME_24H_USDT)
+      : reject(`24h volume ${ticker.volume24h.toFixed(2)} USDT is too low`, ticker.volume24h, parameters.MIN_VOLUME_24H_USDT);
+  },
+
+  priceChange: async (context, parameters) => {
+    const ticker = await context.ticker();
+    if (!ticker) return reject('24h ticker unavailable');
+    // Для нового лістингу 24-годинне вікно починається з відкриття торгів
+    const change = ticker.priceChange24h / 100;
+    return change <= parameters.MAX_PRICE_CHANGE_PERCENT
+      ? pass(change, parameters.MAX_PRICE_CHANGE_PERCENT)
+      : reject(`price already up ${(change * 100).toFixed(1)}% since open`, change, parameters.MAX_PRICE_CHANGE_PERCENT);
+  },
+
+  spread: async (context, parameters) => {
+    const liquidity = await context.liquidity();
+    if (!liquidity) return reject('order book is empty');
+    return liquidity.spread <= parameters.MAX_SPREAD_PERCENT
+      ? pass(liquidity.spread, parameters.MAX_SPREAD_PERCENT)
+      : reject(`spread ${(liquidity.spread * 100).toFixed(2)}% is too wide`, liquidity.spread, parameters.MAX_SPREAD_PERCENT);
+  },
+
+  depth: async (context, parameters) => {
+    // Обсяг asks (нашої сторони при купівлі) у межах DEPTH_RANGE_PERCENT від середньої ціни
+    const liquidity = await context.liquidity();
+    if (!liquidity) return reject('order book is empty');
+    return liquidity.depthUsdt >= parameters.MIN_LIQUIDITY_USDT
+      ? pass(liquidity.depthUsdt, parameters.MIN_LIQUIDITY_USDT)
+      : reject(`low liquidity: ${liquidity.depthUsdt.toFixed(2)} USDT within ${(parameters.DEPTH_RANGE_PERCENT * 100).toFixed(1)}%`, liquidity.depthUsdt, parameters.MIN_LIQUIDITY_USDT);
+  },
+
+  slippage: async (context, parameters) => {
+    const liquidity = await context.liquidity();
+    if (!liquidity) return reject('order book is empty');
+    // Зменшення розміру угоди - не відмова: фактичний обсяг визначає executeTrade
+    const sizing = applyLiquidityPolicy(liquidity, await context.positionAmount(), getLiquiditySettings(parameters));
+    const slippage = Number.isFinite(liquidity.slippage) ? liquidity.slippage : null;
+    return sizing.action === 'skip'
+      ? reject(sizing.reason, slippage, parameters.MAX_SLIPPAGE_PERCENT)
+      : pass(slippage, parameters.MAX_SLIPPAGE_PERCENT, sizing.reason);
+  }
+};
+
+/**
+ * Розбирає список увімкнених фільтрів
+ * @param {Object} parameters - Параметри стратегії (config або набір для симуляції)
+ * @returns {string[]} Назви фільтрів у порядку виконання
+ */
+export const getEntryFilterNames = (parameters) => {
+  const names = (parameters.ENTRY_FILTERS || '').split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = names.filter(name => !ENTRY_FILTERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown entry filter(s): ${unknown.join(', ')}. Available: ${Object.keys(ENTRY_FILTERS).join(', ')}`);
+  }
+  return [...MANDATORY_FILTERS.filter(name => !names.includes(name)), ...names];
+};
+
+// Обчислює значення один раз і лише тоді, коли воно потрібне якомусь фільтру
+const lazy = (fn) => {
+  let promise = null;
+  return () => (promise ??= fn());
+};
+
+/**
+ * Створює контекст перевірки: дані з біржі та БД завантажуються ліниво і спільні для всіх фільтрів
+ * @param {string} symbol - Торгова пара
+ * @param {Object} state - Стан бота (onCooldown, sizePosition)
+ * @param {Object} parameters - Параметри стратегії
+ * @returns {Object}
+ */
+const createContext = (symbol, { sizePosition, ...state }, parameters) => {
+  // Без моделі розміру позиції - фіксована сума BUY_AMOUNT_USDT
+  const positionAmount = lazy(async () => (sizePosition ? (await sizePosition()).amountUsdt : parameters.BUY_AMOUNT_USDT));
+  const liquidity = lazy(async () => binance.checkLiquidity(symbol, {
+    ...getLiquiditySettings(parameters),
+    amountUsdt: await positionAmount()
+  }));
+
+  return {
+    symbol,
+    ...state,
+    baseAsset: lazy(async () => (await binance.getSymbolRules(symbol)).baseAsset),
+    knownBaseAssets: lazy(async () => new Set((await db.getKnownSymbols()).map(s => s.baseAsset))),
+    openTrades: lazy(async () => (await db.getActiveTrades()).length),
+    balance: lazy(() => binance.getBalance()),
+    ticker: lazy(() => binance.get24hrTicker(symbol)),
+    positionAmount,
+    liquidity,
+    // Сума, яку купить executeTrade: розмір позиції, зменшений політикою ліквідності
+    orderAmount: lazy(async () => applyLiquidityPolicy(await liquidity(), await positionAmount(), getLiquiditySettings(parameters)).amountUsdt)
+  };
+};
+
+/**
+ * Проганяє лістинг через ланцюжок фільтрів входу та зберігає рішення
+ * @param {string} symbol - Торгова пара
+ * @param {Object} [state] - Стан бота
+ * @param {boolean} [state.onCooldown=false] - Чи пара на cooldown
+ * @param {() => Promise<{amountUsdt: number}>} [state.sizePosition] - Розмір позиції за моделлю (без нього - BUY_AMOUNT_USDT)
+ * @param {Object} [parameters=config] - Параметри стратегії
+ * @returns {Promise<{passed: boolean, rejectedBy: string|null, decisions: Array}>}
+ */
+export const runEntryFilters = async (symbol, { onCooldown = false, sizePosition } = {}, parameters = config) => {
+  const context = createContext(symbol, { onCooldown, sizePosition }, parameters);
+  const decisions = [];
+  let rejectedBy = null;
+
+  for (const name of getEntryFilterNames(parameters)) {
+    let decision;
+    try {
+      decision = await ENTRY_FILTERS[name](context, parameters);
+    } catch (error) {
+      decision = reject(`filter error: ${error.message}`);
+    }
+
+    decisions.push({ filter: name, ...decision });
+    if (!decision.passed) {
+      rejectedBy = name;
+      break;
+    }
+  }
+
+  try {
+    await db.saveEntryDecisions(symbol, decisions);
+  } catch (error) {
+    logger.error(`Failed to save entry decisions for ${symbol}:`, error.message);
+  }
+
+  if (rejectedBy) {
+    const { reason } = decisions[decisions.length - 1];
+    logger.info(`🚫 ${symbol} skipped by ${rejectedBy} filter: ${reason}`);
+  } else {
+    logger.info(`✅ ${symbol} passed ${decisions.length} entry filter(s)`);
+  }
+
+  return { passed: !rejectedBy, rejectedBy, decisions };
+};
@@ -0,0 +1,626 @@
+import logger from '../logger.js';
+
+/**
+ * Спрощений рушій зведення ордерів з віртуальним балансом.
+ * Приймає та повертає дані у форматі REST API Binance, тому код бота працює з ним так само,
+ * як з біржею. Ринкові ордери виконуються по рівнях книги ордерів, а лімітні та стоп-ордери
+ * на продаж звіряються з останньою ціною під час кожного звернення до них. Якщо джерело даних
+ * знає максимум і мінімум ціни між зверненнями (свічки), ордери звіряються і з ними.
+ * Джерело ринкових даних і сховище стану передаються ззовні.
+ */
+
+// Зберігання стану в пам'яті (за замовчуванням): стан живе до перезапуску процесу
+const memoryStore = {
+  loadState: async () => ({ balances: {}, orders: [], orderLists: [] }),
+  saveBalances: async () => {},
+  saveOrder: async () => {},
+  saveOrderList: async () => {}
+};
+
+// Типи ордерів, що чекають на ціну (решта виконується одразу)
+const RESTING_TYPES = ['LIMIT', 'LIMIT_MAKER', 'STOP_LOSS_LIMIT'];
+
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+
+// Помилки у форматі відповіді Binance (code, msg), щоб їх обробка не залежала від режиму
+const exchangeError = (code, msg) => Object.assign(new Error(msg), { code });
+
+export class MatchingEngine {
+  /**
+   * @param {Object} options
+   * @param {Object} options.marketData - Джерело ринкових даних
+   * @param {Function} options.marketData.getPrice - (symbol) => Promise<number>
+   * @param {Function} options.marketData.getOrderBook - (symbol) => Promise<{bids, asks}|null>
+   * @param {Function} [options.marketData.getPriceRange] - (symbol, since) => Promise<{high, low}|null> екстремуми ціни з моменту since
+   * @param {Function} options.getRules - (symbol) => Promise<Object> правила пари (baseAsset, quoteAsset)
+   * @param {number} options.feeRate - Комісія за одну сторону угоди
+   * @param {Object<string, number>} [options.initialBalances] - Стартовий баланс, якщо сховище порожнє
+   * @param {Object} [options.store] - Сховище стану (loadState, saveBalances, saveOrder, saveOrderList)
+   * @param {Function} [options.now] - Джерело часу (у симуляції - час свічки)
+   */
+  constructor({ marketData, getRules, feeRate, initialBalances = {}, store = memoryStore, now = Date.now }) {
+    this.marketData = marketData;
+    this.getRules = getRules;
+    this.feeRate = feeRate;
+    this.initialBalances = initialBalances;
+    this.store = store;
+    this.now = now;
+
+    this.balances = new Map();
+    this.orders = new Map();
+    this.orderLists = new Map();
+    this.nextOrderId = 1;
+    this.nextOrderListId = 1;
+    this.matchedAt = new Map();
+  }
+
+  /**
+   * Відновлює стан зі сховища або ініціалізує стартовий баланс
+   */
+  async load() {
+    const { balances, orders, orderLists } = await this.store.loadState();
+
+    if (Object.keys(balances).length === 0) {
+      for (const [asset, free] of Object.entries(this.initialBalances)) {
+        this.balances.set(asset, { free, locked: 0 });
+      }
+      await this.saveBalances();
+    } else {
+      for (const [asset, balance] of Object.entries(balances)) {
+        this.balances.set(asset, { ...balance });
+      }
+    }
+
+    for (const order of orders) {
+      this.orders.set(order.orderId, order);
+      this.nextOrderId = Math.max(this.nextOrderId, order.orderId + 1);
+    }
+    for (const list of orderLists) {
+      this.orderLists.set(list.orderListId, list);
+      this.nextOrderListId = Math.max(this.nextOrderListId, list.orderListId + 1);
+    }
+
+    logger.info(`📒 Matching engine loaded: ${this.orders.size} order(s), USDT ${this.balance('USDT').free}`);
+  }
+
+  // ===== Баланси =====
+
+  balance(asset) {
+    if (!this.balances.has(asset)) {
+      this.balances.set(asset, { free: 0, locked: 0 });
+    }
+    return this.balances.get(asset);
+  }
+
+  async saveBalances() {
+    await this.store.saveBalances(Object.fromEntries(this.balances));
+  }
+
+  lock(asset, amount) {
+    const balance = this.balance(asset);
+    if (balance.free < amount - 1e-12) {
+      throw exchangeError(-2010, 'Account has insufficient balance for requested action.');
+    }
+    balance.free -= amount;
+    balance.locked += amount;
+  }
+
+  unlock(asset, amount) {
+    const balance = this.balance(asset);
+    balance.locked = Math.max(0, balance.locked - amount);
+    balance.free += amount;
+  }
+
+  /**
+   * Баланси акаунта
+   * @returns {Object<string, {free: number, locked: number}>}
+   */
+  account() {
+    return Object.fromEntries([...this.balances]
+      .filter(([, b]) => b.free > 0 || b.locked > 0)
+      .map(([asset, b]) => [asset, { ...b }]));
+  }
+
+  // ===== Ордери =====
+
+  createOrder(symbol, side, type, quantity, { price = 0, stopPrice = 0, orderListId = -1, clientOrderId } = {}) {
+    const time = this.now();
+    const orderId = this.nextOrderId++;
+    const order = {
+      symbol,
+      orderId,
+      orderListId,
+      clientOrderId: clientOrderId || `engine-${orderId}`,
+      price,
+      origQty: quantity,
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      status: 'NEW',
+      timeInForce: type === 'MARKET' || type === 'LIMIT_MAKER' ? null : 'GTC',
+      type,
+      side,
+      stopPrice,
+      time,
+      updateTime: time,
+      fills: []
+    };
+    this.orders.set(order.orderId, order);
+    return order;
+  }
+
+  /**
+   * Відображення ордера у форматі відповіді REST API
+   * @param {Object} order - Внутрішній ордер
+   * @param {boolean} [withFills=false] - Додати fills (відповідь FULL)
+   * @returns {Object}
+   */
+  view(order, withFills = false) {
+    const { fills, triggered, ...fields } = order;
+    const report = {
+      ...fields,
+      price: String(order.price),
+      origQty: String(order.origQty),
+      executedQty: String(order.executedQty),
+      cummulativeQuoteQty: String(order.cummulativeQuoteQty),
+      stopPrice: String(order.stopPrice),
+      isWorking: OPEN_STATUSES.includes(order.status)
+    };
+    if (withFills) {
+      report.transactTime = order.updateTime;
+      report.fills = fills.map(f => this.viewFill(f));
+    }
+    return report;
+  }
+
+  viewFill(fill) {
+    return {
+      price: String(fill.price),
+      qty: String(fill.qty),
+      commission: String(fill.commission),
+      commissionAsset: fill.commissionAsset
+    };
+  }
+
+  // Як і біржа, clientOrderId має бути унікальним серед відкритих ордерів
+  assertNewClientOrderId(...clientOrderIds) {
+    const ids = clientOrderIds.filter(Boolean);
+    if ([...this.orders.values()].some(o => OPEN_STATUSES.includes(o.status) && ids.includes(o.clientOrderId))) {
+      throw exchangeError(-2010, 'Duplicate order sent.');
+    }
+  }
+
+  getKnownOrder(orderId) {
+    const order = this.orders.get(Number(orderId));
+    if (!order) {
+      throw exchangeError(-2013, 'Order does not exist.');
+    }
+    return order;
+  }
+
+  /**
+   * Фіксує виконання частини ордера та проводить його по балансах.
+   * Комісія списується з отриманого активу: базового при купівлі, котирувального при продажу.
+   */
+  applyFill(order, rules, price, qty) {
+    const quote = price * qty;
+    const base = this.balance(rules.baseAsset);
+    const quoteBalance = this.balance(rules.quoteAsset);
+    let commission;
+    let commissionAsset;
+
+    if (order.side === 'BUY') {
+      commission = qty * this.feeRate;
+      commissionAsset = rules.baseAsset;
+      quoteBalance.free -= quote;
+      base.free += qty - commission;
+    } else {
+      commission = quote * this.feeRate;
+      commissionAsset = rules.quoteAsset;
+      // Ринковий продаж списується з вільного балансу, лімітні ордери - із заблокованого
+      if (order.type === 'MARKET') base.free -= qty;
+      else base.locked = Math.max(0, base.locked - qty);
+      quoteBalance.free += quote - commission;
+    }
+
+    order.fills.push({ price, qty, commission, commissionAsset, time: this.now() });
+    order.executedQty += qty;
+    order.cummulativeQuoteQty += quote;
+    order.updateTime = this.now();
+  }
+
+  /**
+   * Ринковий ордер, що виконується по рівнях книги ордерів
+   * @param {string} symbol - Торгова пара
+   * @param {'BUY'|'SELL'} side - Сторона
+   * @param {number|string} quantity - Обсяг базового активу
+   * @param {Object} [options]
+   * @param {string} [options.clientOrderId] - newClientOrderId
+   * @returns {Promise<Object>} Відповідь FULL
+   */
+  async marketOrder(symbol, side, quantity, { clientOrderId } = {}) {
+    this.assertNewClientOrderId(clientOrderId);
+    const rules = await this.getRules(symbol);
+    const qty = parseFloat(quantity);
+
+    // Без книги (порожня або недоступна) виконуємо за останньою ціною
+    const book = await this.marketData.getOrderBook(symbol);
+    const levels = book ? (side === 'BUY' ? book.asks : book.bids) : [];
+    const fills = [];
+    let remaining = qty;
+    for (const [price, levelQty] of levels) {
+      if (remaining <= 1e-12) break;
+      const take = Math.min(levelQty, remaining);
+      fills.push([price, take]);
+      remaining -= take;
+    }
+    if (levels.length === 0) {
+      fills.push([await this.marketData.getPrice(symbol), qty]);
+      remaining = 0;
+    }
+
+    const cost = fills.reduce((sum, [price, take]) => sum + price * take, 0);
+    if (side === 'BUY' && this.balance(rules.quoteAsset).free < cost - 1e-9) {
+      throw exchangeError(-2010, 'Account has insufficient balance for requested action.');
+    }
+    if (side === 'SELL' && this.balance(rules.baseAsset).free < qty - 1e-12) {
+      throw exchangeError(-2010, 'Account has insufficient balance for requested action.');
+    }
+
+    const order = this.createOrder(symbol, side, 'MARKET', qty, { clientOrderId });
+    for (const [price, take] of fills) {
+      this.applyFill(order, rules, price, take);
+    }
+    // Книги не вистачило на весь обсяг - залишок ордера згорає, як на біржі
+    order.status = remaining > 1e-12 ? 'EXPIRED' : 'FILLED';
+
+    await this.store.saveOrder(order);
+    await this.saveBalances();
+    return this.view(order, true);
+  }
+
+  /**
+   * Лімітний ордер на продаж
+   * @param {string} symbol - Торгова пара
+   * @param {number|string} quantity - Обсяг
+   * @param {number|string} price - Лімітна ціна
+   * @param {Object} [options]
+   * @param {'LIMIT'|'LIMIT_MAKER'} [options.type='LIMIT'] - Тип ордера
+   * @param {string} [options.clientOrderId] - newClientOrderId
+   * @returns {Promise<Object>}
+   */
+  async limitSell(symbol, quantity, price, { type = 'LIMIT', clientOrderId } = {}) {
+    const order = await this.placeResting(symbol, type, quantity, { price: parseFloat(price), clientOrderId });
+    return this.view(order);
+  }
+
+  /**
+   * STOP_LOSS_LIMIT на продаж
+   * @param {string} symbol - Торгова пара
+   * @param {number|string} quantity - Обсяг
+   * @param {number|string} stopPrice - Тригер
+   * @param {number|string} price - Лімітна ціна
+   * @param {Object} [options]
+   * @param {string} [options.clientOrderId] - newClientOrderId
+   * @returns {Promise<Object>}
+   */
+  async stopLossSell(symbol, quantity, stopPrice, price, { clientOrderId } = {}) {
+    const order = await this.placeResting(symbol, 'STOP_LOSS_LIMIT', quantity, {
+      price: parseFloat(price),
+      stopPrice: parseFloat(stopPrice),
+      clientOrderId
+    });
+    return this.view(order);
+  }
+
+  /**
+   * OCO на продаж: LIMIT_MAKER вище ринку + STOP_LOSS_LIMIT нижче
+   * @param {Object} [clientIds] - listClientOrderId, aboveClientOrderId, belowClientOrderId
+   * @returns {Promise<{orderListId: number, listOrderStatus: string, orderReports: Array}>}
+   */
+  async ocoSell(symbol, quantity, abovePrice, belowStopPrice, belowPrice, clientIds = {}) {
+    const { listClientOrderId, aboveClientOrderId, belowClientOrderId } = clientIds;
+    this.assertNewClientOrderId(aboveClientOrderId, belowClientOrderId);
+    const rules = await this.getRules(symbol);
+    const qty = parseFloat(quantity);
+
+    // Обсяг блокується один раз на весь список
+    await this.validateAgainstMarket(symbol, 'LIMIT_MAKER', { price: parseFloat(abovePrice) });
+    await this.validateAgainstMarket(symbol, 'STOP_LOSS_LIMIT', { stopPrice: parseFloat(belowStopPrice) });
+    this.lock(rules.baseAsset, qty);
+    const orderListId = this.nextOrderListId++;
+
+    const tp = this.createOrder(symbol, 'SELL', 'LIMIT_MAKER', qty, {
+      price: parseFloat(abovePrice),
+      orderListId,
+      clientOrderId: aboveClientOrderId
+    });
+    const sl = this.createOrder(symbol, 'SELL', 'STOP_LOSS_LIMIT', qty, {
+      price: parseFloat(belowPrice),
+      stopPrice: parseFloat(belowStopPrice),
+      orderListId,
+      clientOrderId: belowClientOrderId
+    });
+    const list = {
+      orderListId,
+      listClientOrderId: listClientOrderId || `engine-list-${orderListId}`,
+      symbol,
+      listOrderStatus: 'EXECUTING',
+      orderIds: [sl.orderId, tp.orderId],
+      transactionTime: this.now()
+    };
+    this.orderLists.set(orderListId, list);
+
+    await this.store.saveOrder(tp);
+    await this.store.saveOrder(sl);
+    await this.store.saveOrderList(list);
+    await this.saveBalances();
+
+    return { ...this.viewList(list), orderReports: [this.view(sl), this.view(tp)] };
+  }
+
+  async placeResting(symbol, type, quantity, { price, stopPrice = 0, clientOrderId }) {
+    this.assertNewClientOrderId(clientOrderId);
+    const rules = await this.getRules(symbol);
+    const qty = parseFloat(quantity);
+    await this.validateAgainstMarket(symbol, type, { price, stopPrice });
+
+    this.lock(rules.baseAsset, qty);
+    const order = this.createOrder(symbol, 'SELL', type, qty, { price, stopPrice, clientOrderId });
+    await this.store.saveOrder(order);
+    await this.saveBalances();
+
+    // Лімітний ордер нижче ринку виконується одразу
+    await this.match(symbol);
+    return order;
+  }
+
+  // Як і біржа, відхиляємо LIMIT_MAKER, що виконався б одразу, і стоп, що спрацював би одразу
+  async validateAgainstMarket(symbol, type, { price, stopPrice }) {
+    if (type !== 'LIMIT_MAKER' && type !== 'STOP_LOSS_LIMIT') return;
+    const lastPrice = await this.marketData.getPrice(symbol);
+    if (type === 'LIMIT_MAKER' && price <= lastPrice) {
+      throw exchangeError(-2010, 'Order would immediately match and take.');
+    }
+    if (type === 'STOP_LOSS_LIMIT' && stopPrice >= lastPrice) {
+      throw exchangeError(-2010, 'Stop price would trigger immediately.');
+    }
+  }
+
+  /**
+   * Звіряє відкриті ордери пари з останньою ціною, а за наявності getPriceRange -
+   * і з екстремумами ціни з попередньої звірки (або з моменту створення ордера).
+   * Без getPriceRange ціна перевіряється лише в моменти звернення, тому короткі проколи між ними не виконують ордери.
+   * @param {string} symbol - Торгова пара
+   */
+  async match(symbol) {
+    const open = [...this.orders.values()]
+      .filter(o => o.symbol === symbol && OPEN_STATUSES.includes(o.status) && RESTING_TYPES.includes(o.type));
+    if (open.length === 0) return;
+
+    const price = await this.marketData.getPrice(symbol);
+    const rules = await this.getRules(symbol);
+    const matchedAt = this.matchedAt.get(symbol) ?? 0;
+    this.matchedAt.set(symbol, this.now());
+
+    for (const order of open) {
+      if (!OPEN_STATUSES.includes(order.status)) continue; // друга нога OCO, яку вже скасовано
+
+      const { high, low } = await this.priceRange(symbol, Math.max(order.time, matchedAt), price);
+      let fillPrice = null;
+      if (order.type === 'STOP_LOSS_LIMIT') {
+        const wasTriggered = Boolean(order.triggered);
+        order.triggered = wasTriggered || low <= order.stopPrice;
+        // Після спрацювання тригера лімітний ордер виконується, поки ціна не нижче ліміту.
+        // Екстремуми періоду спрацювання не враховуються: невідомо, чи був максимум після тригера
+        if (order.triggered && price >= order.price) {
+          fillPrice = Math.min(price, order.stopPrice);
+        } else if (wasTriggered && high >= order.price) {
+          fillPrice = order.price;
+        }
+      } else if (high >= order.price) {
+        fillPrice = order.price;
+      }
+      if (fillPrice === null) {
+        if (order.triggered) await this.store.saveOrder(order);
+        continue;
+      }
+
+      this.applyFill(order, rules, fillPrice, order.origQty - order.executedQty);
+      order.status = 'FILLED';
+      await this.store.saveOrder(order);
+      if (order.orderListId !== -1) {
+        await this.finishList(order, 'EXPIRED');
+      }
+    }
+
+    await this.saveBalances();
+  }
+
+  // Екстремуми ціни з моменту since разом з останньою ціною
+  async priceRange(symbol, since, price) {
+    const range = await this.marketData.getPriceRange?.(symbol, since);
+    return range
+      ? { high: Math.max(range.high, price), low: Math.min(range.low, price) }
+      : { high: price, low: price };
+  }
+
+  // Виконання однієї ноги OCO завершує список, друга нога знімається без розблокування (обсяг уже продано)
+  async finishList(filledOrder, otherStatus) {
+    const list = this.orderLists.get(filledOrder.orderListId);
+    for (const orderId of list.orderIds) {
+      const other = this.orders.get(orderId);
+      if (other.orderId === filledOrder.orderId || !OPEN_STATUSES.includes(other.status)) continue;
+      other.status = otherStatus;
+      other.updateTime = this.now();
+      await this.store.saveOrder(other);
+    }
+    list.listOrderStatus = 'ALL_DONE';
+    await this.store.saveOrderList(list);
+  }
+
+  viewList(list) {
+    return {
+      orderListId: list.orderListId,
+      listClientOrderId: list.listClientOrderId,
+      contingencyType: 'OCO',
+      listStatusType: list.listOrderStatus === 'ALL_DONE' ? 'ALL_DONE' : 'EXEC_STARTED',
+      listOrderStatus: list.listOrderStatus,
+      symbol: list.symbol,
+      transactionTime: list.transactionTime,
+      orders: list.orderIds.map(orderId => ({
+        symbol: list.symbol,
+        orderId,
+        clientOrderId: this.orders.get(orderId).clientOrderId
+      }))
+    };
+  }
+
+  /**
+   * Стан ордера
+   * @param {string} symbol - Торгова пара
+   * @param {number|string} orderId - ID ордера
+   * @returns {Promise<Object>}
+   */
+  async getOrder(symbol, orderId) {
+    await this.match(symbol);
+    return this.view(this.getKnownOrder(orderId));
+  }
+
+  /**
+   * Стан ордера за clientOrderId (останній ордер з таким ID, як і на біржі)
+   * @param {string} symbol - Торгова пара
+   * @param {string} clientOrderId - origClientOrderId
+   * @returns {Promise<Object>}
+   */
+  async getOrderByClientId(symbol, clientOrderId) {
+    await this.match(symbol);
+    const order = [...this.orders.values()]
+      .filter(o => o.symbol === symbol && o.clientOrderId === clientOrderId)
+      .pop();
+    if (!order) {
+      throw exchangeError(-2013, 'Order does not exist.');
+    }
+    return this.view(order);
+  }
+
+  /**
+   * Стан OCO списку
+   * @param {number|string} orderListId - ID списку
+   * @returns {Promise<Object>}
+   */
+  async getOrderList(orderListId) {
+    return this.viewMatchedList(this.orderLists.get(Number(orderListId)));
+  }
+
+  /**
+   * Стан OCO списку за listClientOrderId
+   * @param {string} listClientOrderId - origClientOrderId списку
+   * @returns {Promise<Object>}
+   */
+  async getOrderListByClientId(listClientOrderId) {
+    return this.viewMatchedList([...this.orderLists.values()].filter(l => l.listClientOrderId === listClientOrderId).pop());
+  }
+
+  async viewMatchedList(list) {
+    if (!list) {
+      throw exchangeError(-2018, 'Order list does not exist.');
+    }
+    await this.match(list.symbol);
+    return this.viewList(list);
+  }
+
+  /**
+   * Скасовує окремий ордер
+   * @param {string} symbol - Торгова пара
+   * @param {number|string} orderId - ID ордера
+   * @returns {Promise<Object>}
+   */
+  async cancelOrder(symbol, orderId) {
+    await this.match(symbol);
+    const order = this.getKnownOrder(orderId);
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw exchangeError(-2011, 'Unknown order sent.');
+    }
+    if (order.orderListId !== -1) {
+      return (await this.cancelOrderList(symbol, order.orderListId)).orderReports.find(o => o.orderId === order.orderId);
+    }
+
+    const rules = await this.getRules(symbol);
+    this.unlock(rules.baseAsset, order.origQty - order.executedQty);
+    order.status = 'CANCELED';
+    order.updateTime = this.now();
+    await this.store.saveOrder(order);
+    await this.saveBalances();
+    return this.view(order);
+  }
+
+  /**
+   * Скасовує OCO список (обидві ноги)
+   * @param {string} symbol - Торгова пара
+   * @param {number|string} orderListId - ID списку
+   * @returns {Promise<Object>}
+   */
+  async cancelOrderList(symbol, orderListId) {
+    await this.match(symbol);
+    const list = this.orderLists.get(Number(orderListId));
+    if (!list || list.listOrderStatus === 'ALL_DONE') {
+      throw exchangeError(-2011, 'Unknown order sent.');
+    }
+
+    const rules = await this.getRules(symbol);
+    const orders = list.orderIds.map(orderId => this.orders.get(orderId));
+    // Ноги списку ділять один заблокований обсяг
+    this.unlock(rules.baseAsset, orders[0].origQty - Math.max(...orders.map(o => o.executedQty)));
+    for (const order of orders) {
+      order.status = 'CANCELED';
+      order.updateTime = this.now();
+      await this.store.saveOrder(order);
+    }
+    list.listOrderStatus = 'ALL_DONE';
+    await this.store.saveOrderList(list);
+    await this.saveBalances();
+
+    return { ...this.viewList(list), orderReports: orders.map(o => this.view(o)) };
+  }
+
+  /**
+   * Відкриті ордери
+   * @param {string} [symbol] - Торгова пара (без неї - всі пари)
+   * @returns {Promise<Array>}
+   */
+  async openOrders(symbol) {
+    const symbols = symbol
+      ? [symbol]
+      : [...new Set([...this.orders.values()].filter(o => OPEN_STATUSES.includes(o.status)).map(o => o.symbol))];
+    for (const s of symbols) {
+      await this.match(s);
+    }
+    return [...this.orders.values()]
+      .filter(o => symbols.includes(o.symbol) && OPEN_STATUSES.includes(o.status))
+      .map(o => this.view(o));
+  }
+
+  /**
+   * Історія ордерів пари
+   * @param {string} symbol - Торгова пара
+   * @param {number} [startTime=0] - Початок періоду
+   * @returns {Promise<Array>}
+   */
+  async allOrders(symbol, startTime = 0) {
+    await this.match(symbol);
+    return [...this.orders.values()]
+      .filter(o => o.symbol === symbol && o.time >= startTime)
+      .map(o => this.view(o));
+  }
+
+  /**
+   * Виконання ордера (аналог myTrades)
+   * @param {string} symbol - Торгова пара
+   * @param {number|string} orderId - ID ордера
+   * @returns {Array}
+   */
+  myTrades(symbol, orderId) {
+    const order = this.getKnownOrder(orderId);
+    return order.fills.map(fill => ({ symbol, orderId: order.orderId, ...this.viewFill(fill), time: fill.time }));
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Mock exchangeInfo: довідник пар симуляції з відомими фільтрами і фікстура для symbolRules.
+ * Без залежностей від БД і API, тож придатний для тестів.
+ */
+
+// Фільтри mock-символів у форматі exchangeInfo
+const mockFilters = (tickSize, stepSize, minNotional = '5.00000000') => [
+  { filterType: 'PRICE_FILTER', minPrice: tickSize, maxPrice: '1000000.00000000', tickSize },
+  { filterType: 'LOT_SIZE', minQty: stepSize, maxQty: '9000000.00000000', stepSize },
+  { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '100000.00000000', stepSize: '0.00000000' },
+  { filterType: 'NOTIONAL', minNotional, applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false }
+];
+
+const mockSymbol = (baseAsset, tickSize, stepSize) => ({
+  symbol: `${baseAsset}USDT`,
+  status: 'TRADING',
+  baseAsset,
+  quoteAsset: 'USDT',
+  filters: mockFilters(tickSize, stepSize)
+});
+
+const mockExchangeInfo = {
+  symbols: [
+    mockSymbol('BTC', '0.01', '0.00001'),
+    mockSymbol('ETH', '0.01', '0.0001'),
+    mockSymbol('BNB', '0.01', '0.001'),
+    mockSymbol('SOL', '0.01', '0.001'),
+    mockSymbol('XRP', '0.0001', '0.1'),
+    mockSymbol('PIXEL', '0.00001', '0.1'),
+    mockSymbol('PORTAL', '0.0001', '0.1'),
+    mockSymbol('ACE', '0.001', '0.01'),
+    // Додайте більше символів
+  ]
+};
+
+/**
+ * Mock exchangeInfo для симуляції та як фікстура для перевірки symbolRules
+ * @returns {Object} Копія, яку можна змінювати
+ */
+export const getMockExchangeInfo = () => structuredClone(mockExchangeInfo);
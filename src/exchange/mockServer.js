@@ -0,0 +1,302 @@
+import http from 'http';
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import logger from '../logger.js';
+import { MatchingEngine } from './matchingEngine.js';
+import { createScenarioMarket } from './scenario.js';
+
+/**
+ * Локальна заміна REST API Binance Spot для наскрізного тестування без testnet.
+ * Обслуговує ендпоінти, якими користується бот через @binance/connector;
+ * ціни бере зі сценарію, ордери виконує MatchingEngine.
+ * User data stream (ws://<host>/ws/<listenKey>) транслює зміни ордерів і балансів рушія,
+ * ринковий потік (ws://<host>/ws + SUBSCRIBE) - !miniTicker@arr по парах сценарію.
+ * Підписи запитів не перевіряються.
+ */
+
+// Як часто рушій звіряє відкриті ордери з ціною без запитів бота і шле mini-ticker (на Binance - щосекунди)
+const TICK_INTERVAL_MS = 1000;
+
+// Тип події executionReport за статусом ордера (виконання - TRADE)
+const EXECUTION_TYPES = { NEW: 'NEW', CANCELED: 'CANCELED', EXPIRED: 'EXPIRED' };
+
+/**
+ * Створює HTTP сервер mock-біржі
+ * @param {Object} scenario - Результат loadScenario
+ * @returns {{server: http.Server, market: Object, engine: MatchingEngine, streams: Object}}
+ */
+export const createMockExchange = (scenario) => {
+  const market = createScenarioMarket(scenario);
+
+  // listenKey -> підключені до нього сокети
+  const listenKeys = new Map();
+  const publish = (event) => {
+    const message = JSON.stringify(event);
+    for (const sockets of listenKeys.values()) {
+      for (const socket of sockets) socket.send(message);
+    }
+  };
+
+  const requireListenKey = (listenKey) => {
+    if (!listenKeys.has(listenKey)) {
+      throw Object.assign(new Error('This listenKey does not exist.'), { code: -1125 });
+    }
+    return listenKeys.get(listenKey);
+  };
+
+  const executionReport = (order, lastFill) => ({
+    e: 'executionReport',
+    E: market.now(),
+    s: order.symbol,
+    c: order.clientOrderId,
+    S: order.side,
+    o: order.type,
+    f: order.timeInForce ?? 'GTC',
+    q: String(order.origQty),
+    p: String(order.price),
+    P: String(order.stopPrice),
+    x: lastFill ? 'TRADE' : EXECUTION_TYPES[order.status] ?? 'NEW',
+    X: order.status,
+    i: order.orderId,
+    l: String(lastFill?.qty ?? 0),
+    z: String(order.executedQty),
+    L: String(lastFill?.price ?? 0),
+    n: String(lastFill?.commission ?? 0),
+    N: lastFill?.commissionAsset ?? null,
+    T: order.updateTime,
+    g: order.orderListId,
+    O: order.time,
+    Z: String(order.cummulativeQuoteQty)
+  });
+
+  // Рушій зберігає ордер і після змін, і без них (спрацьований стоп) - у потік ідуть лише зміни
+  const reportedOrders = new Map();
+  const reportedBalances = new Map();
+  const streamStore = {
+    loadState: async () => ({ balances: {}, orders: [], orderLists: [] }),
+    saveBalances: async (balances) => {
+      const changed = Object.entries(balances).filter(([asset, { free, locked }]) => reportedBalances.get(asset) !== `${free}:${locked}`);
+      if (changed.length === 0) return;
+      for (const [asset, { free, locked }] of changed) reportedBalances.set(asset, `${free}:${locked}`);
+      publish({
+        e: 'outboundAccountPosition',
+        E: market.now(),
+        u: market.now(),
+        B: changed.map(([asset, { free, locked }]) => ({ a: asset, f: String(free), l: String(locked) }))
+      });
+    },
+    saveOrder: async (order) => {
+      const previous = reportedOrders.get(order.orderId);
+      if (previous && previous.status === order.status && previous.executedQty === order.executedQty) return;
+      reportedOrders.set(order.orderId, { status: order.status, executedQty: order.executedQty });
+      const filledNow = order.executedQty > (previous?.executedQty ?? 0);
+      publish(executionReport(order, filledNow ? order.fills[order.fills.length - 1] : null));
+    },
+    saveOrderList: async () => {}
+  };
+
+  const engine = new MatchingEngine({
+    marketData: {
+      getPrice: async (symbol) => market.priceAt(symbol),
+      getOrderBook: async (symbol) => market.orderBook(symbol, 1000)
+    },
+    getRules: async (symbol) => market.rules(symbol),
+    feeRate: scenario.feeRate,
+    initialBalances: scenario.balances,
+    store: streamStore,
+    now: market.now
+  });
+
+  const num = (value) => (value !== undefined ? parseFloat(value) : undefined);
+
+  // Маршрути: "МЕТОД шлях" -> обробник(params)
+  const routes = {
+    'GET /api/v3/ping': () => ({}),
+    'GET /api/v3/time': () => ({ serverTime: market.now() }),
+    'GET /api/v3/exchangeInfo': () => market.exchangeInfo(),
+    'GET /api/v3/ticker/price': ({ symbol }) => ({ symbol, price: String(market.priceAt(symbol)) }),
+    'GET /api/v3/ticker/24hr': ({ symbol }) => market.ticker24hr(symbol),
+    'GET /api/v3/depth': ({ symbol, limit }) => {
+      const { bids, asks } = market.orderBook(symbol, num(limit) ?? 100);
+      const toStrings = (levels) => levels.map(([price, qty]) => [String(price), String(qty)]);
+      return { lastUpdateId: market.now(), bids: toStrings(bids), asks: toStrings(asks) };
+    },
+    'GET /api/v3/klines': ({ symbol, interval, startTime, endTime, limit }) =>
+      market.klines(symbol, interval, num(startTime), num(endTime), num(limit) ?? 500),
+    'GET /api/v3/account': () => ({
+      accountType: 'SPOT',
+      canTrade: true,
+      balances: Object.entries(engine.account())
+        .map(([asset, { free, locked }]) => ({ asset, free: String(free), locked: String(locked) }))
+    }),
+    'POST /api/v3/order': ({ symbol, side, type, quantity, price, stopPrice, newClientOrderId: clientOrderId }) => {
+      if (type === 'MARKET') return engine.marketOrder(symbol, side, quantity, { clientOrderId });
+      if (side !== 'SELL') {
+        throw Object.assign(new Error('Mock exchange supports only SELL limit orders.'), { code: -1013 });
+      }
+      if (type === 'LIMIT' || type === 'LIMIT_MAKER') return engine.limitSell(symbol, quantity, price, { type, clientOrderId });
+      if (type === 'STOP_LOSS_LIMIT') return engine.stopLossSell(symbol, quantity, stopPrice, price, { clientOrderId });
+      throw Object.assign(new Error(`Unsupported order type ${type}.`), { code: -1116 });
+    },
+    'GET /api/v3/order': ({ symbol, orderId, origClientOrderId }) => (orderId
+      ? engine.getOrder(symbol, orderId)
+      : engine.getOrderByClientId(symbol, origClientOrderId)),
+    'DELETE /api/v3/order': ({ symbol, orderId }) => engine.cancelOrder(symbol, orderId),
+    'POST /api/v3/orderList/oco': ({ symbol, side, quantity, abovePrice, belowStopPrice, belowPrice, ...clientIds }) => {
+      if (side !== 'SELL') {
+        throw Object.assign(new Error('Mock exchange supports only SELL OCO orders.'), { code: -1013 });
+      }
+      return engine.ocoSell(symbol, quantity, abovePrice, belowStopPrice, belowPrice, clientIds);
+    },
+    'GET /api/v3/orderList': ({ orderListId, origClientOrderId }) => (orderListId
+      ? engine.getOrderList(orderListId)
+      : engine.getOrderListByClientId(origClientOrderId)),
+    'DELETE /api/v3/orderList': ({ symbol, orderListId }) => engine.cancelOrderList(symbol, orderListId),
+    'GET /api/v3/openOrders': ({ symbol }) => engine.openOrders(symbol),
+    'GET /api/v3/allOrders': ({ symbol, startTime }) => engine.allOrders(symbol, num(startTime)),
+    'GET /api/v3/myTrades': ({ symbol, orderId }) => engine.myTrades(symbol, orderId),
+    'POST /api/v3/userDataStream': () => {
+      const listenKey = crypto.randomBytes(32).toString('hex');
+      listenKeys.set(listenKey, new Set());
+      return { listenKey };
+    },
+    'PUT /api/v3/userDataStream': ({ listenKey }) => {
+      requireListenKey(listenKey);
+      return {};
+    },
+    'DELETE /api/v3/userDataStream': ({ listenKey }) => {
+      for (const socket of requireListenKey(listenKey)) socket.close();
+      listenKeys.delete(listenKey);
+      return {};
+    }
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      send(res, 404, { code: -1, msg: `Mock exchange does not serve ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    // Конектор передає параметри в query string для всіх методів
+    const params = Object.fromEntries(url.searchParams);
+    try {
+      send(res, 200, await route(params));
+    } catch (error) {
+      if (error.code === undefined) {
+        logger.error(`Mock exchange ${req.method} ${url.pathname} failed:`, error);
+      }
+      send(res, 400, { code: error.code ?? -1000, msg: error.message });
+    }
+  });
+
+  // Ринкові з'єднання -> їхні підписки
+  const marketSockets = new Map();
+
+  const handleMarketRequest = (ws, data) => {
+    let request;
+    try {
+      request = JSON.parse(data.toString());
+    } catch {
+      ws.send(JSON.stringify({ error: { code: 2, msg: 'Invalid JSON' }, id: null }));
+      return;
+    }
+    const subscriptions = marketSockets.get(ws);
+    if (request.method === 'SUBSCRIBE') request.params.forEach(stream => subscriptions.add(stream));
+    else if (request.method === 'UNSUBSCRIBE') request.params.forEach(stream => subscriptions.delete(stream));
+    ws.send(JSON.stringify({ result: null, id: request.id }));
+  };
+
+  // Екстремуми за 24 години наближено ціною відкриття та останньою ціною
+  const miniTicker = (spec) => {
+    const ticker = market.ticker24hr(spec.symbol);
+    const open = parseFloat(ticker.openPrice);
+    const last = parseFloat(ticker.lastPrice);
+    return {
+      e: '24hrMiniTicker',
+      E: ticker.closeTime,
+      s: spec.symbol,
+      c: ticker.lastPrice,
+      o: ticker.openPrice,
+      h: String(Math.max(open, last)),
+      l: String(Math.min(open, last)),
+      v: ticker.volume,
+      q: ticker.quoteVolume
+    };
+  };
+
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/ws') {
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        marketSockets.set(ws, new Set());
+        ws.on('message', (data) => handleMarketRequest(ws, data));
+        ws.on('close', () => marketSockets.delete(ws));
+      });
+      return;
+    }
+
+    const [, listenKey] = /^\/ws\/(\w+)$/.exec(pathname) || [];
+    const sockets = listenKeys.get(listenKey);
+    if (!sockets) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      sockets.add(ws);
+      ws.on('close', () => sockets.delete(ws));
+    });
+  });
+
+  const streams = {
+    // Розсилає mini-ticker усіх пар, що вже торгуються
+    publishMiniTickers: () => {
+      const subscribers = [...marketSockets].filter(([, subscriptions]) => subscriptions.has('!miniTicker@arr'));
+      if (subscribers.length === 0) return;
+      const message = JSON.stringify(scenario.symbols.filter(spec => market.isListed(spec.symbol)).map(miniTicker));
+      for (const [ws] of subscribers) ws.send(message);
+    },
+    // Обриває всі WebSocket з'єднання (listenKey лишаються дійсними)
+    disconnectAll: () => {
+      for (const socket of wss.clients) socket.terminate();
+    },
+    // Завершує listenKey так само, як біржа після 60 хв без продовження
+    expireListenKeys: () => {
+      for (const sockets of listenKeys.values()) {
+        for (const socket of sockets) socket.send(JSON.stringify({ e: 'listenKeyExpired', E: market.now() }));
+      }
+      listenKeys.clear();
+    }
+  };
+
+  return { server, market, engine, streams };
+};
+
+/**
+ * Запускає mock-біржу
+ * @param {Object} scenario - Результат loadScenario
+ * @param {number} port - Порт
+ * @returns {Promise<{server: http.Server, market: Object, engine: MatchingEngine, streams: Object}>}
+ */
+export const startMockExchange = async (scenario, port) => {
+  const exchange = createMockExchange(scenario);
+  await exchange.engine.load();
+  await new Promise(resolve => exchange.server.listen(port, resolve));
+
+  // Біржа виконує ордери сама, а не лише коли бот про них питає
+  const ticker = setInterval(() => {
+    exchange.engine.openOrders().catch(error => logger.error('Mock exchange matching failed:', error.message));
+    exchange.streams.publishMiniTickers();
+  }, TICK_INTERVAL_MS);
+  exchange.server.on('close', () => clearInterval(ticker));
+
+  logger.info(`🧪 Mock exchange "${scenario.name}" listening on http://localhost:${port} (speed x${scenario.speed})`);
+  return exchange;
+};
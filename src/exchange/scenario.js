@@ -0,0 +1,212 @@
+import fs from 'fs';
+import { parseSymbolRules } from '../symbolRules.js';
+
+/**
+ * Сценарій ринку для локальної mock-біржі: які пари торгуються, коли вони з'являються
+ * і як рухається ціна. Ціна між опорними точками змінюється лінійно, книга ордерів
+ * будується навколо поточної ціни.
+ *
+ * Формат файлу (час - зсув від старту сервера: "30s", "10m", "2h", "1d" або мс):
+ * {
+ *   "name": "XYZ listing pump",
+ *   "speed": 1,                      // прискорення годинника сценарію
+ *   "feeRate": 0.001,
+ *   "balances": { "USDT": 1000 },
+ *   "symbols": [
+ *     { "symbol": "XYZUSDT", "baseAsset": "XYZ", "tickSize": "0.0001", "stepSize": "0.1",
+ *       "listAt": "2m", "prices": [["2m", 0.1], ["12m", 0.18]],
+ *       "volume24hUsdt": 500000, "book": { "spread": 0.002, "levels": 20, "step": 0.001, "levelUsdt": 500 } }
+ *   ]
+ * }
+ */
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+export const INTERVAL_MS = {
+  '1m': 60000, '3m': 180000, '5m': 300000, '15m': 900000, '30m': 1800000,
+  '1h': 3600000, '2h': 7200000, '4h': 14400000, '6h': 21600000, '12h': 43200000, '1d': 86400000
+};
+
+const DEFAULT_BOOK = { spread: 0.002, levels: 20, step: 0.001, levelUsdt: 500 };
+
+/**
+ * Перетворює тривалість ("10m", "2h", 5000) на мілісекунди
+ * @param {string|number} value - Тривалість
+ * @returns {number}
+ */
+export const parseDuration = (value) => {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", expected e.g. 30s, 10m, 2h`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+};
+
+/**
+ * Завантажує та перевіряє файл сценарію
+ * @param {string} filePath - Шлях до JSON файлу
+ * @returns {Object} Сценарій з розібраними часами
+ */
+export const loadScenario = (filePath) => {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(raw.symbols) || raw.symbols.length === 0) {
+    throw new Error(`Scenario ${filePath} has no symbols`);
+  }
+
+  return {
+    name: raw.name || filePath,
+    speed: raw.speed || 1,
+    feeRate: raw.feeRate ?? 0.001,
+    balances: raw.balances || { USDT: 1000 },
+    symbols: raw.symbols.map(s => {
+      if (!s.symbol || !Array.isArray(s.prices) || s.prices.length === 0) {
+        throw new Error(`Scenario symbol ${s.symbol || '?'} needs "symbol" and "prices"`);
+      }
+      return {
+        ...s,
+        quoteAsset: s.quoteAsset || 'USDT',
+        listAt: parseDuration(s.listAt ?? 0),
+        prices: s.prices.map(([at, price]) => [parseDuration(at), price]).sort((a, b) => a[0] - b[0]),
+        volume24hUsdt: s.volume24hUsdt ?? 1000000,
+        book: { ...DEFAULT_BOOK, ...s.book }
+      };
+    })
+  };
+};
+
+// Ціна в момент offset: лінійна інтерполяція між опорними точками
+const priceAtOffset = (prices, offset) => {
+  if (offset <= prices[0][0]) return prices[0][1];
+  for (let i = 1; i < prices.length; i++) {
+    const [t1, p1] = prices[i];
+    if (offset <= t1) {
+      const [t0, p0] = prices[i - 1];
+      return p0 + (p1 - p0) * (offset - t0) / (t1 - t0);
+    }
+  }
+  return prices[prices.length - 1][1];
+};
+
+/**
+ * Створює ринок за сценарієм: годинник, ціни, книга ордерів, свічки, exchangeInfo
+ * @param {Object} scenario - Результат loadScenario
+ * @param {number} [startedAt=Date.now()] - Реальний час старту (нуль сценарію)
+ * @returns {Object}
+ */
+export const createScenarioMarket = (scenario, startedAt = Date.now()) => {
+  const bySymbol = new Map(scenario.symbols.map(s => [s.symbol, s]));
+
+  // Час сценарію біжить у speed разів швидше за реальний
+  const now = () => startedAt + (Date.now() - startedAt) * scenario.speed;
+  const offsetOf = (time) => time - startedAt;
+
+  const isListed = (symbol, time = now()) => {
+    const spec = bySymbol.get(symbol);
+    return Boolean(spec) && offsetOf(time) >= spec.listAt;
+  };
+
+  const requireListed = (symbol) => {
+    if (!isListed(symbol)) {
+      throw Object.assign(new Error('Invalid symbol.'), { code: -1121 });
+    }
+    return bySymbol.get(symbol);
+  };
+
+  const priceAt = (symbol, time = now()) => priceAtOffset(requireListed(symbol).prices, offsetOf(time));
+
+  const symbolInfo = (spec) => ({
+    symbol: spec.symbol,
+    status: 'TRADING',
+    baseAsset: spec.baseAsset,
+    quoteAsset: spec.quoteAsset,
+    filters: [
+      { filterType: 'PRICE_FILTER', minPrice: spec.tickSize, maxPrice: '1000000.00000000', tickSize: spec.tickSize },
+      { filterType: 'LOT_SIZE', minQty: spec.stepSize, maxQty: '9000000.00000000', stepSize: spec.stepSize },
+      { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '9000000.00000000', stepSize: '0.00000000' },
+      { filterType: 'NOTIONAL', minNotional: spec.minNotional || '5.00000000', applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false }
+    ]
+  });
+
+  const exchangeInfo = () => ({
+    timezone: 'UTC',
+    serverTime: now(),
+    symbols: scenario.symbols.filter(s => isListed(s.symbol)).map(symbolInfo)
+  });
+
+  // Рівні книги: спред навколо ціни, далі крок step і однаковий обсяг у USDT на рівень
+  const orderBook = (symbol, limit = 100) => {
+    const { book } = requireListed(symbol);
+    const price = priceAt(symbol);
+    const levels = Math.min(limit, book.levels);
+    const asks = [];
+    const bids = [];
+    for (let i = 0; i < levels; i++) {
+      const ask = price * (1 + book.spread / 2 + i * book.step);
+      const bid = price * (1 - book.spread / 2 - i * book.step);
+      asks.push([ask, book.levelUsdt / ask]);
+      bids.push([bid, book.levelUsdt / bid]);
+    }
+    return { bids, asks };
+  };
+
+  const klines = (symbol, interval, startTime, endTime, limit = 500) => {
+    const spec = requireListed(symbol);
+    const step = INTERVAL_MS[interval];
+    if (!step) {
+      throw Object.assign(new Error('Invalid interval.'), { code: -1120 });
+    }
+
+    const listedAt = startedAt + spec.listAt;
+    const to = Math.min(endTime ?? now(), now());
+    let from = Math.max(startTime ?? to - step * limit, listedAt);
+    from = Math.floor(from / step) * step;
+
+    const volumePerMs = spec.volume24hUsdt / DURATION_UNITS.d;
+    const bars = [];
+    for (let openTime = from; openTime <= to && bars.length < limit; openTime += step) {
+      const closeTime = openTime + step - 1;
+      // Екстремуми - на межах свічки або в опорних точках всередині неї
+      const points = [openTime, Math.min(closeTime, now()),
+        ...spec.prices.map(([at]) => startedAt + at).filter(t => t > openTime && t < closeTime)];
+      const values = points.map(t => priceAtOffset(spec.prices, offsetOf(t)));
+      const close = values[1];
+      const quoteVolume = volumePerMs * step;
+      bars.push([
+        openTime, String(values[0]), String(Math.max(...values)), String(Math.min(...values)), String(close),
+        String(quoteVolume / close), closeTime, String(quoteVolume), 100, '0', '0', '0'
+      ]);
+    }
+    return bars;
+  };
+
+  const ticker24hr = (symbol) => {
+    const spec = requireListed(symbol);
+    const time = now();
+    const openTime = Math.max(time - DURATION_UNITS.d, startedAt + spec.listAt);
+    const openPrice = priceAt(symbol, openTime);
+    const lastPrice = priceAt(symbol, time);
+    return {
+      symbol,
+      openPrice: String(openPrice),
+      lastPrice: String(lastPrice),
+      priceChange: String(lastPrice - openPrice),
+      priceChangePercent: String((lastPrice - openPrice) / openPrice * 100),
+      quoteVolume: String(spec.volume24hUsdt),
+      volume: String(spec.volume24hUsdt / lastPrice),
+      openTime,
+      closeTime: time
+    };
+  };
+
+  return {
+    now,
+    isListed,
+    priceAt,
+    exchangeInfo,
+    orderBook,
+    klines,
+    ticker24hr,
+    rules: (symbol) => parseSymbolRules(symbolInfo(requireListed(symbol)))
+  };
+};
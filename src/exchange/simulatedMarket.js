@@ -0,0 +1,309 @@
+import { INTERVAL_MS } from './scenario.js';
+
+/**
+ * Ринок режиму симуляції над історичними свічками (таблиця klines).
+ * Ціни, екстремуми, 24-годинна статистика і список пар визначаються за віртуальним годинником:
+ * видно лише свічки, що вже закрилися на поточний віртуальний момент, тож бот не бачить майбутнього.
+ * Пара вважається лістингованою з відкриття її першої свічки.
+ */
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+// Книга ордерів симуляції: спред і крок рівнів відносно останньої ціни, кількість рівнів з кожного боку
+const BOOK_SPREAD = 0.001;
+const BOOK_STEP = 0.001;
+const BOOK_LEVELS = 20;
+
+// Свічки підвантажуються вікнами наперед, щоб не читати БД на кожен запит ціни
+const PRELOAD_MS = 6 * HOUR_MS;
+
+// Котирувальні активи для розбору назви пари, якої немає в довіднику
+const QUOTE_ASSETS = ['USDT', 'FDUSD', 'USDC', 'TUSD', 'BTC', 'ETH', 'BNB', 'TRY', 'EUR'];
+
+const exchangeError = (code, msg) => Object.assign(new Error(msg), { code });
+
+/**
+ * Віртуальний годинник: від startTime біжить у speed разів швидше за реальний.
+ * Його можна переставити вперед, прискорити або зупинити (speed = 0) під час роботи;
+ * історія перестановок дозволяє перевести у віртуальний час будь-який минулий момент
+ */
+export class VirtualClock {
+  /**
+   * @param {Object} options
+   * @param {number} options.startTime - Віртуальний час старту (мс)
+   * @param {number} [options.speed=1] - Прискорення відносно реального часу
+   * @param {Function} [options.realNow=Date.now] - Джерело реального часу
+   */
+  constructor({ startTime, speed = 1, realNow = Date.now }) {
+    this.realNow = realNow;
+    this.speed = speed;
+    this.segments = [];
+    this.setTime(startTime);
+  }
+
+  /**
+   * Поточний віртуальний час
+   * @returns {number}
+   */
+  now() {
+    return this.toVirtual(this.realNow());
+  }
+
+  /**
+   * Віртуальний час, що відповідав реальному моменту realTime
+   * @param {number} realTime - Реальний час (мс)
+   * @returns {number}
+   */
+  toVirtual(realTime) {
+    const segment = this.segments.findLast(s => s.realTime <= realTime) || this.segments[0];
+    return segment.time + (realTime - segment.realTime) * segment.speed;
+  }
+
+  /**
+   * Переставляє годинник (лише вперед: виконані ордери не відкочуються)
+   * @param {number} time - Новий віртуальний час
+   */
+  setTime(time) {
+    this.segments.push({ realTime: this.realNow(), time, speed: this.speed });
+  }
+
+  /**
+   * Зсуває годинник вперед
+   * @param {number} ms - Тривалість
+   */
+  advance(ms) {
+    this.setTime(this.now() + ms);
+  }
+
+  /**
+   * Змінює прискорення, не зсуваючи поточний час
+   * @param {number} speed - Нове прискорення (0 - пауза)
+   */
+  setSpeed(speed) {
+    const time = this.now();
+    this.speed = speed;
+    this.setTime(time);
+  }
+}
+
+// Крок у форматі фільтрів exchangeInfo: 10^exp з 8 знаками
+const stepString = (exp) => (10 ** Math.min(0, Math.max(-8, exp))).toFixed(8);
+
+/**
+ * Дані пари у форматі exchangeInfo для пари, якої немає в довіднику.
+ * Свічки не містять фільтрів, тому крок ціни та обсягу оцінюються за порядком першої ціни
+ * @param {string} symbol - Торгова пара
+ * @param {number} price - Ціна першої свічки
+ * @returns {Object}
+ */
+export const estimateSymbolInfo = (symbol, price) => {
+  const quoteAsset = QUOTE_ASSETS.find(q => symbol.endsWith(q) && symbol.length > q.length) || 'USDT';
+  const magnitude = Math.floor(Math.log10(price));
+  const tickSize = stepString(magnitude - 4);
+  const stepSize = stepString(-magnitude - 2);
+  return {
+    symbol,
+    status: 'TRADING',
+    baseAsset: symbol.slice(0, -quoteAsset.length),
+    quoteAsset,
+    filters: [
+      { filterType: 'PRICE_FILTER', minPrice: tickSize, maxPrice: '1000000.00000000', tickSize },
+      { filterType: 'LOT_SIZE', minQty: stepSize, maxQty: '9000000.00000000', stepSize },
+      { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '9000000.00000000', stepSize: '0.00000000' },
+      { filterType: 'NOTIONAL', minNotional: '5.00000000', applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false }
+    ]
+  };
+};
+
+export class SimulatedMarket {
+  /**
+   * @param {Object} options
+   * @param {Function} options.loadKlines - (symbol, interval, startTime, endTime) => Promise<Array> рядки таблиці klines
+   * @param {Function} options.loadSymbols - (interval) => Promise<Array<{symbol, firstOpenTime, lastCloseTime, firstOpen}>>
+   * @param {VirtualClock} options.clock - Віртуальний годинник
+   * @param {Array<Object>} [options.knownSymbols=[]] - Пари у форматі exchangeInfo з відомими фільтрами
+   * @param {string} [options.interval='1m'] - Інтервал свічок для цін і виконання ордерів
+   */
+  constructor({ loadKlines, loadSymbols, clock, knownSymbols = [], interval = '1m' }) {
+    this.loadKlines = loadKlines;
+    this.loadSymbols = loadSymbols;
+    this.clock = clock;
+    this.knownSymbols = new Map(knownSymbols.map(s => [s.symbol, s]));
+    this.interval = interval;
+
+    this.listings = null;
+    this.series = new Map();
+  }
+
+  /**
+   * Поточний віртуальний час
+   * @returns {number}
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * Пари з даними: час першої свічки вважається часом лістингу
+   * @returns {Promise<Map<string, {symbol: string, firstOpenTime: number, lastCloseTime: number, firstOpen: number}>>}
+   */
+  async getListings() {
+    if (!this.listings) {
+      const rows = await this.loadSymbols(this.interval);
+      this.listings = new Map(rows.map(row => [row.symbol, row]));
+    }
+    return this.listings;
+  }
+
+  /**
+   * exchangeInfo на поточний віртуальний момент: лише пари, чиї свічки вже почалися
+   * @returns {Promise<{timezone: string, serverTime: number, symbols: Array<Object>}>}
+   */
+  async exchangeInfo() {
+    const now = this.now();
+    const listings = [...(await this.getListings()).values()].filter(l => l.firstOpenTime <= now);
+    return {
+      timezone: 'UTC',
+      serverTime: now,
+      symbols: listings.map(l => structuredClone(this.knownSymbols.get(l.symbol)) || estimateSymbolInfo(l.symbol, l.firstOpen))
+    };
+  }
+
+  async requireListed(symbol) {
+    const listing = (await this.getListings()).get(symbol);
+    if (!listing || listing.firstOpenTime > this.now()) {
+      throw exchangeError(-1121, 'Invalid symbol.');
+    }
+  }
+
+  // Свічки пари, що відкрилися в [from, to]; вікно в пам'яті охоплює добу до to і PRELOAD_MS після
+  async bars(symbol, from, to) {
+    let cached = this.series.get(symbol);
+    if (!cached || from < cached.from || to > cached.to) {
+      const windowFrom = Math.min(from, to - DAY_MS);
+      const windowTo = to + PRELOAD_MS;
+      cached = { from: windowFrom, to: windowTo, bars: await this.loadKlines(symbol, this.interval, windowFrom, windowTo) };
+      this.series.set(symbol, cached);
+    }
+    return cached.bars.filter(bar => bar.openTime >= from && bar.openTime <= to);
+  }
+
+  // Свічки, що закрилися до поточного моменту, з відкриттям не раніше from
+  async closedBars(symbol, from) {
+    const now = this.now();
+    return (await this.bars(symbol, from, now)).filter(bar => bar.closeTime < now);
+  }
+
+  /**
+   * Остання ціна: закриття останньої завершеної свічки (в першу хвилину лістингу - ціна відкриття)
+   * @param {string} symbol - Торгова пара
+   * @returns {Promise<number>}
+   */
+  async getPrice(symbol) {
+    await this.requireListed(symbol);
+    const now = this.now();
+    const bars = await this.bars(symbol, now - DAY_MS, now);
+    const closed = bars.filter(bar => bar.closeTime < now);
+    if (closed.length > 0) {
+      return closed[closed.length - 1].close;
+    }
+    if (bars.length > 0) {
+      return bars[0].open;
+    }
+    throw new Error(`No ${this.interval} klines for ${symbol} before ${new Date(now).toISOString()}`);
+  }
+
+  /**
+   * Книга ордерів. У свічках її немає, тому рівні будуються навколо останньої ціни,
+   * а обсяг рівня дорівнює середньому хвилинному обігу за останню годину.
+   * У першу хвилину лістингу інших даних про ліквідність немає, тому береться обіг поточної свічки
+   * @param {string} symbol - Торгова пара
+   * @param {number} [limit=100] - Кількість рівнів з кожного боку
+   * @returns {Promise<{bids: Array<[number, number]>, asks: Array<[number, number]>}|null>} null - обігу немає
+   */
+  async getOrderBook(symbol, limit = 100) {
+    const price = await this.getPrice(symbol);
+    const now = this.now();
+    const recent = await this.bars(symbol, now - HOUR_MS, now);
+    const closed = recent.filter(bar => bar.closeTime < now);
+    const sample = closed.length > 0 ? closed : recent;
+    const levelUsdt = sample.reduce((sum, bar) => sum + bar.quoteAssetVolume, 0) / sample.length;
+    if (!(levelUsdt > 0)) {
+      return null;
+    }
+
+    const depth = Math.min(limit, BOOK_LEVELS);
+    const side = (direction) => Array.from({ length: depth }, (_, i) => {
+      const levelPrice = price * (1 + direction * (BOOK_SPREAD / 2 + i * BOOK_STEP));
+      return [levelPrice, levelUsdt / levelPrice];
+    });
+    return { bids: side(-1), asks: side(1) };
+  }
+
+  /**
+   * Максимум і мінімум ціни за свічками, що закрилися після since.
+   * Свічка, всередині якої лежить since, враховується повністю: з хвилинних даних не видно,
+   * чи був її екстремум до since чи після
+   * @param {string} symbol - Торгова пара
+   * @param {number} since - Початок періоду (мс)
+   * @returns {Promise<{high: number, low: number}|null>} null - за період не закрилося жодної свічки
+   */
+  async getPriceRange(symbol, since) {
+    const bars = (await this.closedBars(symbol, since - DAY_MS)).filter(bar => bar.closeTime >= since);
+    if (bars.length === 0) {
+      return null;
+    }
+    return {
+      high: Math.max(...bars.map(bar => bar.high)),
+      low: Math.min(...bars.map(bar => bar.low))
+    };
+  }
+
+  /**
+   * 24-годинна статистика за завершеними свічками (до закриття першої свічки лістингу - нульова)
+   * @param {string} symbol - Торгова пара
+   * @returns {Promise<{volume24h: number, priceChange24h: number}>} Об'єм у quote-валюті та зміна ціни у %
+   */
+  async get24hrTicker(symbol) {
+    await this.requireListed(symbol);
+    const bars = await this.closedBars(symbol, this.now() - DAY_MS);
+    if (bars.length === 0) {
+      return { volume24h: 0, priceChange24h: 0 };
+    }
+    const open = bars[0].open;
+    const close = bars[bars.length - 1].close;
+    return {
+      volume24h: bars.reduce((sum, bar) => sum + bar.quoteAssetVolume, 0),
+      priceChange24h: (close - open) / open * 100
+    };
+  }
+
+  /**
+   * Завершені свічки у форматі відповіді GET /api/v3/klines
+   * @param {string} symbol - Торгова пара
+   * @param {string} interval - Інтервал (з таблиці klines, без перерахунку з інших інтервалів)
+   * @param {number} [startTime] - Початок періоду
+   * @param {number} [endTime] - Кінець періоду (не пізніше поточного моменту)
+   * @param {number} [limit=500] - Максимальна кількість свічок
+   * @returns {Promise<Array<Array>>}
+   */
+  async getKlines(symbol, interval, startTime, endTime, limit = 500) {
+    await this.requireListed(symbol);
+    const step = INTERVAL_MS[interval];
+    if (!step) {
+      throw exchangeError(-1120, 'Invalid interval.');
+    }
+
+    const now = this.now();
+    const to = Math.min(endTime ?? now, now);
+    const from = startTime ?? to - step * (limit + 1);
+    const rows = (await this.loadKlines(symbol, interval, from, to)).filter(row => row.closeTime < now);
+    const bars = startTime === undefined ? rows.slice(-limit) : rows.slice(0, limit);
+    return bars.map(row => [
+      row.openTime, String(row.open), String(row.high), String(row.low), String(row.close), String(row.volume),
+      row.closeTime, String(row.quoteAssetVolume), row.numberOfTrades,
+      String(row.takerBuyBaseAssetVolume), String(row.takerBuyQuoteAssetVolume), '0'
+    ]);
+  }
+}
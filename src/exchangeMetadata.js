@@ -0,0 +1,210 @@
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+import { parseSymbolRules } from './symbolRules.js';
+
+/**
+ * Метадані біржі (exchangeInfo) з кешем на TTL та індексом по символах.
+ * Після кожного оновлення порівнює список пар з попереднім і генерує події:
+ *   'symbolAdded'    ({symbol, info})                         - нова пара в exchangeInfo
+ *   'symbolDelisted' ({symbol, info})                         - пара зникла з exchangeInfo
+ *   'statusChanged'  ({symbol, oldStatus, newStatus, info})   - зміна статусу пари
+ *   'refreshed'      (snapshot)                               - знімок оновлено
+ * Останній знімок зберігається у сховищі: після перезапуску або без зв'язку з біржею
+ * сканер і округлення ордерів працюють з ним.
+ */
+
+// Набори дозволів: старий формат - permissions, новий - permissionSets (масив наборів)
+const permissionsOf = (info) => [...new Set([...(info.permissions || []), ...(info.permissionSets || []).flat()])];
+
+export class ExchangeMetadata extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetchExchangeInfo - () => Promise<{symbols, rateLimits?, serverTime?}> відповідь exchangeInfo
+   * @param {Object} [options.store] - Сховище знімка
+   * @param {Function} options.store.load - () => Promise<Object|null>
+   * @param {Function} options.store.save - (snapshot) => Promise<void>
+   * @param {number} [options.ttlMs=60000] - Час життя кешу
+   * @param {number} [options.minRefreshIntervalMs=10000] - Позапланові оновлення (невідома пара, повтор після помилки) не частіше
+   * @param {Function} [options.now=Date.now] - Джерело часу
+   */
+  constructor({ fetchExchangeInfo, store = null, ttlMs = 60000, minRefreshIntervalMs = 10000, now = Date.now }) {
+    super();
+    this.fetchExchangeInfo = fetchExchangeInfo;
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.minRefreshIntervalMs = minRefreshIntervalMs;
+    this.now = now;
+
+    this.snapshot = null;
+    this.bySymbol = new Map();
+    this.rules = new Map();
+    this.refreshing = null;
+    this.failedAt = 0;
+    this.storeLoaded = false;
+  }
+
+  /**
+   * Знімок exchangeInfo, не старший за maxAgeMs.
+   * Якщо оновити не вдалося, повертає останній відомий знімок (також зі сховища).
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeMs=ttlMs] - Максимальний вік знімка
+   * @returns {Promise<{symbols: Array<Object>, rateLimits: Array<Object>, serverTime: number|null, fetchedAt: number, stale: boolean}>}
+   */
+  async get({ maxAgeMs = this.ttlMs } = {}) {
+    await this.loadStored();
+    if (this.snapshot && !this.snapshot.stale && this.now() - this.snapshot.fetchedAt < maxAgeMs) {
+      return this.snapshot;
+    }
+    // Без зв'язку з біржею не повторюємо запит на кожне звернення
+    if (this.snapshot && this.now() - this.failedAt < this.minRefreshIntervalMs) {
+      return this.snapshot;
+    }
+
+    try {
+      return await this.refresh();
+    } catch (error) {
+      this.failedAt = this.now();
+      if (!this.snapshot) {
+        throw error;
+      }
+      const ageSec = Math.round((this.now() - this.snapshot.fetchedAt) / 1000);
+      logger.warn(`⚠️ exchangeInfo refresh failed, using snapshot from ${ageSec}s ago:`, error.message);
+      return this.snapshot;
+    }
+  }
+
+  /**
+   * Завантажує exchangeInfo з біржі, оновлює індекс і генерує події змін.
+   * Паралельні виклики чекають на одне завантаження.
+   * @returns {Promise<Object>} Новий знімок
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.load().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Дані пари з індексу. Невідому пару шукає в свіжому exchangeInfo (не частіше за minRefreshIntervalMs)
+   * @param {string} symbol - Торгова пара
+   * @returns {Promise<{symbol: string, status: string, baseAsset: string, quoteAsset: string, permissions: string[], filters: Object<string, Object>, info: Object}|null>}
+   */
+  async getSymbol(symbol) {
+    await this.get();
+    if (!this.bySymbol.has(symbol)) {
+      await this.get({ maxAgeMs: this.minRefreshIntervalMs });
+    }
+    return this.bySymbol.get(symbol) ?? null;
+  }
+
+  /**
+   * Правила торгової пари для округлення ордерів
+   * @param {string} symbol - Торгова пара
+   * @returns {Promise<Object|null>} Результат parseSymbolRules
+   */
+  async getRules(symbol) {
+    const entry = await this.getSymbol(symbol);
+    if (!entry) {
+      return null;
+    }
+    if (!this.rules.has(symbol)) {
+      this.rules.set(symbol, parseSymbolRules(entry.info));
+    }
+    return this.rules.get(symbol);
+  }
+
+  /**
+   * Пари за умовою без звернення до біржі (з поточного знімка)
+   * @param {Function} [predicate] - (entry) => boolean
+   * @returns {Array<Object>} Записи індексу
+   */
+  findSymbols(predicate = () => true) {
+    return [...this.bySymbol.values()].filter(predicate);
+  }
+
+  // Знімок зі сховища - відправна точка для порівняння та запасний варіант без зв'язку з біржею
+  async loadStored() {
+    if (this.storeLoaded || !this.store) return;
+    this.storeLoaded = true;
+    try {
+      const stored = await this.store.load();
+      if (stored && !this.snapshot) {
+        this.index({ ...stored, stale: true });
+        logger.info(`📦 exchangeInfo snapshot loaded: ${stored.symbols.length} symbols from ${new Date(stored.fetchedAt).toISOString()}`);
+      }
+    } catch (error) {
+      logger.warn('⚠️ Failed to load exchangeInfo snapshot:', error.message);
+    }
+  }
+
+  async load() {
+    await this.loadStored();
+    const previous = this.bySymbol;
+    const data = await this.fetchExchangeInfo();
+    const snapshot = {
+      symbols: data.symbols,
+      rateLimits: data.rateLimits || [],
+      serverTime: data.serverTime ?? null,
+      fetchedAt: this.now(),
+      stale: false
+    };
+    this.index(snapshot);
+
+    // Першому знімку нема з чим порівнювати - всі пари були б "новими"
+    if (previous.size > 0) {
+      this.emitChanges(previous, this.bySymbol);
+    }
+
+    if (this.store) {
+      await this.store.save(snapshot).catch(error => {
+        logger.warn('⚠️ Failed to persist exchangeInfo snapshot:', error.message);
+      });
+    }
+    this.emit('refreshed', snapshot);
+    return snapshot;
+  }
+
+  index(snapshot) {
+    this.snapshot = snapshot;
+    this.rules = new Map();
+    this.bySymbol = new Map(snapshot.symbols.map(info => [info.symbol, {
+      symbol: info.symbol,
+      status: info.status,
+      baseAsset: info.baseAsset,
+      quoteAsset: info.quoteAsset,
+      permissions: permissionsOf(info),
+      filters: Object.fromEntries((info.filters || []).map(f => [f.filterType, f])),
+      info
+    }]));
+  }
+
+  emitChanges(previous, current) {
+    let added = 0;
+    let delisted = 0;
+    let changed = 0;
+
+    for (const [symbol, entry] of current) {
+      const old = previous.get(symbol);
+      if (!old) {
+        added++;
+        this.emit('symbolAdded', { symbol, info: entry.info });
+      } else if (old.status !== entry.status) {
+        changed++;
+        this.emit('statusChanged', { symbol, oldStatus: old.status, newStatus: entry.status, info: entry.info });
+      }
+    }
+    for (const [symbol, entry] of previous) {
+      if (!current.has(symbol)) {
+        delisted++;
+        this.emit('symbolDelisted', { symbol, info: entry.info });
+      }
+    }
+
+    if (added + delisted + changed > 0) {
+      logger.info(`🗂️ exchangeInfo changes: ${added} added, ${delisted} delisted, ${changed} status change(s)`);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Облік виконань ордерів: середньозважена ціна за всіма fills, комісії по активах
+ * з перерахунком у котирувальний актив (USDT) та чистий P&L угоди
+ */
+
+/**
+ * Зводить виконання ордера
+ * @param {Object} order - Ордер
+ * @param {number|string} order.executedQty - Виконаний обсяг
+ * @param {number|string} order.quoteQty - Виконаний обсяг у котирувальному активі (cummulativeQuoteQty)
+ * @param {Array<{price, qty, commission, commissionAsset}>} [fills] - Виконання: fills з відповіді FULL або myTrades
+ * @returns {{executedQty: number, quoteQty: number, avgPrice: number, commissions: Object<string, number>}}
+ *   avgPrice - середньозважена за обсягом ціна; commissions - сума комісій по кожному активу списання
+ */
+export const summarizeFills = (order, fills = []) => {
+  const commissions = {};
+  let fillQty = 0;
+  let fillQuote = 0;
+
+  for (const fill of fills) {
+    const qty = parseFloat(fill.qty);
+    fillQty += qty;
+    fillQuote += parseFloat(fill.price) * qty;
+    commissions[fill.commissionAsset] = (commissions[fill.commissionAsset] || 0) + parseFloat(fill.commission);
+  }
+
+  const executedQty = parseFloat(order.executedQty) || fillQty;
+  const quoteQty = parseFloat(order.quoteQty) || fillQuote;
+
+  return {
+    executedQty,
+    quoteQty,
+    avgPrice: fillQty > 0 ? fillQuote / fillQty : quoteQty / executedQty,
+    commissions
+  };
+};
+
+/**
+ * Перераховує комісії в котирувальний актив
+ * @param {Object<string, number>} commissions - Комісії по активах (результат summarizeFills)
+ * @param {Object} context
+ * @param {string} context.baseAsset - Базовий актив пари (комісія в ньому рахується за ціною виконання)
+ * @param {string} context.quoteAsset - Котирувальний актив пари
+ * @param {number} context.avgPrice - Середня ціна виконання
+ * @param {Object<string, number>} [context.assetPrices] - Ціни інших активів (BNB) у котирувальному активі
+ * @returns {{total: number, items: Array<{asset: string, amount: number, quoteAmount: number|null}>}}
+ *   quoteAmount = null, якщо ціна активу невідома (така комісія не входить у total)
+ */
+export const convertCommissions = (commissions, { baseAsset, quoteAsset, avgPrice, assetPrices = {} }) => {
+  const items = Object.entries(commissions).map(([asset, amount]) => {
+    let price = assetPrices[asset] ?? null;
+    if (asset === quoteAsset) price = 1;
+    else if (asset === baseAsset) price = avgPrice;
+    return { asset, amount, quoteAmount: price !== null ? amount * price : null };
+  });
+
+  return {
+    total: items.reduce((sum, item) => sum + (item.quoteAmount ?? 0), 0),
+    items
+  };
+};
+
+/**
+ * Чистий P&L угоди після комісій.
+ * Комісія купівлі в базовому активі вже зменшила проданий обсяг, тому її вартість
+ * за ціною входу віднімається від валового результату нарівні з іншими комісіями.
+ * @param {Object} trade
+ * @param {number} trade.buyPrice - Ціна входу
+ * @param {number} trade.buyQuantity - Куплений обсяг
+ * @param {number} trade.realizedPnl - Валовий P&L по всіх виходах, USDT
+ * @param {number} [trade.buyCommission=0] - Комісія купівлі, USDT
+ * @param {number} [trade.sellCommission=0] - Комісії продажів, USDT
+ * @returns {{netPnl: number, netPnlPercent: number}}
+ */
+export const calculateNetPnl = ({ buyPrice, buyQuantity, realizedPnl, buyCommission = 0, sellCommission = 0 }) => {
+  const netPnl = realizedPnl - (buyCommission || 0) - (sellCommission || 0);
+  const cost = buyPrice * buyQuantity;
+  return { netPnl, netPnlPercent: cost > 0 ? netPnl / cost * 100 : 0 };
+};
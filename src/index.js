@@ -1,11 +1,12 @@
 import { config } from './config.js';
-import { currentMode, isSimulation } from './modes.js';
+import { currentMode, isSimulation, isPaper } from './modes.js';
 import * as bot from './tradingBot.js';
 import { HistoricalSimulator } from './simulation/historicalSimulator.js';
 import logger from './logger.js';
 import * as binance from './binanceClient.js';
 import * as db from './database.js';
-import { startBot } from './bot.js';
+import { startBot, stopBot } from './bot.js';
+import { reconcile } from './reconciliation.js';
 
 // Глобальна обробка помилок
 process.on('uncaughtException', (error) => {
@@ -23,11 +24,11 @@ async function performStartupChecks() {
   // Перевірка конфігурації
   logger.info('Checking configuration...');
   if (!config.BINANCE_API_KEY || !config.BINANCE_API_SECRET) {
-    if (!isSimulation()) {
+    if (!isSimulation() && !isPaper()) {
       logger.error('❌ API keys are missing! Please check your .env file.');
       process.exit(1);
     } else {
-      logger.warn('⚠️ API keys are missing, but running in simulation mode - this is OK.');
+      logger.warn(`⚠️ API keys are missing, but running in ${currentMode()} mode - this is OK.`);
     }
   } else {
     logger.info('✅ Configuration check passed.');
@@ -53,11 +54,18 @@ async function performStartupChecks() {
       // Перевірка балансу
       logger.info('Checking account balance...');
       const balance = await binance.getBalance();
-      logger.info(`✅ Account balance retrieved. USDT available: ${balance.available}`);
+      logger.info(`✅ Account balance retrieved. USDT available: ${balance}`);
     } catch (error) {
       logger.error('❌ Failed to connect to Binance API:', error);
       process.exit(1);
     }
+
+    // Звірка угод у БД з ордерами та балансами на біржі
+    try {
+      await reconcile();
+    } catch (error) {
+      logger.error('❌ Reconciliation failed, trades may be out of sync with the exchange:', error.message);
+    }
   } else {
     logger.info('⚠️ Running in simulation mode - skipping Binance API checks.');
   }
@@ -96,6 +104,8 @@ async function performStartupChecks() {
 async function main() {
   try {
     await performStartupChecks();
+    // Сигнал під час перевірок: shutdown уже зупиняє бота і закриває БД
+    if (shuttingDown) return;
     logger.info('Starting trading bot...');
     await startBot();
   } catch (error) {
@@ -104,11 +114,33 @@ async function main() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('🛑 Shutting down...');
-  process.exit(0);
-});
+// Graceful shutdown: дочікуємось завершення поточного циклу та закриваємо БД
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    logger.warn(`⚠️ ${signal} received again, forcing exit`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info(`🛑 ${signal} received, shutting down...`);
+
+  const forceExitTimer = setTimeout(() => {
+    logger.error(`❌ Graceful shutdown timed out after ${config.SHUTDOWN_TIMEOUT_MS}ms, forcing exit`);
+    process.exit(1);
+  }, config.SHUTDOWN_TIMEOUT_MS);
+  forceExitTimer.unref();
+
+  try {
+    await stopBot(signal);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error during shutdown:', error);
+    process.exit(1);
+  }
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Запуск
 main().catch(error => {
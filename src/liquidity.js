@@ -0,0 +1,138 @@
+/**
+ * Оцінка ліквідності за знімком книги ордерів: спред, глибина, середня ціна
+ * виконання та прослизання ринкової купівлі. Спільна для живої торгівлі та HistoricalSimulator.
+ */
+
+/**
+ * Витягує налаштування ліквідності з набору параметрів стратегії
+ * @param {Object} parameters - Параметри стратегії (config або набір для симуляції)
+ * @returns {{amountUsdt: number, depthRangePercent: number, maxSlippage: number, action: 'shrink'|'skip'}}
+ */
+export const getLiquiditySettings = (parameters) => ({
+  amountUsdt: parameters.BUY_AMOUNT_USDT,
+  depthRangePercent: parameters.DEPTH_RANGE_PERCENT,
+  maxSlippage: parameters.MAX_SLIPPAGE_PERCENT,
+  action: parameters.SLIPPAGE_ACTION
+});
+
+/**
+ * Симулює ринкову купівлю на суму в USDT по рівнях asks
+ * @param {Array<[number, number]>} asks - Рівні [ціна, обсяг], від кращої ціни
+ * @param {number} amountUsdt - Сума купівлі
+ * @returns {{avgFillPrice: number|null, filledUsdt: number, filledQty: number, fullyFilled: boolean}}
+ */
+export const estimateMarketBuy = (asks, amountUsdt) => {
+  let filledUsdt = 0;
+  let filledQty = 0;
+
+  for (const [price, qty] of asks) {
+    const take = Math.min(qty, (amountUsdt - filledUsdt) / price);
+    filledUsdt += take * price;
+    filledQty += take;
+    if (filledUsdt >= amountUsdt - 1e-9) break;
+  }
+
+  return {
+    avgFillPrice: filledQty > 0 ? filledUsdt / filledQty : null,
+    filledUsdt,
+    filledQty,
+    fullyFilled: filledUsdt >= amountUsdt - 1e-9
+  };
+};
+
+/**
+ * Найбільша сума купівлі, середня ціна якої не перевищує кращий ask більше ніж на maxSlippage
+ * @param {Array<[number, number]>} asks - Рівні [ціна, обсяг], від кращої ціни
+ * @param {number} maxSlippage - Допустиме прослизання (частка)
+ * @returns {number} Сума в USDT
+ */
+export const maxAmountWithinSlippage = (asks, maxSlippage) => {
+  if (asks.length === 0) return 0;
+
+  const target = asks[0][0] * (1 + maxSlippage);
+  let cost = 0;
+  let qty = 0;
+
+  for (const [price, levelQty] of asks) {
+    if (price <= target) {
+      cost += price * levelQty;
+      qty += levelQty;
+      continue;
+    }
+    // Середня ціна досягає межі всередині рівня: (cost + x*price) / (qty + x) = target
+    const x = Math.min(levelQty, (target * qty - cost) / (price - target));
+    return cost + Math.max(0, x) * price;
+  }
+
+  return cost;
+};
+
+/**
+ * Аналізує знімок книги ордерів
+ * @param {{bids: Array<[number, number]>, asks: Array<[number, number]>}} book - Книга ордерів
+ * @param {Object} settings - Результат getLiquiditySettings
+ * @returns {Object|null} Оцінка ліквідності; null, якщо одна зі сторін книги порожня
+ *   spread - (ask - bid) / mid; depthUsdt - обсяг asks у межах depthRangePercent від mid;
+ *   slippage - відхилення середньої ціни купівлі amountUsdt від кращого ask
+ */
+export const analyzeOrderBook = (book, settings) => {
+  if (!book?.bids.length || !book?.asks.length) return null;
+
+  const bestBid = book.bids[0][0];
+  const bestAsk = book.asks[0][0];
+  const mid = (bestBid + bestAsk) / 2;
+
+  const depthLimit = mid * (1 + settings.depthRangePercent);
+  const depthUsdt = book.asks
+    .filter(([price]) => price <= depthLimit)
+    .reduce((sum, [price, qty]) => sum + price * qty, 0);
+
+  const fill = estimateMarketBuy(book.asks, settings.amountUsdt);
+
+  return {
+    bestBid,
+    bestAsk,
+    mid,
+    spread: (bestAsk - bestBid) / mid,
+    depthUsdt,
+    amountUsdt: settings.amountUsdt,
+    avgFillPrice: fill.avgFillPrice,
+    // Якщо книги не вистачає на всю суму, прослизання невідоме - вважаємо його нескінченним
+    slippage: fill.fullyFilled ? (fill.avgFillPrice - bestAsk) / bestAsk : Infinity,
+    fillableUsdt: fill.filledUsdt,
+    maxAmountUsdt: maxAmountWithinSlippage(book.asks, settings.maxSlippage)
+  };
+};
+
+/**
+ * Визначає розмір купівлі з урахуванням оцінки прослизання
+ * @param {Object|null} estimate - Результат analyzeOrderBook (у симуляції може бути задана вручну)
+ * @param {number} amountUsdt - Бажана сума купівлі
+ * @param {Object} settings - Результат getLiquiditySettings
+ * @returns {{action: 'buy'|'skip', amountUsdt: number, slippage: number, reason: string|null}}
+ */
+export const applyLiquidityPolicy = (estimate, amountUsdt, settings) => {
+  if (!estimate) {
+    return { action: 'buy', amountUsdt, slippage: 0, reason: 'no liquidity estimate' };
+  }
+
+  if (estimate.slippage <= settings.maxSlippage) {
+    return { action: 'buy', amountUsdt, slippage: estimate.slippage, reason: null };
+  }
+
+  const slippageText = Number.isFinite(estimate.slippage)
+    ? `${(estimate.slippage * 100).toFixed(2)}%`
+    : 'order book too thin';
+
+  if (settings.action === 'shrink' && estimate.maxAmountUsdt > 0) {
+    const shrunk = Math.min(amountUsdt, estimate.maxAmountUsdt);
+    return {
+      action: 'buy',
+      amountUsdt: shrunk,
+      slippage: settings.maxSlippage,
+      reason: `slippage ${slippageText}, size reduced to ${shrunk.toFixed(2)} USDT`
+    };
+  }
+
+  return { action: 'skip', amountUsdt: 0, slippage: estimate.slippage, reason: `slippage ${slippageText} above ${(settings.maxSlippage * 100).toFixed(2)}%` };
+};
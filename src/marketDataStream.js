@@ -0,0 +1,202 @@
+import WebSocket from 'ws';
+import logger from './logger.js';
+
+/**
+ * Потік ринкових даних Binance (публічні WebSocket потоки, напр. !miniTicker@arr).
+ * Підписки надсилаються методом SUBSCRIBE і повторюються після кожного перепідключення.
+ * Біржа шле ping кожні 20 секунд, а mini-ticker - щосекунди, тому тиша довше за
+ * staleAfterMs означає зависле з'єднання: воно розривається і встановлюється заново.
+ */
+
+export class MarketDataStream {
+  /**
+   * @param {Object} options
+   * @param {string} options.wsURL - Базова адреса WebSocket (з'єднання: <wsURL>/ws)
+   * @param {Array<string>} [options.streams=[]] - Потоки для підписки
+   * @param {Function} options.onMessage - (payload) => void для кожного повідомлення потоку
+   * @param {Function} [options.onConnected] - () => void після кожного (пере)підключення
+   * @param {Function} [options.onDisconnected] - () => void після втрати з'єднання
+   * @param {number} [options.staleAfterMs=30000] - Максимальна тиша до розриву з'єднання
+   * @param {number} [options.reconnectDelayMs=1000] - Базова затримка перепідключення
+   * @param {number} [options.reconnectMaxDelayMs=60000] - Максимальна затримка перепідключення
+   */
+  constructor({
+    wsURL, streams = [], onMessage, onConnected = () => {}, onDisconnected = () => {},
+    staleAfterMs = 30000, reconnectDelayMs = 1000, reconnectMaxDelayMs = 60000
+  }) {
+    this.wsURL = wsURL.replace(/\/+$/, '');
+    this.streams = new Set(streams);
+    this.onMessage = onMessage;
+    this.onConnected = onConnected;
+    this.onDisconnected = onDisconnected;
+    this.staleAfterMs = staleAfterMs;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.reconnectMaxDelayMs = reconnectMaxDelayMs;
+
+    this.running = false;
+    this.socket = null;
+    this.attempts = 0;
+    this.nextRequestId = 1;
+    this.lastMessageAt = null;
+    this.reconnectTimer = null;
+    this.watchdogTimer = null;
+    this.stats = { connects: 0, disconnects: 0, messages: 0, connectedAt: null };
+  }
+
+  /**
+   * Запускає потік (підключення відбувається у фоні)
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.connect();
+  }
+
+  /**
+   * Зупиняє потік
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.reconnectTimer);
+    this.stopWatchdog();
+
+    const socket = this.socket;
+    this.socket = null;
+    socket?.terminate();
+  }
+
+  /**
+   * Додає підписки
+   * @param {Array<string>} streams - Назви потоків (напр. 'btcusdt@miniTicker')
+   */
+  subscribe(streams) {
+    const added = streams.filter(s => !this.streams.has(s));
+    added.forEach(s => this.streams.add(s));
+    this.sendRequest('SUBSCRIBE', added);
+  }
+
+  /**
+   * Знімає підписки
+   * @param {Array<string>} streams - Назви потоків
+   */
+  unsubscribe(streams) {
+    const removed = streams.filter(s => this.streams.delete(s));
+    this.sendRequest('UNSUBSCRIBE', removed);
+  }
+
+  /**
+   * Чи можна покладатися на дані потоку: з'єднання відкрите і повідомлення надходять
+   * @returns {boolean}
+   */
+  isHealthy() {
+    return this.socket?.readyState === WebSocket.OPEN
+      && this.lastMessageAt !== null && Date.now() - this.lastMessageAt < this.staleAfterMs;
+  }
+
+  /**
+   * Стан потоку для моніторингу
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      healthy: this.isHealthy(),
+      streams: [...this.streams],
+      reconnectAttempts: this.attempts,
+      lastMessageAt: this.lastMessageAt,
+      ...this.stats
+    };
+  }
+
+  connect() {
+    if (!this.running) return;
+
+    const socket = new WebSocket(`${this.wsURL}/ws`);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.attempts = 0;
+      this.stats.connects++;
+      this.stats.connectedAt = Date.now();
+      this.lastMessageAt = Date.now();
+      // Підписки не переживають з'єднання - відновлюємо всі
+      this.sendRequest('SUBSCRIBE', [...this.streams]);
+      this.startWatchdog(socket);
+      logger.info(`📡 Market data stream connected: ${[...this.streams].join(', ')}`);
+      this.onConnected();
+    });
+
+    socket.on('message', (data) => this.handleMessage(data));
+    socket.on('ping', () => { this.lastMessageAt = Date.now(); });
+    socket.on('error', (error) => {
+      logger.warn('⚠️ Market data stream error:', error.message);
+    });
+    socket.on('close', (code) => {
+      if (this.socket !== socket) return; // закрито через stop()
+      const wasOpen = this.stats.connectedAt !== null;
+      this.socket = null;
+      this.stats.connectedAt = null;
+      this.stopWatchdog();
+
+      if (wasOpen) {
+        this.stats.disconnects++;
+        logger.warn(`📡 Market data stream disconnected (code ${code}), prices fall back to REST`);
+        this.onDisconnected();
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.running) return;
+    const delay = Math.min(this.reconnectMaxDelayMs, this.reconnectDelayMs * 2 ** this.attempts++);
+    logger.info(`🔁 Market data stream reconnect in ${delay}ms (attempt ${this.attempts})`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  sendRequest(method, params) {
+    if (params.length === 0 || this.socket?.readyState !== WebSocket.OPEN) return;
+    this.socket.send(JSON.stringify({ method, params, id: this.nextRequestId++ }));
+  }
+
+  handleMessage(data) {
+    this.lastMessageAt = Date.now();
+    this.stats.messages++;
+
+    let payload;
+    try {
+      payload = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn('⚠️ Malformed market data message:', error.message);
+      return;
+    }
+
+    // Відповідь на SUBSCRIBE/UNSUBSCRIBE: {result: null, id} або {error: {code, msg}, id}
+    if (payload && !Array.isArray(payload) && 'id' in payload) {
+      if (payload.error) {
+        logger.error(`Market data request ${payload.id} failed: ${payload.error.msg}`);
+      }
+      return;
+    }
+
+    try {
+      this.onMessage(payload);
+    } catch (error) {
+      logger.error('Market data message handling failed:', error.message);
+    }
+  }
+
+  startWatchdog(socket) {
+    this.watchdogTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt >= this.staleAfterMs) {
+        logger.warn(`💤 Market data stream silent for ${this.staleAfterMs}ms, reconnecting`);
+        socket.terminate();
+      }
+    }, Math.max(1000, this.staleAfterMs / 3));
+  }
+
+  stopWatchdog() {
+    clearInterval(this.watchdogTimer);
+    this.watchdogTimer = null;
+  }
+}
@@ -9,7 +9,10 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const envPath = path.join(__dirname, '..', '.env');
 const result = dotenv.config({ path: envPath });
 
-if (result.error) {
+// Без .env налаштування беруться лише зі змінних оточення
+if (result.error?.code === 'ENOENT') {
+  logger.warn('⚠️ .env file not found, using process environment only');
+} else if (result.error) {
   logger.error('Error loading .env file:', result.error);
   process.exit(1);
 }
@@ -18,22 +21,36 @@ if (result.error) {
 const mode = process.env.BOT_MODE || 'simulation';
 logger.info(`🎮 Bot mode: ${mode}`);
 
-// Конфігурація для різних режимів
+// Конфігурація для різних режимів.
+// exchange - хто відповідає на запити бота:
+//   binance   - біржа (REST API)
+//   paper     - ринкові дані mainnet, ордери виконує локальний рушій зведення з віртуальним балансом
+//   simulated - ціни зі свічок таблиці klines за віртуальним годинником, ордери виконує локальний рушій
 const modeConfigs = {
   simulation: {
     apiKey: process.env.TESTNET_API_KEY,
     apiSecret: process.env.TESTNET_API_SECRET,
-    isTestnet: true
+    isTestnet: true,
+    exchange: 'simulated'
   },
   testnet: {
     apiKey: process.env.TESTNET_API_KEY,
     apiSecret: process.env.TESTNET_API_SECRET,
-    isTestnet: true
+    isTestnet: true,
+    exchange: 'binance'
   },
   production: {
     apiKey: process.env.BINANCE_API_KEY,
     apiSecret: process.env.BINANCE_API_SECRET,
-    isTestnet: false
+    isTestnet: false,
+    exchange: 'binance'
+  },
+  paper: {
+    apiKey: process.env.BINANCE_API_KEY,
+    apiSecret: process.env.BINANCE_API_SECRET,
+    isTestnet: false,
+    isPaper: true,
+    exchange: 'paper'
   }
 };
 
@@ -46,10 +63,30 @@ export const isTestnet = () => mode === 'testnet';
 
 export const isProduction = () => mode === 'production';
 
+export const isPaper = () => mode === 'paper';
+
+/**
+ * Усі відомі режими роботи
+ * @returns {string[]}
+ */
+export const getModeNames = () => Object.keys(modeConfigs);
+
 export const getModeConfig = () => {
   const config = modeConfigs[mode];
   if (!config) {
-    throw new Error(`Invalid mode: ${mode}. Must be one of: simulation, testnet, production`);
+    throw new Error(`Invalid mode: ${mode}. Must be one of: ${getModeNames().join(', ')}`);
   }
   return config;
-};
\ No newline at end of file
+};
+
+/**
+ * Адаптер біржі поточного режиму
+ * @returns {'binance'|'paper'|'simulated'}
+ */
+export const getExchangeAdapter = () => getModeConfig().exchange;
+
+/**
+ * Чи виконує ордери локальний рушій зведення замість біржі
+ * @returns {boolean}
+ */
+export const usesLocalEngine = () => getExchangeAdapter() !== 'binance';
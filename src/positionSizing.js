@@ -0,0 +1,125 @@
+/**
+ * Моделі розміру позиції, спільні для живої торгівлі та HistoricalSimulator.
+ * Дані (баланс, ATR, статистику угод) збирає викликач - модуль лише рахує суму.
+ */
+
+export const SIZING_MODELS = ['fixed', 'percentBalance', 'risk', 'volatility', 'kelly'];
+
+/**
+ * Витягує налаштування розміру позиції з набору параметрів стратегії
+ * @param {Object} parameters - Параметри стратегії (config або набір для симуляції)
+ * @returns {Object}
+ */
+export const getSizingSettings = (parameters) => ({
+  model: parameters.POSITION_SIZING || 'fixed',
+  fixedAmountUsdt: parameters.BUY_AMOUNT_USDT,
+  balancePercent: parameters.SIZING_BALANCE_PERCENT,
+  riskPercent: parameters.SIZING_RISK_PERCENT,
+  stopLossPercent: parameters.STOP_LOSS_PERCENT,
+  atrPeriod: parameters.SIZING_ATR_PERIOD,
+  atrInterval: parameters.SIZING_ATR_INTERVAL,
+  atrMultiplier: parameters.SIZING_ATR_MULTIPLIER,
+  kellyFraction: parameters.SIZING_KELLY_FRACTION,
+  kellyMinTrades: parameters.SIZING_KELLY_MIN_TRADES,
+  maxAmountUsdt: parameters.SIZING_MAX_USDT
+});
+
+/**
+ * Average True Range за останні period свічок
+ * @param {Array<Object|Array>} klines - Свічки з БД ({high, low, close}) або з API ([openTime, open, high, low, close, ...])
+ * @param {number} period - Кількість свічок
+ * @returns {number|null} ATR в одиницях ціни; null, якщо свічок недостатньо
+ */
+export const calculateAtr = (klines, period) => {
+  const bars = klines.map(k => (Array.isArray(k)
+    ? { high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]) }
+    : k));
+  if (bars.length < period + 1) return null;
+
+  const recent = bars.slice(-(period + 1));
+  let sum = 0;
+  for (let i = 1; i < recent.length; i++) {
+    const { high, low } = recent[i];
+    const prevClose = recent[i - 1].close;
+    sum += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+  }
+  return sum / period;
+};
+
+/**
+ * Частка капіталу за критерієм Келлі: f* = W - (1 - W) / R
+ * @param {Object} stats - Статистика з PerformanceAnalyzer.analyzeTrades
+ * @param {number} stats.winRate - Відсоток прибуткових угод (0-100)
+ * @param {number} stats.avgProfit - Середній прибуток, %
+ * @param {number} stats.avgLoss - Середній збиток, % (додатне число)
+ * @returns {number|null} Частка капіталу (може бути від'ємною); null, якщо збитків ще не було
+ */
+export const kellyFraction = ({ winRate, avgProfit, avgLoss }) => {
+  if (!(avgLoss > 0)) return null;
+  const winProbability = winRate / 100;
+  const payoffRatio = avgProfit / avgLoss;
+  return winProbability - (1 - winProbability) / payoffRatio;
+};
+
+/**
+ * Розраховує суму купівлі за обраною моделлю
+ * @param {Object} settings - Результат getSizingSettings
+ * @param {Object} inputs
+ * @param {number} inputs.freeBalance - Вільний баланс USDT
+ * @param {number} inputs.equity - Капітал: вільний баланс + вартість відкритих позицій
+ * @param {number} inputs.price - Очікувана ціна входу
+ * @param {number} [inputs.stopDistance] - Відстань до стопу (частка), за замовчуванням STOP_LOSS_PERCENT
+ * @param {number|null} [inputs.atr] - ATR для моделі volatility
+ * @param {Object|null} [inputs.stats] - Статистика угод для моделі kelly
+ * @returns {{amountUsdt: number, model: string, reason: string|null}}
+ *   model - фактично застосована модель (fixed, якщо для обраної бракує даних)
+ */
+export const calculatePositionSize = (settings, { freeBalance, equity, price, stopDistance, atr = null, stats = null }) => {
+  const fallback = (reason) => clampAmount(settings, freeBalance, settings.fixedAmountUsdt, 'fixed', reason);
+
+  switch (settings.model) {
+    case 'fixed':
+      return clampAmount(settings, freeBalance, settings.fixedAmountUsdt, 'fixed');
+
+    case 'percentBalance':
+      return clampAmount(settings, freeBalance, freeBalance * settings.balancePercent, settings.model);
+
+    case 'risk': {
+      // Сума, за якої спрацювання стопу забирає riskPercent капіталу
+      const distance = stopDistance ?? settings.stopLossPercent;
+      if (!(distance > 0)) return fallback('stop distance is unknown');
+      return clampAmount(settings, freeBalance, equity * settings.riskPercent / distance, settings.model);
+    }
+
+    case 'volatility': {
+      // Той самий ризик, але стоп оцінюється як atrMultiplier * ATR
+      if (!atr || !price) return fallback(`not enough ${settings.atrInterval} klines for ATR(${settings.atrPeriod})`);
+      const distance = settings.atrMultiplier * atr / price;
+      return clampAmount(settings, freeBalance, equity * settings.riskPercent / distance, settings.model);
+    }
+
+    case 'kelly': {
+      if (!stats || stats.completedTrades < settings.kellyMinTrades) {
+        return fallback(`Kelly needs ${settings.kellyMinTrades} closed trades, have ${stats?.completedTrades ?? 0}`);
+      }
+      const fraction = kellyFraction(stats);
+      if (fraction === null) return fallback('no losing trades yet, Kelly fraction is undefined');
+      if (fraction <= 0) {
+        return { amountUsdt: 0, model: settings.model, reason: `negative edge (Kelly ${(fraction * 100).toFixed(1)}%)` };
+      }
+      return clampAmount(settings, freeBalance, equity * fraction * settings.kellyFraction, settings.model);
+    }
+
+    default:
+      throw new Error(`Unknown POSITION_SIZING model "${settings.model}". Available: ${SIZING_MODELS.join(', ')}`);
+  }
+};
+
+// Сума не може перевищувати вільний баланс і SIZING_MAX_USDT (0 = без обмеження)
+const clampAmount = (settings, freeBalance, amount, model, reason = null) => {
+  let amountUsdt = Math.min(amount, freeBalance);
+  if (settings.maxAmountUsdt > 0) {
+    amountUsdt = Math.min(amountUsdt, settings.maxAmountUsdt);
+  }
+  return { amountUsdt: Math.max(0, amountUsdt), model, reason };
+};
@@ -0,0 +1,78 @@
+/**
+ * Кеш останніх цін з market data stream.
+ * Для кожної пари зберігає останню ціну та 24-годинні екстремуми; для пар під наглядом
+ * (активні угоди) додатково веде історію тіків, щоб монітор бачив піки між своїми циклами.
+ */
+
+export class PriceCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historyMs=3600000] - Скільки зберігати історію тіків пар під наглядом
+   */
+  constructor({ historyMs = 3600000 } = {}) {
+    this.historyMs = historyMs;
+    this.prices = new Map();
+    this.history = new Map();
+  }
+
+  /**
+   * Оновлює ціну пари
+   * @param {string} symbol - Торгова пара
+   * @param {Object} ticker
+   * @param {number} ticker.price - Остання ціна
+   * @param {number} [ticker.high24h] - Максимум за 24 години
+   * @param {number} [ticker.low24h] - Мінімум за 24 години
+   * @param {number} [time=Date.now()] - Час отримання
+   */
+  update(symbol, { price, high24h = null, low24h = null }, time = Date.now()) {
+    this.prices.set(symbol, { price, high24h, low24h, time });
+
+    const ticks = this.history.get(symbol);
+    if (ticks) {
+      ticks.push([time, price]);
+      while (ticks.length > 0 && ticks[0][0] < time - this.historyMs) ticks.shift();
+    }
+  }
+
+  /**
+   * Остання ціна пари
+   * @param {string} symbol - Торгова пара
+   * @param {number} [maxAgeMs=Infinity] - Максимальний вік ціни
+   * @returns {{price: number, high24h: number|null, low24h: number|null, time: number}|null} null - ціни немає або вона застаріла
+   */
+  get(symbol, maxAgeMs = Infinity) {
+    const entry = this.prices.get(symbol);
+    if (!entry || Date.now() - entry.time > maxAgeMs) {
+      return null;
+    }
+    return { ...entry };
+  }
+
+  /**
+   * Встановлює пари під наглядом: для них ведеться історія тіків, для решти вона видаляється
+   * @param {Array<string>} symbols - Торгові пари
+   */
+  watch(symbols) {
+    const watched = new Set(symbols);
+    for (const symbol of this.history.keys()) {
+      if (!watched.has(symbol)) this.history.delete(symbol);
+    }
+    for (const symbol of watched) {
+      if (!this.history.has(symbol)) this.history.set(symbol, []);
+    }
+  }
+
+  /**
+   * Максимум і мінімум ціни пари під наглядом з вказаного часу
+   * @param {string} symbol - Торгова пара
+   * @param {number} since - Початок періоду (мс)
+   * @returns {{high: number, low: number}|null} null - за період не було тіків
+   */
+  getRange(symbol, since) {
+    const prices = (this.history.get(symbol) || []).filter(([time]) => time >= since).map(([, price]) => price);
+    if (prices.length === 0) {
+      return null;
+    }
+    return { high: Math.max(...prices), low: Math.min(...prices) };
+  }
+}
@@ -0,0 +1,379 @@
+import { config } from './config.js';
+import * as db from './database.js';
+import * as binance from './binanceClient.js';
+import logger from './logger.js';
+import { adoptPosition, protectPosition, handleFilledOrder, setTradeExitOrders } from './tradingBot.js';
+import { roundQuantity, validateOrder } from './symbolRules.js';
+
+/**
+ * Звірка стану угод у БД зі станом біржі при старті.
+ * Виявляє розбіжності, що виникають, якщо бот впав між купівлею та розміщенням
+ * виходів або під час виконання ордера, і залежно від RECONCILIATION_POLICY
+ * виправляє їх ('repair') або лише додає до звіту ('flag').
+ */
+
+/**
+ * Збирає ID біржових ордерів, які належать угоді (рівень угоди + сходинки)
+ * @param {Object} trade - Угода з БД
+ * @param {Array} exits - Записи trade_exits угоди
+ * @returns {string[]}
+ */
+const exitOrderIds = (trade, exits) => [
+  trade.tpOrderId,
+  trade.slOrderId,
+  ...exits.flatMap(e => [e.tpOrderId, e.slOrderId])
+].filter(id => id != null).map(String);
+
+/**
+ * Шукає виконаний ордер серед ордерів виходу, яких уже немає серед відкритих
+ * @param {string} symbol - Торгова пара
+ * @param {Array} orderIds - ID ордерів
+ * @returns {Promise<Object|null>} Звіт біржі про виконаний ордер
+ */
+const findFilledOrder = async (symbol, orderIds) => {
+  for (const orderId of orderIds.filter(id => id != null)) {
+    const order = await binance.getOrderStatus(symbol, orderId);
+    if (order?.status === 'FILLED') {
+      return order;
+    }
+  }
+  return null;
+};
+
+/**
+ * Чи можна продати обсяг з урахуванням фільтрів біржі
+ * @param {Object} rules - Правила торгової пари
+ * @param {number} quantity - Обсяг
+ * @param {number} price - Очікувана ціна
+ * @returns {boolean}
+ */
+const isSellable = (rules, quantity, price) => {
+  const rounded = roundQuantity(rules, quantity);
+  return validateOrder(rules, rounded, price).ok;
+};
+
+/**
+ * Звіряє одну активну угоду: невраховані виконання, застарілі записи про ордери, позиції без виходів
+ * @param {Object} trade - Угода з БД (мутується при виправленні)
+ * @param {Object} context - Спільний стан звірки
+ */
+const reconcileActiveTrade = async (trade, context) => {
+  const { openOrderIds, balances, report, repair } = context;
+  const exits = await db.getOpenTradeExits(trade.id);
+
+  // Сходинки драбини, чиїх ордерів уже немає на біржі
+  for (const exit of exits) {
+    if (openOrderIds.has(String(exit.tpOrderId)) || openOrderIds.has(String(exit.slOrderId))) continue;
+
+    const filled = await findFilledOrder(trade.symbol, [exit.tpOrderId, exit.slOrderId]);
+    if (filled) {
+      await report.add({
+        type: 'UNRECORDED_FILL',
+        trade,
+        detail: `${exit.leg} order ${filled.orderId} filled ${filled.executedQty} @ ${filled.price}`,
+        fix: () => handleFilledOrder(trade, filled, exit)
+      });
+    } else {
+      await report.add({
+        type: 'STALE_EXIT_RECORD',
+        trade,
+        detail: `${exit.leg} OCO ${exit.orderListId} is no longer open on the exchange`,
+        fix: () => db.updateTradeExit(exit.id, { status: 'CANCELLED' })
+      });
+    }
+  }
+  if (repair && trade.status !== 'ACTIVE') return;
+
+  // Виходи рівня угоди (основний OCO або окремий стоп)
+  const tradeLevelIds = [trade.tpOrderId, trade.slOrderId].filter(id => id != null).map(String);
+  if (tradeLevelIds.length > 0 && !tradeLevelIds.some(id => openOrderIds.has(id))) {
+    const filled = await findFilledOrder(trade.symbol, tradeLevelIds);
+    if (filled) {
+      await report.add({
+        type: 'UNRECORDED_FILL',
+        trade,
+        detail: `exit order ${filled.orderId} filled ${filled.executedQty} @ ${filled.price}`,
+        fix: () => handleFilledOrder(trade, filled)
+      });
+    } else {
+      await report.add({
+        type: 'STALE_EXIT_RECORD',
+        trade,
+        detail: `exit orders ${tradeLevelIds.join(', ')} are no longer open on the exchange`,
+        fix: () => setTradeExitOrders(trade, {})
+      });
+    }
+  }
+  if (repair && trade.status !== 'ACTIVE') return;
+
+  // Позиція без жодного живого ордера на вихід
+  const allIds = exitOrderIds(trade, await db.getOpenTradeExits(trade.id));
+  if (allIds.some(id => openOrderIds.has(id))) return;
+  if (!repair && report.hasFill(trade.id)) return;
+
+  const rules = await binance.getSymbolRules(trade.symbol);
+  const price = await binance.getPrice(trade.symbol);
+  const remaining = trade.remainingQuantity ?? trade.buyQuantity;
+  const held = balances[rules.baseAsset]?.free || 0;
+
+  if (!isSellable(rules, held, price)) {
+    await report.add({
+      type: 'POSITION_MISSING',
+      trade,
+      detail: `no exit orders and only ${held} ${rules.baseAsset} on balance (expected ${remaining})`,
+      fix: async () => {
+        trade.status = 'CLOSED_EXTERNAL';
+        await db.updateTrade(trade.id, { status: trade.status, exitTime: Date.now(), remainingQuantity: 0 });
+      }
+    });
+    return;
+  }
+
+  await report.add({
+    type: 'ORPHAN_POSITION',
+    trade,
+    detail: `${remaining} ${rules.baseAsset} has no exit orders (balance ${held})`,
+    fix: async () => {
+      // Частину могли продати вручну - захищаємо лише те, що реально є на балансі
+      if (held < remaining) {
+        trade.remainingQuantity = held;
+        await db.updateTrade(trade.id, { remainingQuantity: held });
+      }
+      await protectPosition(trade);
+    }
+  });
+};
+
+/**
+ * Знаходить ордери виходу, що залишились відкритими після закриття угоди
+ * @param {Object} context - Спільний стан звірки
+ */
+const reconcileClosedTrades = async ({ openOrders, closedTrades, report }) => {
+  for (const trade of closedTrades) {
+    const ids = new Set(exitOrderIds(trade, await db.getTradeExits(trade.id)));
+    const stale = openOrders.filter(o => o.symbol === trade.symbol && ids.has(String(o.orderId)));
+
+    // Обидві ноги OCO скасовуються разом
+    const handledLists = new Set();
+    for (const order of stale) {
+      const isList = order.orderListId != null && order.orderListId !== -1;
+      if (isList && handledLists.has(order.orderListId)) continue;
+      if (isList) handledLists.add(order.orderListId);
+
+      await report.add({
+        type: 'STALE_EXIT_ORDER',
+        trade,
+        detail: `${order.type} ${order.side} ${order.origQty} @ ${order.price} is still open (trade is ${trade.status})`,
+        fix: () => (isList
+          ? binance.cancelOrderList(trade.symbol, order.orderListId)
+          : binance.cancelOrder(trade.symbol, order.orderId))
+      });
+    }
+  }
+};
+
+/**
+ * З'ясовує долю купівель з невідомим результатом (угоди PENDING) за їхнім clientOrderId
+ * @param {Object} context - Спільний стан звірки
+ */
+const reconcilePendingTrades = async ({ pendingTrades, report }) => {
+  for (const trade of pendingTrades) {
+    let order;
+    try {
+      order = trade.buyClientOrderId
+        ? await binance.findOrderByClientId(trade.symbol, trade.buyClientOrderId, trade.entryTime)
+        : null;
+    } catch (error) {
+      report.issues.push({
+        type: 'CHECK_FAILED', symbol: trade.symbol, tradeId: trade.id, detail: error.message, action: 'skipped'
+      });
+      continue;
+    }
+
+    if (order && parseFloat(order.executedQty) > 0) {
+      await report.add({
+        type: 'PENDING_BUY_FILLED',
+        trade,
+        detail: `buy ${trade.buyClientOrderId} filled ${order.executedQty} (order ${order.orderId})`,
+        fix: () => adoptPosition(order, trade.id)
+      });
+      continue;
+    }
+
+    await report.add({
+      type: 'PENDING_BUY_NOT_FILLED',
+      trade,
+      detail: `buy ${trade.buyClientOrderId} ${order ? `is ${order.status} without fills` : 'never reached the exchange'}`,
+      fix: () => db.discardPendingTrade(trade.id)
+    });
+  }
+};
+
+/**
+ * Знаходить ринкові купівлі бота за період, яких немає в БД.
+ * Чужі купівлі (без префікса clientOrderId бота) лише згадуються у звіті.
+ * @param {Object} context - Спільний стан звірки
+ */
+const reconcileUnrecordedBuys = async ({ symbols, since, balances, pendingTrades, report }) => {
+  // Купівлі зарезервованих угод обробляє reconcilePendingTrades
+  const pendingClientOrderIds = new Set(pendingTrades.map(t => t.buyClientOrderId));
+
+  for (const symbol of symbols) {
+    const orders = await binance.getAllOrders(symbol, since);
+    const buys = orders.filter(o => o.side === 'BUY' && o.type === 'MARKET' && parseFloat(o.executedQty) > 0);
+
+    for (const order of buys) {
+      if (pendingClientOrderIds.has(order.clientOrderId)) continue;
+      if (await db.getTradeByBuyOrderId(order.orderId)) continue;
+
+      // Ручні купівлі та ордери інших програм на тому ж акаунті не переймаємо
+      if (!binance.isBotClientOrderId(order.clientOrderId)) {
+        report.issues.push({
+          type: 'FOREIGN_BUY',
+          symbol,
+          tradeId: null,
+          detail: `buy order ${order.orderId} (${order.clientOrderId}) filled ${order.executedQty} was not placed by the bot`,
+          action: 'ignored'
+        });
+        continue;
+      }
+
+      const rules = await binance.getSymbolRules(symbol);
+      const held = balances[rules.baseAsset]?.free || 0;
+      const price = parseFloat(order.cummulativeQuoteQty) / parseFloat(order.executedQty);
+      const stillHeld = isSellable(rules, Math.min(held, parseFloat(order.executedQty)), price);
+
+      await report.add({
+        type: 'UNRECORDED_BUY',
+        trade: { symbol },
+        detail: `buy order ${order.orderId} filled ${order.executedQty} @ ${price} at ${new Date(order.updateTime).toISOString()}` +
+          (stillHeld ? '' : `, but only ${held} ${rules.baseAsset} is left on balance`),
+        fix: stillHeld ? () => adoptPosition(order) : null
+      });
+    }
+  }
+};
+
+/**
+ * Створює звіт звірки. У режимі 'repair' кожна знайдена проблема одразу виправляється.
+ * @param {'repair'|'flag'} policy - Політика звірки
+ * @returns {Object}
+ */
+const createReport = (policy) => {
+  const issues = [];
+  return {
+    issues,
+    hasFill: (tradeId) => issues.some(i => i.tradeId === tradeId && i.type === 'UNRECORDED_FILL'),
+    async add({ type, trade, detail, fix }) {
+      const issue = { type, symbol: trade.symbol, tradeId: trade.id ?? null, detail, action: 'flagged' };
+      if (policy === 'repair' && fix) {
+        try {
+          await fix();
+          issue.action = 'repaired';
+        } catch (error) {
+          issue.action = `repair failed: ${error.message}`;
+        }
+      } else if (!fix) {
+        issue.action = 'manual action required';
+      }
+      issues.push(issue);
+    }
+  };
+};
+
+/**
+ * Звіряє угоди в БД зі станом біржі та пише звіт у лог
+ * @param {Object} [options]
+ * @param {'repair'|'flag'} [options.policy=config.RECONCILIATION_POLICY] - Політика звірки
+ * @param {number} [options.lookbackHours=config.RECONCILIATION_LOOKBACK_HOURS] - Глибина перевірки історії
+ * @returns {Promise<{policy: string, checkedTrades: number, checkedSymbols: number, issues: Array}>}
+ */
+export const reconcile = async ({
+  policy = config.RECONCILIATION_POLICY,
+  lookbackHours = config.RECONCILIATION_LOOKBACK_HOURS
+} = {}) => {
+  logger.info(`🔍 Reconciling DB trades with exchange state (policy: ${policy})...`);
+
+  const since = Date.now() - lookbackHours * 60 * 60 * 1000;
+  const activeTrades = await db.getActiveTrades();
+  const closedTrades = await db.getClosedTradesSince(since);
+  const pendingTrades = await db.getPendingTrades();
+  const recentListings = await db.getListedSymbolsSince(since);
+
+  const openOrders = await binance.getOpenOrders();
+  const balances = await binance.getAccountBalances();
+
+  const symbols = [...new Set([
+    ...activeTrades.map(t => t.symbol),
+    ...closedTrades.map(t => t.symbol),
+    ...recentListings.map(s => s.symbol)
+  ])];
+
+  const report = createReport(policy);
+  const context = {
+    since,
+    symbols,
+    openOrders,
+    openOrderIds: new Set(openOrders.map(o => String(o.orderId))),
+    balances,
+    closedTrades,
+    pendingTrades,
+    report,
+    repair: policy === 'repair'
+  };
+
+  for (const trade of activeTrades) {
+    try {
+      await reconcileActiveTrade(trade, context);
+    } catch (error) {
+      report.issues.push({
+        type: 'CHECK_FAILED', symbol: trade.symbol, tradeId: trade.id, detail: error.message, action: 'skipped'
+      });
+    }
+  }
+
+  await reconcileClosedTrades(context);
+  await reconcilePendingTrades(context);
+  await reconcileUnrecordedBuys(context);
+
+  // Ордери на наших парах, які не належать жодній угоді - можуть бути ручними, не чіпаємо
+  const knownIds = new Set();
+  for (const trade of [...activeTrades, ...closedTrades]) {
+    exitOrderIds(trade, await db.getTradeExits(trade.id)).forEach(id => knownIds.add(id));
+  }
+  for (const order of openOrders.filter(o => symbols.includes(o.symbol) && !knownIds.has(String(o.orderId)))) {
+    report.issues.push({
+      type: 'UNKNOWN_ORDER',
+      symbol: order.symbol,
+      tradeId: null,
+      detail: `${order.type} ${order.side} ${order.origQty} @ ${order.price} (order ${order.orderId}) is not linked to any trade`,
+      action: 'manual action required'
+    });
+  }
+
+  const result = {
+    policy,
+    checkedTrades: activeTrades.length + closedTrades.length + pendingTrades.length,
+    checkedSymbols: symbols.length,
+    issues: report.issues
+  };
+  logReport(result);
+  return result;
+};
+
+/**
+ * Пише звіт звірки в лог
+ * @param {Object} result - Результат reconcile
+ */
+const logReport = ({ policy, checkedTrades, checkedSymbols, issues }) => {
+  if (issues.length === 0) {
+    logger.info(`✅ Reconciliation: DB and exchange agree (${checkedTrades} trades, ${checkedSymbols} symbols checked)`);
+    return;
+  }
+
+  logger.warn(`🧾 Reconciliation report (${policy}): ${issues.length} issue(s) in ${checkedTrades} trades / ${checkedSymbols} symbols`);
+  for (const { type, symbol, tradeId, detail, action } of issues) {
+    const tradeLabel = tradeId != null ? ` trade #${tradeId}` : '';
+    logger.warn(`  • [${type}] ${symbol}${tradeLabel}: ${detail} → ${action}`);
+  }
+};
@@ -0,0 +1,262 @@
+import logger from './logger.js';
+
+/**
+ * Планувальник запитів до REST API Binance з урахуванням лімітів ваги та ордерів.
+ * Веде локальний облік використаних лімітів у фіксованих вікнах біржі, уточнює його
+ * заголовками X-MBX-USED-WEIGHT-* / X-MBX-ORDER-COUNT-*, ставить запити в чергу,
+ * поки вікно не звільниться, поважає Retry-After після 429/418 і повторює
+ * тимчасові мережеві помилки з експоненційною затримкою.
+ */
+
+const INTERVAL_UNITS = {
+  SECOND: { ms: 1000, letter: 's' },
+  MINUTE: { ms: 60000, letter: 'm' },
+  HOUR: { ms: 3600000, letter: 'h' },
+  DAY: { ms: 86400000, letter: 'd' }
+};
+
+// Заголовок з лічильником біржі для кожного типу ліміту
+const HEADER_PREFIX = {
+  REQUEST_WEIGHT: 'x-mbx-used-weight-',
+  ORDERS: 'x-mbx-order-count-'
+};
+
+// Помилки з'єднання, після яких запит безпечно повторити
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+const TRANSIENT_HTTP_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Ліміти за замовчуванням (актуальні для Binance Spot), поки не прочитані з exchangeInfo
+ * @param {Object} settings
+ * @returns {Array<{rateLimitType: string, interval: string, intervalNum: number, limit: number}>}
+ */
+export const defaultRateLimits = ({ weightPerMinute, ordersPer10s, ordersPerDay }) => [
+  { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: weightPerMinute },
+  { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: ordersPer10s },
+  { rateLimitType: 'ORDERS', interval: 'DAY', intervalNum: 1, limit: ordersPerDay }
+];
+
+/**
+ * Чи варто повторити запит після помилки без відповіді або з 5xx
+ * @param {Error} error - Помилка axios
+ * @returns {boolean}
+ */
+export const isTransientError = (error) => {
+  if (error.response) {
+    return TRANSIENT_HTTP_STATUSES.includes(error.response.status);
+  }
+  return TRANSIENT_NETWORK_CODES.includes(error.code);
+};
+
+export class RequestScheduler {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.rateLimits - Ліміти у форматі exchangeInfo.rateLimits
+   * @param {number} [options.safety=0.8] - Частка ліміту, до якої плануємо запити (решта - запас на інші процеси)
+   * @param {number} [options.maxRetries=3] - Максимум повторів одного запиту
+   * @param {number} [options.backoffMs=500] - Базова затримка повтору
+   * @param {number} [options.backoffMaxMs=30000] - Максимальна затримка повтору
+   * @param {Function} [options.now=Date.now] - Джерело часу
+   */
+  constructor({ rateLimits, safety = 0.8, maxRetries = 3, backoffMs = 500, backoffMaxMs = 30000, now = Date.now }) {
+    this.safety = safety;
+    this.maxRetries = maxRetries;
+    this.backoffMs = backoffMs;
+    this.backoffMaxMs = backoffMaxMs;
+    this.now = now;
+
+    this.limits = [];
+    this.queue = [];
+    this.inFlight = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.stats = { requests: 0, retries: 0, rateLimitHits: 0, throttledMs: 0 };
+
+    this.setRateLimits(rateLimits);
+  }
+
+  /**
+   * Встановлює ліміти (наприклад, з exchangeInfo.rateLimits), зберігаючи вже накопичене використання
+   * @param {Array<{rateLimitType: string, interval: string, intervalNum: number, limit: number}>} rateLimits
+   */
+  setRateLimits(rateLimits) {
+    const previous = new Map(this.limits.map(l => [l.key, l]));
+
+    this.limits = rateLimits
+      .filter(l => HEADER_PREFIX[l.rateLimitType] && INTERVAL_UNITS[l.interval])
+      .map(l => {
+        const unit = INTERVAL_UNITS[l.interval];
+        const interval = `${l.intervalNum}${unit.letter}`;
+        const key = `${l.rateLimitType}:${interval}`;
+        const existing = previous.get(key);
+        return {
+          key,
+          type: l.rateLimitType,
+          interval,
+          intervalMs: l.intervalNum * unit.ms,
+          header: HEADER_PREFIX[l.rateLimitType] + interval,
+          limit: l.limit,
+          used: existing?.used ?? 0,
+          windowStart: existing?.windowStart ?? 0
+        };
+      });
+  }
+
+  /**
+   * Ставить запит у чергу
+   * @param {Object} cost - Вартість запиту
+   * @param {number} [cost.weight=1] - Вага запиту
+   * @param {number} [cost.orders=0] - Кількість нових ордерів (такі запити не повторюються
+   *   після тимчасових помилок: ордер міг бути прийнятий)
+   * @param {Function} execute - Виконує запит, повертає відповідь axios
+   * @returns {Promise<Object>} Відповідь axios
+   */
+  schedule(cost, execute) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ cost: { weight: 1, orders: 0, ...cost }, execute, resolve, reject, attempt: 0 });
+      this.pump();
+    });
+  }
+
+  /**
+   * Поточне використання лімітів та статистика планувальника
+   * @returns {Object}
+   */
+  getMetrics() {
+    const now = this.now();
+    return {
+      limits: this.limits.map(l => {
+        this.rollWindow(l, now);
+        return { type: l.type, interval: l.interval, used: l.used, limit: l.limit };
+      }),
+      queued: this.queue.length,
+      inFlight: this.inFlight,
+      pausedForMs: Math.max(0, this.pausedUntil - now),
+      ...this.stats
+    };
+  }
+
+  costFor(limit, cost) {
+    return limit.type === 'ORDERS' ? cost.orders : cost.weight;
+  }
+
+  // Вікна біржі фіксовані (вирівняні по епосі) - по закінченню вікна лічильник обнуляється
+  rollWindow(limit, now) {
+    const windowStart = Math.floor(now / limit.intervalMs) * limit.intervalMs;
+    if (windowStart !== limit.windowStart) {
+      limit.windowStart = windowStart;
+      limit.used = 0;
+    }
+  }
+
+  // Скільки чекати, поки запит вміститься в усі ліміти
+  waitFor(cost, now) {
+    let wait = Math.max(0, this.pausedUntil - now);
+    for (const limit of this.limits) {
+      const amount = this.costFor(limit, cost);
+      if (amount <= 0) continue;
+      this.rollWindow(limit, now);
+      if (limit.used + amount > limit.limit * this.safety) {
+        wait = Math.max(wait, limit.windowStart + limit.intervalMs - now);
+      }
+    }
+    return wait;
+  }
+
+  pump() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.queue.length > 0) {
+      const now = this.now();
+      const wait = this.waitFor(this.queue[0].cost, now);
+      if (wait > 0) {
+        this.stats.throttledMs += wait;
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, wait);
+        return;
+      }
+
+      const request = this.queue.shift();
+      for (const limit of this.limits) {
+        limit.used += this.costFor(limit, request.cost);
+      }
+      this.dispatch(request);
+    }
+  }
+
+  async dispatch(request) {
+    this.inFlight++;
+    this.stats.requests++;
+    try {
+      const response = await request.execute();
+      this.readUsage(response.headers);
+      request.resolve(response);
+    } catch (error) {
+      this.readUsage(error.response?.headers);
+      this.handleError(request, error);
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  // Лічильники біржі враховують і запити інших процесів з тієї ж IP - беремо більший
+  readUsage(headers) {
+    if (!headers) {
+      return;
+    }
+    const now = this.now();
+    for (const limit of this.limits) {
+      const value = parseInt(headers[limit.header]);
+      if (Number.isFinite(value)) {
+        this.rollWindow(limit, now);
+        limit.used = Math.max(limit.used, value);
+      }
+    }
+  }
+
+  handleError(request, error) {
+    const status = error.response?.status;
+    const canRetry = request.attempt < this.maxRetries;
+
+    if (status === 429 || status === 418) {
+      // 429 - ліміт перевищено, 418 - IP заблоковано; до Retry-After нових запитів не шлемо
+      this.stats.rateLimitHits++;
+      const retryAfterMs = (parseInt(error.response.headers?.['retry-after']) || 0) * 1000 || this.backoffDelay(request.attempt);
+      this.pausedUntil = Math.max(this.pausedUntil, this.now() + retryAfterMs);
+      logger.warn(`⏳ Binance rate limit hit (HTTP ${status}), pausing requests for ${Math.ceil(retryAfterMs / 1000)}s`);
+
+      // Запит відхилено біржею, тож повтор безпечний і для ордерів
+      if (canRetry) {
+        this.retry(request, 0);
+        return;
+      }
+    } else if (canRetry && request.cost.orders === 0 && isTransientError(error)) {
+      const delay = this.backoffDelay(request.attempt);
+      logger.warn(`🔁 Binance request failed (${status ? `HTTP ${status}` : error.code}), retry ${request.attempt + 1}/${this.maxRetries} in ${delay}ms`);
+      this.retry(request, delay);
+      return;
+    }
+
+    request.reject(error);
+  }
+
+  // Експоненційна затримка з випадковим розкидом (половина затримки + випадкова частина)
+  backoffDelay(attempt) {
+    const delay = Math.min(this.backoffMaxMs, this.backoffMs * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  retry(request, delay) {
+    request.attempt++;
+    this.stats.retries++;
+    setTimeout(() => {
+      // Повтор іде першим, щоб не обганяти запити, поставлені після нього
+      this.queue.unshift(request);
+      this.pump();
+    }, delay);
+  }
+}
@@ -0,0 +1,233 @@
+import { config } from './config.js';
+import * as db from './database.js';
+import * as binance from './binanceClient.js';
+import logger from './logger.js';
+
+/**
+ * Ризик-менеджер портфеля. Через нього проходить кожен новий вхід:
+ * при порушенні ліміту (денний збиток, збитки поспіль, просадка)
+ * нові входи зупиняються на RISK_HALT_COOLDOWN_MS. Стан зберігається в risk_state.
+ * Експозиція - не привід для зупинки, а ємність: відхиляється лише вхід, що її перевищив би.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Витягує налаштування ризик-менеджера з набору параметрів
+ * @param {Object} parameters - Параметри стратегії
+ * @returns {Object}
+ */
+export const getRiskSettings = (parameters) => ({
+  dailyLossPercent: parameters.RISK_DAILY_LOSS_PERCENT,
+  maxExposureUsdt: parameters.RISK_MAX_EXPOSURE_USDT,
+  maxConsecutiveLosses: parameters.RISK_MAX_CONSECUTIVE_LOSSES,
+  maxDrawdownPercent: parameters.RISK_MAX_DRAWDOWN_PERCENT,
+  haltCooldownMs: parameters.RISK_HALT_COOLDOWN_MS
+});
+
+// Початок поточної доби UTC
+const startOfDay = (time) => Math.floor(time / DAY_MS) * DAY_MS;
+
+/**
+ * Перевіряє метрики на порушення лімітів
+ * @param {Object} metrics - Результат collectRiskMetrics
+ * @param {Object} settings - Результат getRiskSettings
+ * @returns {Array<{limit: string, reason: string}>} Порушені ліміти
+ */
+export const evaluateRiskLimits = (metrics, settings) => {
+  const breaches = [];
+
+  // Денний збиток рахується від капіталу на початок доби
+  const dayStartEquity = metrics.equity - metrics.dailyPnl;
+  if (settings.dailyLossPercent > 0 && dayStartEquity > 0) {
+    const dailyLoss = -metrics.dailyPnl / dayStartEquity;
+    if (dailyLoss >= settings.dailyLossPercent) {
+      breaches.push({
+        limit: 'dailyLoss',
+        reason: `daily loss ${(dailyLoss * 100).toFixed(2)}% (${metrics.dailyPnl.toFixed(2)} USDT) reached limit ${(settings.dailyLossPercent * 100).toFixed(2)}%`
+      });
+    }
+  }
+
+  if (settings.maxConsecutiveLosses > 0 && metrics.consecutiveLosses >= settings.maxConsecutiveLosses) {
+    breaches.push({
+      limit: 'consecutiveLosses',
+      reason: `${metrics.consecutiveLosses} losing trades in a row`
+    });
+  }
+
+  if (settings.maxDrawdownPercent > 0 && metrics.drawdown >= settings.maxDrawdownPercent) {
+    breaches.push({
+      limit: 'drawdown',
+      reason: `drawdown ${(metrics.drawdown * 100).toFixed(2)}% from peak equity ${metrics.peakEquity.toFixed(2)} USDT`
+    });
+  }
+
+  return breaches;
+};
+
+/**
+ * Збирає метрики ризику: P&L за добу, експозицію, збитки поспіль, капітал і просадку
+ * @param {Object} state - Стан ризик-менеджера з БД
+ * @param {Object} settings - Результат getRiskSettings
+ * @returns {Promise<Object>}
+ */
+const collectRiskMetrics = async (state, settings) => {
+  const now = Date.now();
+  const activeTrades = await db.getActiveTrades();
+
+  let exposure = 0;
+  let unrealizedPnl = 0;
+  for (const trade of activeTrades) {
+    const quantity = trade.remainingQuantity ?? trade.buyQuantity;
+    const price = await binance.getPrice(trade.symbol).catch(() => trade.buyPrice);
+    exposure += quantity * price;
+    unrealizedPnl += (price - trade.buyPrice) * quantity;
+  }
+
+  const balances = await binance.getAccountBalances();
+  const usdt = balances.USDT ? balances.USDT.free + balances.USDT.locked : 0;
+  const equity = usdt + exposure;
+
+  // Нереалізований P&L входить у денний результат, щоб ліміт спрацював до фіксації збитку
+  const dailyPnl = await db.getRealizedPnlSince(startOfDay(now)) + unrealizedPnl;
+
+  // Після відновлення торгівлі серія збитків рахується заново
+  const recent = await db.getRecentClosedTrades(Math.max(settings.maxConsecutiveLosses, 1), state.lastResumeAt ?? 0);
+  // Результат угоди - після комісій, як і в денному збитку: валовий плюс може бути чистим мінусом
+  let consecutiveLosses = 0;
+  for (const trade of recent) {
+    if ((trade.realizedPnl || 0) - trade.commissionUsdt >= 0) break;
+    consecutiveLosses++;
+  }
+
+  const peakEquity = Math.max(state.peakEquity ?? equity, equity);
+  return {
+    time: now,
+    equity,
+    peakEquity,
+    drawdown: peakEquity > 0 ? (peakEquity - equity) / peakEquity : 0,
+    exposure,
+    dailyPnl,
+    unrealizedPnl,
+    consecutiveLosses,
+    openTrades: activeTrades.length
+  };
+};
+
+/**
+ * Зупиняє нові входи та зберігає причину
+ * @param {Array} breaches - Порушені ліміти
+ * @param {Object} metrics - Метрики ризику
+ * @param {Object} settings - Результат getRiskSettings
+ */
+const haltTrading = async (breaches, metrics, settings) => {
+  const haltedAt = Date.now();
+  let haltedUntil = haltedAt + settings.haltCooldownMs;
+  // Після денного збитку торгівля не відновлюється раніше наступної доби
+  if (breaches.some(b => b.limit === 'dailyLoss')) {
+    haltedUntil = Math.max(haltedUntil, startOfDay(haltedAt) + DAY_MS);
+  }
+
+  const reason = breaches.map(b => b.reason).join('; ');
+  await db.saveRiskState({ haltedAt, haltedUntil, haltReason: reason });
+  await db.saveRiskHalt({ haltedAt, haltedUntil, reason, metrics });
+
+  logger.error(`⛔ New entries halted until ${new Date(haltedUntil).toISOString()}: ${reason}`);
+};
+
+/**
+ * Знімає зупинку після закінчення cooldown. Пік капіталу і серія збитків починаються заново.
+ * @param {Object} state - Стан ризик-менеджера (мутується)
+ */
+const resumeTrading = async (state) => {
+  const now = Date.now();
+  Object.assign(state, {
+    haltedAt: null,
+    haltedUntil: null,
+    haltReason: null,
+    peakEquity: null,
+    peakEquityAt: null,
+    lastResumeAt: now
+  });
+  await db.saveRiskState(state);
+  logger.info('▶️ Risk halt expired, new entries are allowed again');
+};
+
+/**
+ * Оновлює метрики ризику і за потреби зупиняє нові входи. Викликається кожен цикл бота.
+ * @param {Object} [parameters=config] - Параметри стратегії
+ * @returns {Promise<{halted: boolean, reason: string|null, haltedUntil: number|null, metrics: Object}>}
+ */
+export const evaluateRisk = async (parameters = config) => {
+  const settings = getRiskSettings(parameters);
+  const state = await db.getRiskState();
+
+  if (state.haltedUntil && Date.now() >= state.haltedUntil) {
+    await resumeTrading(state);
+  }
+
+  const metrics = await collectRiskMetrics(state, settings);
+  if (metrics.peakEquity !== state.peakEquity) {
+    await db.saveRiskState({ peakEquity: metrics.peakEquity, peakEquityAt: metrics.time });
+  }
+
+  if (state.haltedUntil) {
+    return { halted: true, reason: state.haltReason, haltedUntil: state.haltedUntil, metrics };
+  }
+
+  const breaches = evaluateRiskLimits(metrics, settings);
+  if (breaches.length === 0) {
+    return { halted: false, reason: null, haltedUntil: null, metrics };
+  }
+
+  await haltTrading(breaches, metrics, settings);
+  const halted = await db.getRiskState();
+  return { halted: true, reason: halted.haltReason, haltedUntil: halted.haltedUntil, metrics };
+};
+
+/**
+ * Перевіряє, чи вміщується новий вхід у ліміт експозиції
+ * @param {Object} metrics - Результат collectRiskMetrics
+ * @param {number} amountUsdt - Сума нового входу
+ * @param {Object} settings - Результат getRiskSettings
+ * @returns {string|null} Причина відмови або null
+ */
+const checkExposure = (metrics, amountUsdt, settings) => {
+  if (settings.maxExposureUsdt <= 0 || metrics.exposure + amountUsdt <= settings.maxExposureUsdt) return null;
+  return `exposure ${metrics.exposure.toFixed(2)} + ${amountUsdt.toFixed(2)} USDT would exceed limit ${settings.maxExposureUsdt} USDT`;
+};
+
+/**
+ * Перевіряє, чи дозволено відкрити нову угоду
+ * @param {Object} [parameters=config] - Параметри стратегії
+ * @param {Object} [entry]
+ * @param {() => Promise<number>} [entry.orderAmount] - Сума входу (потрібна лише для ліміту експозиції)
+ * @returns {Promise<{allowed: boolean, reason: string|null}>}
+ */
+export const checkEntry = async (parameters = config, { orderAmount } = {}) => {
+  const state = await db.getRiskState();
+  if (state.haltedUntil && Date.now() < state.haltedUntil) {
+    return { allowed: false, reason: `trading halted until ${new Date(state.haltedUntil).toISOString()}: ${state.haltReason}` };
+  }
+
+  const { halted, reason, metrics } = await evaluateRisk(parameters);
+  if (halted) return { allowed: false, reason };
+
+  const settings = getRiskSettings(parameters);
+  if (settings.maxExposureUsdt > 0) {
+    const amountUsdt = orderAmount ? await orderAmount() : parameters.BUY_AMOUNT_USDT;
+    const exposureReason = checkExposure(metrics, amountUsdt, settings);
+    if (exposureReason) return { allowed: false, reason: exposureReason };
+  }
+  return { allowed: true, reason: null };
+};
+
+/**
+ * Повертає поточний стан ризик-менеджера
+ * @returns {Promise<Object>}
+ */
+export const getRiskStatus = async () => {
+  const state = await db.getRiskState();
+  return { ...state, halted: Boolean(state.haltedUntil && Date.now() < state.haltedUntil) };
+};
@@ -0,0 +1,20 @@
+/**
+ * Шлях ціни всередині свічки для бектесту.
+ * OHLC не показує, що було раніше - максимум чи мінімум, тому порядок задає політика:
+ *   stop   - спершу мінімум (песимістично: стоп спрацьовує раніше за тейк-профіт)
+ *   target - спершу максимум (оптимістично)
+ *   open   - спершу екстремум, ближчий до ціни відкриття
+ */
+
+export const AMBIGUOUS_BAR_POLICIES = ['stop', 'target', 'open'];
+
+/**
+ * Точки, через які проходить ціна всередині свічки
+ * @param {{open: number, high: number, low: number, close: number}} bar - Свічка
+ * @param {'stop'|'target'|'open'} policy - Порядок екстремумів
+ * @returns {number[]} [open, перший екстремум, другий екстремум, close]
+ */
+export const barPath = ({ open, high, low, close }, policy) => {
+  const lowFirst = policy === 'stop' || (policy === 'open' && open - low <= high - open);
+  return lowFirst ? [open, low, high, close] : [open, high, low, close];
+};
@@ -0,0 +1,67 @@
+/**
+ * Черга подій симуляції, впорядкована за часом (бінарна купа).
+ * Події з однаковим часом виходять за пріоритетом (менший - раніше),
+ * а з однаковим пріоритетом - у порядку додавання.
+ */
+
+export class EventQueue {
+  constructor() {
+    this.heap = [];
+    this.seq = 0;
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Додає подію
+   * @param {{time: number, priority?: number}} event - Подія (інші поля - на розсуд обробника)
+   */
+  push(event) {
+    const entry = { event, time: event.time, priority: event.priority ?? 0, seq: this.seq++ };
+    const heap = this.heap;
+    heap.push(entry);
+
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Забирає найранішу подію
+   * @returns {Object|undefined}
+   */
+  pop() {
+    const heap = this.heap;
+    if (heap.length === 0) return undefined;
+
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let first = i;
+        if (left < heap.length && this.before(heap[left], heap[first])) first = left;
+        if (right < heap.length && this.before(heap[right], heap[first])) first = right;
+        if (first === i) break;
+        [heap[i], heap[first]] = [heap[first], heap[i]];
+        i = first;
+      }
+    }
+    return top.event;
+  }
+
+  before(a, b) {
+    return a.time !== b.time ? a.time < b.time
+      : a.priority !== b.priority ? a.priority < b.priority
+        : a.seq < b.seq;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Модель виконання ордерів для HistoricalSimulator: комісії maker/taker зі знижкою за оплату в BNB,
+ * прослизання залежно від розміру ордера відносно обсягу свічки, затримка входу після лістингу
+ * та ймовірність часткового виконання лімітних виходів.
+ * Симулятор приймає будь-який об'єкт з тим самим інтерфейсом (entryLatencyMs, feeRate, slippage, limitFillQuantity).
+ */
+
+/**
+ * Витягує налаштування моделі виконання з набору параметрів стратегії
+ * @param {Object} parameters - Параметри стратегії (config або набір для симуляції)
+ * @returns {{makerFee: number, takerFee: number, bnbDiscount: number, slippageImpact: number, maxSlippage: number,
+ *   entryLatencyMs: number, partialFillProbability: number, partialFillRatio: number, seed: number}}
+ */
+export const getExecutionSettings = (parameters) => ({
+  makerFee: parameters.SIMULATION_MAKER_FEE,
+  takerFee: parameters.SIMULATION_TAKER_FEE,
+  bnbDiscount: parameters.SIMULATION_FEE_IN_BNB ? parameters.SIMULATION_BNB_DISCOUNT : 0,
+  slippageImpact: parameters.SIMULATION_SLIPPAGE_IMPACT,
+  maxSlippage: parameters.SIMULATION_MAX_SLIPPAGE,
+  entryLatencyMs: parameters.SIMULATION_ENTRY_LATENCY_MS || 0,
+  partialFillProbability: parameters.SIMULATION_PARTIAL_FILL_PROBABILITY || 0,
+  partialFillRatio: parameters.SIMULATION_PARTIAL_FILL_RATIO,
+  seed: parameters.SIMULATION_RANDOM_SEED
+});
+
+/**
+ * Детермінований генератор псевдовипадкових чисел (mulberry32): однаковий seed - однаковий прогін
+ * @param {number} seed - Початкове значення
+ * @returns {Function} () => число в [0, 1)
+ */
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export class ExecutionModel {
+  /**
+   * @param {Object} settings - Результат getExecutionSettings
+   * @param {Function} [random] - Джерело випадковості () => [0, 1)
+   */
+  constructor(settings, random = seededRandom(settings.seed)) {
+    this.settings = settings;
+    this.random = random;
+  }
+
+  /**
+   * Затримка між лістингом і відправкою ордера на вхід (виявлення + реакція бота)
+   * @returns {number} Мілісекунди
+   */
+  get entryLatencyMs() {
+    return this.settings.entryLatencyMs;
+  }
+
+  /**
+   * Ставка комісії з урахуванням знижки за оплату в BNB
+   * @param {'maker'|'taker'} role - Лімітний ордер, що стояв у книзі, або ринковий/стоп
+   * @returns {number} Частка від суми угоди
+   */
+  feeRate(role) {
+    const rate = role === 'maker' ? this.settings.makerFee : this.settings.takerFee;
+    return rate * (1 - this.settings.bnbDiscount);
+  }
+
+  /**
+   * Прослизання ринкового ордера: пропорційне частці ордера в обороті свічки, не більше maxSlippage.
+   * Без обсягу (свічки немає або вона порожня) - максимальне.
+   * @param {number} amountUsdt - Сума ордера
+   * @param {Object|null} bar - Свічка, на якій виконується ордер
+   * @returns {number} Частка від ціни
+   */
+  slippage(amountUsdt, bar) {
+    const volume = bar?.quoteAssetVolume || 0;
+    if (volume <= 0) return this.settings.maxSlippage;
+    return Math.min(this.settings.maxSlippage, this.settings.slippageImpact * amountUsdt / volume);
+  }
+
+  /**
+   * Обсяг, виконаний лімітним ордером, коли ціна торкнулася його рівня.
+   * З ймовірністю partialFillProbability виконується лише частка partialFillRatio - решта чекає наступного торкання.
+   * @param {number} quantity - Невиконаний обсяг ордера
+   * @returns {number}
+   */
+  limitFillQuantity(quantity) {
+    if (this.settings.partialFillProbability > 0 && this.random() < this.settings.partialFillProbability) {
+      return quantity * this.settings.partialFillRatio;
+    }
+    return quantity;
+  }
+}
@@ -1,15 +1,40 @@
 import * as db from '../database.js';
 import logger from '../logger.js';
 import { config } from '../config.js';
+import { getTrailingSettings, computeTrailingStop } from '../trailingStop.js';
+import { getLadderSettings, buildLadderLegs, breakevenPrice } from '../takeProfitLadder.js';
+import { getLiquiditySettings, applyLiquidityPolicy } from '../liquidity.js';
+import { getSizingSettings, calculateAtr, calculatePositionSize } from '../positionSizing.js';
+import { PerformanceAnalyzer } from '../analysis/performanceAnalyzer.js';
+import { getTimeExitSettings, checkTimeExit, TIME_EXIT_TYPES } from '../timeExits.js';
+import { barPath } from './barPath.js';
+import { EventQueue } from './eventQueue.js';
+import { ExecutionModel, getExecutionSettings } from './executionModel.js';
+
+// Порядок подій з однаковим часом: спершу розрахунок виконаних ордерів (звільняє капітал і слоти),
+// далі таймери, ціни і лише потім нові лістинги
+// (кінець свічок пари - після останньої ціни тієї ж свічки)
+const EVENT_PRIORITY = { fill: 0, timer: 1, price: 2, bar: 3, end: 3, listing: 4, entry: 4 };
 
 export class HistoricalSimulator {
-  constructor(initialBalance = 1000) {
+  /**
+   * @param {number} [initialBalance=1000] - Початковий баланс, USDT
+   * @param {Object} [options]
+   * @param {Object} [options.executionModel] - Власна модель виконання (інтерфейс ExecutionModel);
+   *   за замовчуванням будується з параметрів прогону
+   */
+  constructor(initialBalance = 1000, { executionModel = null } = {}) {
     this.balance = initialBalance;
     this.initialBalance = initialBalance;
     this.trades = [];
     this.activeTrades = new Map();
     this.currentTime = null;
-    this.priceHistory = new Map();
+    // Остання закрита свічка по кожній парі - ціна примусового закриття в кінці прогону
+    this.lastCloses = new Map();
+    // Поточна свічка по кожній парі - обіг для оцінки прослизання ринкових виходів
+    this.currentBars = new Map();
+    this.queue = new EventQueue();
+    this.executionModel = executionModel;
   }
 
   async loadHistoricalData(startDate, endDate) {
@@ -26,24 +51,14 @@ export class HistoricalSimulator {
     const runId = `sim_${Date.now()}`;
     logger.info(`Starting simulation run: ${runId}`);
     
+    this.prepare(parameters);
+    
+    // Усі лістинги періоду йдуть через одну чергу: угоди, що перекриваються в часі,
+    // змагаються за баланс і слоти MAX_OPEN_TRADES так само, як у живій торгівлі
     for (const listing of this.listings) {
-      this.currentTime = listing.listingTime;
-      
-      // Симуляція виявлення нового лістингу
-      await this.simulateNewListing(listing, parameters);
-      
-      // Симуляція моніторингу через 1 годину
-      this.currentTime = listing.listingTime + 3600000;
-      await this.checkTrades(listing.price1h, listing);
-      
-      // Симуляція моніторингу через 24 години
-      this.currentTime = listing.listingTime + 86400000;
-      await this.checkTrades(listing.price24h, listing);
-      
-      // Симуляція моніторингу через 48 годин
-      this.currentTime = listing.listingTime + 172800000;
-      await this.checkTrades(listing.price48h, listing);
+      this.schedule({ type: 'listing', time: listing.listingTime, listing });
     }
+    await this.processEvents();
     
     // Закриття всіх відкритих позицій
     await this.closeAllPositions();
@@ -55,7 +70,174 @@ export class HistoricalSimulator {
     return results;
   }
 
-  async simulateNewListing(listing, parameters) {
+  /**
+   * Налаштування прогону з параметрів стратегії
+   * @param {Object} parameters - Параметри стратегії
+   */
+  prepare(parameters) {
+    this.parameters = parameters;
+    this.holdMs = (parameters.SIMULATION_MAX_HOLD_HOURS ?? config.SIMULATION_MAX_HOLD_HOURS) * 3600000;
+    this.policy = parameters.SIMULATION_AMBIGUOUS_BAR ?? config.SIMULATION_AMBIGUOUS_BAR;
+    this.logEvents = parameters.SIMULATION_LOG_EVENTS ?? config.SIMULATION_LOG_EVENTS;
+    this.execution = this.executionModel ?? new ExecutionModel(getExecutionSettings(parameters));
+  }
+
+  schedule(event) {
+    this.queue.push({ ...event, priority: EVENT_PRIORITY[event.type] });
+  }
+
+  async processEvents() {
+    while (this.queue.size > 0) {
+      const event = this.queue.pop();
+      this.currentTime = event.time;
+      if (this.logEvents) {
+        logger.info(`[SIM] ${new Date(event.time).toISOString()} ${this.describeEvent(event)}`);
+      }
+      
+      switch (event.type) {
+        case 'listing': await this.handleListing(event.listing); break;
+        case 'entry': await this.handleEntry(event.stream, event.price); break;
+        case 'bar': this.handleBar(event.stream); break;
+        case 'end': this.handleDataEnd(event.stream); break;
+        case 'price': await this.checkTrades(event.price, event.listing, event); break;
+        case 'fill': this.handleFill(event); break;
+        case 'timer': this.handleTimer(event.trade); break;
+      }
+    }
+  }
+
+  describeEvent(event) {
+    switch (event.type) {
+      case 'listing': return `listing ${event.listing.symbol} at ${event.listing.initialPrice}`;
+      case 'entry': return `entry ${event.stream.listing.symbol} at ${event.price}`;
+      case 'bar': return `bar ${event.stream.listing.symbol} #${event.stream.index}`;
+      case 'end': return `end of klines ${event.stream.listing.symbol}`;
+      case 'price': return `price ${event.listing.symbol} ${event.price}${event.gap ? ' (open)' : event.barClose ? ' (close)' : ''}`;
+      case 'fill': return `fill ${event.trade.symbol} ${event.leg ? event.leg.leg : 'exit'} ${event.quantity ?? 'all'} at ${event.price} (${event.reason})`;
+      case 'timer': return `timer ${event.trade.symbol} trade #${event.trade.id}`;
+    }
+  }
+
+  async handleListing(listing) {
+    // Хвилинні свічки після лістингу (scripts/download-historical.js)
+    const bars = await db.getKlines(listing.symbol, '1m', listing.listingTime, listing.listingTime + this.holdMs - 1);
+    if (bars.length === 0) {
+      logger.warn(`[SIM] No 1m klines for ${listing.symbol}, listing skipped`);
+      return;
+    }
+    
+    // Вхід після затримки виявлення - на відкритті першої свічки після неї
+    // (ціни всередині хвилини історія не зберігає); без затримки - за ціною лістингу
+    const latency = this.execution.entryLatencyMs;
+    const index = latency > 0 ? bars.findIndex(b => b.openTime >= listing.listingTime + latency) : 0;
+    if (index < 0) {
+      logger.warn(`[SIM] No 1m klines for ${listing.symbol} after ${latency}ms entry latency, listing skipped`);
+      return;
+    }
+    this.schedule({
+      type: 'entry',
+      time: latency > 0 ? bars[index].openTime : listing.listingTime,
+      price: latency > 0 ? bars[index].open : listing.initialPrice,
+      stream: { listing, bars, index }
+    });
+  }
+
+  async handleEntry(stream, price) {
+    const trade = await this.simulateNewListing(stream.listing, this.parameters, price, stream.bars[stream.index]);
+    if (!trade) return;
+    
+    if (trade.timeExits.maxHoldMs > 0) {
+      this.schedule({ type: 'timer', time: trade.entryTime + trade.timeExits.maxHoldMs, trade });
+    }
+    // Моніторинг свічка за свічкою, поки по парі є відкрита угода
+    this.schedule({ type: 'bar', time: stream.bars[stream.index].openTime, stream });
+  }
+
+  handleBar(stream) {
+    const { listing, bars, index } = stream;
+    const active = [...this.activeTrades.values()].some(t => t.symbol === listing.symbol);
+    if (!active) return;
+    
+    const bar = bars[index];
+    this.currentBars.set(listing.symbol, bar);
+    const path = barPath(bar, this.policy);
+    path.forEach((price, i) => this.schedule({
+      type: 'price',
+      time: i === 0 ? bar.openTime : bar.closeTime,
+      listing,
+      price,
+      gap: i === 0,
+      barClose: i === path.length - 1
+    }));
+    
+    if (index + 1 < bars.length) {
+      this.schedule({ type: 'bar', time: bars[index + 1].openTime, stream: { ...stream, index: index + 1 } });
+    } else {
+      this.schedule({ type: 'end', time: bar.closeTime, stream });
+    }
+  }
+
+  // Свічки пари закінчились: угода закривається за останнім закриттям, а не тримає слот
+  // і капітал до кінця прогону. TIME - пройдено все вікно SIMULATION_MAX_HOLD_HOURS,
+  // DATA_END - історія обірвалась раніше
+  handleDataEnd(stream) {
+    const { listing, bars, index } = stream;
+    const bar = bars[index];
+    const reason = bar.closeTime >= listing.listingTime + this.holdMs - 1 ? 'TIME' : 'DATA_END';
+    for (const trade of this.activeTrades.values()) {
+      if (trade.symbol === listing.symbol && !trade.exitPending) {
+        this.closeTrade(trade, bar.close, reason);
+      }
+    }
+  }
+
+  handleTimer(trade) {
+    if (trade.status !== 'ACTIVE' || trade.exitPending) return;
+    // Між свічками відома лише ціна останнього закриття
+    const last = this.lastCloses.get(trade.symbol);
+    this.applyTimeExit(trade, last?.price ?? trade.buyPrice);
+  }
+
+  // Без quantity - закриття всієї решти позиції, інакше (часткове) виконання лімітного TP або сходинки
+  handleFill({ trade, leg, quantity, price, reason }) {
+    if (trade.status !== 'ACTIVE') return;
+    if (quantity === undefined) {
+      this.settleClose(trade, price, reason);
+      return;
+    }
+    
+    if (leg) {
+      leg.pendingQuantity -= quantity;
+      leg.filledQuantity += quantity;
+    }
+    this.recordExit(trade, leg?.leg ?? 'MAIN', quantity, price, reason);
+    
+    // Решта позиції далі йде зі стопом у беззбитку
+    const breakeven = breakevenPrice(trade.buyPrice, trade.stopFeeAdjustment);
+    if (leg && trade.breakevenAfterFirstTp && trade.slPrice < breakeven) {
+      trade.stopAdjustments.push({
+        time: this.currentTime,
+        oldStopPrice: trade.slPrice,
+        newStopPrice: breakeven,
+        maxPrice: trade.maxPrice
+      });
+      trade.slPrice = breakeven;
+    }
+    
+    if (trade.remainingQuantity <= trade.buyQuantity * 1e-9) {
+      this.finalizeTrade(trade, 'TP');
+    }
+  }
+
+  /**
+   * Ринкова купівля нового лістингу
+   * @param {Object} listing - Лістинг
+   * @param {Object} parameters - Параметри стратегії
+   * @param {number} [price=listing.initialPrice] - Ціна на момент входу (до прослизання)
+   * @param {Object|null} [bar=null] - Свічка входу (обіг для оцінки прослизання)
+   * @returns {Promise<Object|undefined>} Угода або undefined, якщо вхід пропущено
+   */
+  async simulateNewListing(listing, parameters, price = listing.initialPrice, bar = null) {
     // Перевірка умов входу
     if (this.activeTrades.size >= parameters.MAX_OPEN_TRADES) {
       logger.debug(`Max trades reached, skipping ${listing.symbol}`);
@@ -67,69 +249,276 @@ export class HistoricalSimulator {
       return;
     }
     
-    // Симуляція купівлі
-    const buyPrice = listing.initialPrice;
-    const quantity = parameters.BUY_AMOUNT_USDT / buyPrice;
+    // Розмір позиції - та сама модель, що й у живій торгівлі
+    const position = await this.sizePosition(listing, parameters, price);
+    if (position.amountUsdt <= 0) {
+      logger.debug(`[SIM] ${listing.symbol} skipped: ${position.reason || 'position size is 0'}`);
+      return;
+    }
+    
+    // Оцінка ліквідності (результат analyzeOrderBook) - з лістингу або з параметрів прогону
+    const liquidity = listing.liquidity ?? parameters.LIQUIDITY_ESTIMATES?.[listing.symbol] ?? null;
+    const sizing = applyLiquidityPolicy(liquidity, position.amountUsdt, getLiquiditySettings(parameters));
+    if (sizing.action === 'skip') {
+      logger.debug(`[SIM] ${listing.symbol} skipped: ${sizing.reason}`);
+      return;
+    }
+    
+    // Прослизання - за оцінкою книги ордерів або за обігом свічки входу (більше з двох);
+    // комісія taker сплачується понад суму купівлі
+    const feeRate = this.execution.feeRate('taker');
+    const amountUsdt = Math.min(sizing.amountUsdt, this.balance / (1 + feeRate));
+    const slippage = Math.max(sizing.slippage, this.execution.slippage(amountUsdt, bar));
+    const buyPrice = price * (1 + slippage);
+    const quantity = amountUsdt / buyPrice;
+    const entryFee = amountUsdt * feeRate;
+    
+    // TP/SL з поправкою на комісії входу і виходу: TP і сходинки виходять лімітним ордером (maker),
+    // стоп - taker; беззбитковий стоп теж taker
+    const targetFeeAdjustment = this.feeAdjustment('maker');
+    const stopFeeAdjustment = this.feeAdjustment('taker');
+    const ladderSettings = getLadderSettings(parameters);
+    const { legs } = buildLadderLegs(buyPrice, quantity, ladderSettings.rungs, targetFeeAdjustment);
     
     const trade = {
       id: this.trades.length + 1,
       symbol: listing.symbol,
       buyPrice,
+      referenceBuyPrice: price,
       buyQuantity: quantity,
+      entryFee,
       buyOrderId: `SIM_BUY_${Date.now()}`,
       entryTime: this.currentTime,
-      tpPrice: buyPrice * (1 + parameters.TAKE_PROFIT_PERCENT),
-      slPrice: buyPrice * (1 - parameters.STOP_LOSS_PERCENT),
+      tpPrice: buyPrice * (1 + parameters.TAKE_PROFIT_PERCENT + targetFeeAdjustment),
+      slPrice: buyPrice * (1 - parameters.STOP_LOSS_PERCENT - stopFeeAdjustment),
+      stopFeeAdjustment,
       status: 'ACTIVE',
       maxPrice: buyPrice,
-      minPrice: buyPrice
+      minPrice: buyPrice,
+      trailing: getTrailingSettings(parameters),
+      trailingActive: false,
+      timeExits: getTimeExitSettings(parameters),
+      staleAnchorPrice: null,
+      staleAnchorTime: null,
+      stopAdjustments: [],
+      // pendingQuantity - заплановані, але ще не розраховані виконання сходинки
+      ladder: legs.map(leg => ({ ...leg, filledQuantity: 0, pendingQuantity: 0 })),
+      breakevenAfterFirstTp: ladderSettings.breakevenAfterFirstTp,
+      remainingQuantity: quantity,
+      slippage,
+      exits: []
     };
     
-    this.balance -= parameters.BUY_AMOUNT_USDT;
+    this.balance -= amountUsdt + entryFee;
     this.trades.push(trade);
     this.activeTrades.set(trade.id, trade);
     
     logger.info(`[SIM] Bought ${listing.symbol} at ${buyPrice}`);
+    return trade;
+  }
+
+  /**
+   * Сумарна комісія угоди за моделлю виконання: ринковий вхід (taker) і вихід заданого типу
+   * @param {'maker'|'taker'} exitRole - Лімітний вихід з книги або ринковий/стоп
+   * @returns {number} Частка від ціни входу
+   */
+  feeAdjustment(exitRole) {
+    return this.execution.feeRate('taker') + this.execution.feeRate(exitRole);
   }
 
-  async checkTrades(currentPrice, listing) {
+  async sizePosition(listing, parameters, price = listing.initialPrice) {
+    const settings = getSizingSettings(parameters);
+    const openValue = [...this.activeTrades.values()]
+      .reduce((sum, t) => sum + t.remainingQuantity * t.buyPrice, 0);
+    const inputs = {
+      freeBalance: this.balance,
+      equity: this.balance + openValue,
+      price,
+      stopDistance: parameters.STOP_LOSS_PERCENT + this.feeAdjustment('taker')
+    };
+    
+    if (settings.model === 'volatility') {
+      // Лише свічки до моменту входу, щоб не заглядати в майбутнє
+      const klines = await db.getKlines(listing.symbol, settings.atrInterval, this.currentTime - 7 * 86400000, this.currentTime);
+      inputs.atr = calculateAtr(klines.filter(k => k.closeTime <= this.currentTime), settings.atrPeriod);
+    }
+    if (settings.model === 'kelly') {
+      inputs.stats = new PerformanceAnalyzer().analyzeTrades(this.trades.filter(t => t.status !== 'ACTIVE'));
+    }
+    
+    const position = calculatePositionSize(settings, inputs);
+    if (position.reason) {
+      logger.debug(`[SIM] ${listing.symbol}: ${position.model} sizing, ${position.reason}`);
+    }
+    return position;
+  }
+
+  /**
+   * Перевіряє угоди пари на ціні currentPrice (подія 'price': точка шляху ціни
+   * всередині свічки, open -> екстремуми в порядку політики -> close).
+   * Лімітні рівні (TP, сходинки, стоп) виконуються за своєю ціною; якщо ціна
+   * перестрибнула рівень на відкритті свічки (gap) - за ціною відкриття.
+   * Торкання лімітного TP може виконати ордер частково (модель виконання) - решта чекає далі.
+   * Виконання ордерів планується подією 'fill' на поточний час.
+   * @param {number} currentPrice - Ціна
+   * @param {Object} listing - Лістинг
+   * @param {Object} [point]
+   * @param {boolean} [point.gap=false] - Ціна відкриття свічки
+   * @param {boolean} [point.barClose=true] - Закриття свічки: лише тут перевіряються виходи за часом
+   */
+  async checkTrades(currentPrice, listing, { gap = false, barClose = true } = {}) {
+    const fillAt = (level) => gap ? currentPrice : level;
+    if (barClose) {
+      this.lastCloses.set(listing.symbol, { price: currentPrice, time: this.currentTime });
+    }
+    
     for (const [id, trade] of this.activeTrades) {
-      if (trade.symbol !== listing.symbol) continue;
+      if (trade.symbol !== listing.symbol || trade.exitPending) continue;
       
       // Оновлення мін/макс
-      trade.maxPrice = Math.max(trade.maxPrice, currentPrice);
       trade.minPrice = Math.min(trade.minPrice, currentPrice);
       
-      // Перевірка TP
-      if (currentPrice >= trade.tpPrice) {
-        await this.closeTrade(trade, currentPrice, 'TP');
+      // Сходинки драбини тейк-профітів
+      if (trade.ladder.length > 0) {
+        this.checkLadder(trade, currentPrice, gap);
+      }
+      // Перевірка TP (після активації trailing TP-ордер знятий, як і в живому режимі)
+      else if (!trade.trailingActive && currentPrice >= trade.tpPrice) {
+        trade.maxPrice = Math.max(trade.maxPrice, currentPrice);
+        const quantity = gap ? trade.remainingQuantity : this.execution.limitFillQuantity(trade.remainingQuantity);
+        if (quantity >= trade.remainingQuantity) {
+          this.closeTrade(trade, fillAt(trade.tpPrice), 'TP');
+          continue;
+        }
+        this.schedule({ type: 'fill', time: this.currentTime, trade, quantity, price: trade.tpPrice, reason: 'TP' });
       }
       // Перевірка SL
-      else if (currentPrice <= trade.slPrice) {
-        await this.closeTrade(trade, currentPrice, 'SL');
+      if (currentPrice <= trade.slPrice) {
+        this.closeTrade(trade, fillAt(trade.slPrice), trade.trailingActive ? 'TRAILING' : 'SL');
+        continue;
+      }
+      
+      this.updateTrailingStop(trade, currentPrice);
+      
+      if (barClose) {
+        this.applyTimeExit(trade, currentPrice);
       }
     }
   }
 
-  async closeTrade(trade, sellPrice, reason) {
-    trade.sellPrice = sellPrice;
+  // Виходи за часом рахуються від часу події, а не від годинника
+  applyTimeExit(trade, price) {
+    const timeExit = checkTimeExit(trade, price, this.currentTime, trade.timeExits);
+    trade.staleAnchorPrice = timeExit.staleAnchorPrice;
+    trade.staleAnchorTime = timeExit.staleAnchorTime;
+    if (timeExit.exit) {
+      this.closeTrade(trade, price, timeExit.exit);
+    }
+  }
+
+  updateTrailingStop(trade, currentPrice) {
+    const { maxPrice, active, newStopPrice } = computeTrailingStop({
+      buyPrice: trade.buyPrice,
+      maxPrice: trade.maxPrice,
+      stopPrice: trade.slPrice,
+      trailingActive: trade.trailingActive
+    }, currentPrice, trade.trailing);
+    
+    trade.maxPrice = maxPrice;
+    if (!newStopPrice) return;
+    
+    trade.stopAdjustments.push({
+      time: this.currentTime,
+      oldStopPrice: trade.slPrice,
+      newStopPrice,
+      maxPrice
+    });
+    trade.trailingActive = active;
+    trade.slPrice = newStopPrice;
+    
+    logger.debug(`[SIM] Trailing stop for ${trade.symbol} moved to ${newStopPrice}`);
+  }
+
+  checkLadder(trade, currentPrice, gap = false) {
+    for (const leg of trade.ladder) {
+      const openQuantity = leg.quantity - leg.filledQuantity - leg.pendingQuantity;
+      if (openQuantity <= leg.quantity * 1e-9 || currentPrice < leg.price) continue;
+      
+      trade.maxPrice = Math.max(trade.maxPrice, currentPrice);
+      const quantity = gap ? openQuantity : this.execution.limitFillQuantity(openQuantity);
+      leg.pendingQuantity += quantity;
+      this.schedule({ type: 'fill', time: this.currentTime, trade, leg, quantity, price: gap ? currentPrice : leg.price, reason: 'TP' });
+    }
+  }
+
+  /**
+   * Продаж частини позиції. TP - лімітний ордер з книги (maker, без прослизання),
+   * решта виходів - ринкові або стоп-ордери (taker, з прослизанням від обігу поточної свічки).
+   * @param {number} price - Ціна до прослизання
+   */
+  recordExit(trade, leg, quantity, price, reason) {
+    const role = reason === 'TP' ? 'maker' : 'taker';
+    const slippage = role === 'taker' ? this.execution.slippage(price * quantity, this.currentBars.get(trade.symbol)) : 0;
+    const sellPrice = price * (1 - slippage);
+    const fee = sellPrice * quantity * this.execution.feeRate(role);
+    
+    trade.exits.push({ leg, quantity, sellPrice, referencePrice: price, fee, reason, time: this.currentTime });
+    trade.remainingQuantity -= quantity;
+    this.balance += sellPrice * quantity - fee;
+    
+    logger.info(`[SIM] ${trade.symbol} ${leg}: sold ${quantity} at ${sellPrice} (${reason})`);
+  }
+
+  // Закриття всієї решти позиції - виконується подією 'fill'
+  closeTrade(trade, sellPrice, reason) {
+    trade.exitPending = true;
+    this.schedule({ type: 'fill', time: this.currentTime, trade, price: sellPrice, reason });
+  }
+
+  settleClose(trade, sellPrice, reason) {
+    this.recordExit(trade, trade.exits.length > 0 ? 'RUNNER' : 'MAIN', trade.remainingQuantity, sellPrice, reason);
+    this.finalizeTrade(trade, reason);
+  }
+
+  finalizeTrade(trade, reason) {
+    // Середньозважена ціна по всіх виходах
+    const soldQty = trade.exits.reduce((sum, e) => sum + e.quantity, 0);
+    const reasons = trade.exits.map(e => e.reason);
+    const finalReason = TIME_EXIT_TYPES.includes(reason) ? reason
+      : reasons.every(r => r === 'TP') ? 'TP'
+        : reasons.includes('TP') ? 'LADDER' : reason;
+    
+    const proceeds = trade.exits.reduce((sum, e) => sum + e.sellPrice * e.quantity, 0);
+    const referenceProceeds = trade.exits.reduce((sum, e) => sum + e.referencePrice * e.quantity, 0);
+    const cost = trade.buyPrice * trade.buyQuantity;
+    const referenceCost = trade.referenceBuyPrice * trade.buyQuantity;
+    
+    trade.sellPrice = proceeds / soldQty;
     trade.exitTime = this.currentTime;
-    trade.status = `FILLED_${reason}`;
-    trade.profitLoss = ((sellPrice - trade.buyPrice) / trade.buyPrice * 100);
+    trade.status = `FILLED_${finalReason}`;
+    // Gross - за цінами ринку без комісій і прослизання, net - за фактичним виконанням
+    trade.fees = trade.entryFee + trade.exits.reduce((sum, e) => sum + e.fee, 0);
+    trade.slippageCost = (cost - referenceCost) + (referenceProceeds - proceeds);
+    trade.grossPnl = referenceProceeds - referenceCost;
+    trade.netPnl = proceeds - cost - trade.fees;
+    trade.grossProfitLoss = trade.grossPnl / referenceCost * 100;
+    trade.profitLoss = trade.netPnl / (cost + trade.entryFee) * 100;
     trade.holdTime = trade.exitTime - trade.entryTime;
+    trade.remainingQuantity = 0;
     
-    this.balance += sellPrice * trade.buyQuantity;
     this.activeTrades.delete(trade.id);
     
-    logger.info(`[SIM] Closed ${trade.symbol} at ${sellPrice} (${reason}) | P&L: ${trade.profitLoss.toFixed(2)}%`);
+    logger.info(`[SIM] Closed ${trade.symbol} at ${trade.sellPrice} (${finalReason}) | P&L: ${trade.profitLoss.toFixed(2)}% net, ${trade.grossProfitLoss.toFixed(2)}% gross`);
   }
 
   async closeAllPositions() {
     for (const [id, trade] of this.activeTrades) {
-      // Закриття за останньою відомою ціною
-      const lastPrice = trade.buyPrice; // В реальності тут була б поточна ціна
-      await this.closeTrade(trade, lastPrice, 'FORCE');
+      // Закриття за останньою закритою свічкою пари (без свічок - за ціною входу)
+      const last = this.lastCloses.get(trade.symbol);
+      this.currentTime = last?.time ?? trade.entryTime;
+      this.closeTrade(trade, last?.price ?? trade.buyPrice, 'FORCE');
     }
+    await this.processEvents();
   }
 
   analyzeResults(runId, parameters) {
@@ -137,6 +526,9 @@ export class HistoricalSimulator {
     const losingTrades = this.trades.filter(t => t.profitLoss <= 0);
     
     const totalProfit = ((this.balance - this.initialBalance) / this.initialBalance * 100);
+    // Той самий прогін без комісій і прослизання
+    const grossProfit = this.trades.reduce((sum, t) => sum + t.grossPnl, 0) / this.initialBalance * 100;
+    const grossWinning = this.trades.filter(t => t.grossProfitLoss > 0);
     
     const profits = this.trades.map(t => t.profitLoss || 0);
     const maxDrawdown = this.calculateMaxDrawdown();
@@ -157,9 +549,13 @@ export class HistoricalSimulator {
       winningTrades: winningTrades.length,
       losingTrades: losingTrades.length,
       totalProfit,
+      grossProfit,
+      totalFees: this.trades.reduce((sum, t) => sum + t.fees, 0),
+      slippageCost: this.trades.reduce((sum, t) => sum + t.slippageCost, 0),
       maxDrawdown,
       sharpeRatio,
       winRate: (winningTrades.length / this.trades.length * 100) || 0,
+      grossWinRate: (grossWinning.length / this.trades.length * 100) || 0,
       avgProfit: winningTrades.length > 0 ? 
         winningTrades.reduce((sum, t) => sum + t.profitLoss, 0) / winningTrades.length : 0,
       avgLoss: losingTrades.length > 0 ?
@@ -167,11 +563,13 @@ export class HistoricalSimulator {
       bestTrade: bestTrade ? {
         symbol: bestTrade.symbol,
         profit: bestTrade.profitLoss,
+        grossProfit: bestTrade.grossProfitLoss,
         holdTime: bestTrade.holdTime
       } : null,
       worstTrade: worstTrade ? {
         symbol: worstTrade.symbol,
         loss: worstTrade.profitLoss,
+        grossLoss: worstTrade.grossProfitLoss,
         holdTime: worstTrade.holdTime
       } : null
     };
@@ -182,15 +580,17 @@ export class HistoricalSimulator {
     let maxDrawdown = 0;
     let currentBalance = this.initialBalance;
     
-    for (const trade of this.trades) {
-      if (trade.status.includes('FILLED')) {
-        currentBalance += (trade.sellPrice - trade.buyPrice) * trade.buyQuantity;
-        if (currentBalance > peak) {
-          peak = currentBalance;
-        }
-        const drawdown = ((peak - currentBalance) / peak * 100);
-        maxDrawdown = Math.max(maxDrawdown, drawdown);
+    // Крива капіталу в порядку закриття угод: угоди, що перекриваються, закриваються не в порядку входу
+    const closed = this.trades
+      .filter(t => t.status.includes('FILLED'))
+      .sort((a, b) => a.exitTime - b.exitTime);
+    for (const trade of closed) {
+      currentBalance += trade.netPnl;
+      if (currentBalance > peak) {
+        peak = currentBalance;
       }
+      const drawdown = ((peak - currentBalance) / peak * 100);
+      maxDrawdown = Math.max(maxDrawdown, drawdown);
     }
     
     return maxDrawdown;
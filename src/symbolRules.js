@@ -0,0 +1,207 @@
+/**
+ * Правила торгової пари з фільтрів exchangeInfo (LOT_SIZE, PRICE_FILTER, NOTIONAL).
+ * Чисті функції без звернень до API - їх можна перевіряти на фікстурах exchangeInfo.
+ */
+
+/**
+ * Кількість знаків після коми для кроку ('0.00100000' → 3)
+ * @param {number|string} step - Крок (stepSize або tickSize)
+ * @returns {number}
+ */
+export const stepDecimals = (step) => {
+  const str = String(step);
+  if (str.includes('e-')) {
+    return parseInt(str.split('e-')[1], 10);
+  }
+  const fraction = str.split('.')[1] || '';
+  return fraction.replace(/0+$/, '').length;
+};
+
+/**
+ * Округлює значення до кратного кроку
+ * @param {number} value - Значення
+ * @param {number} step - Крок (0 = без обмежень)
+ * @param {'down'|'up'|'nearest'} [mode='down'] - Напрям округлення
+ * @returns {number}
+ */
+export const roundToStep = (value, step, mode = 'down') => {
+  if (!step) return value;
+
+  // Невеликий допуск, щоб 0.3 / 0.1 = 2.9999999999999996 не округлювалось до 2
+  const ratio = value / step;
+  const epsilon = 1e-9;
+  let units;
+  if (mode === 'up') {
+    units = Math.ceil(ratio - epsilon);
+  } else if (mode === 'nearest') {
+    units = Math.round(ratio);
+  } else {
+    units = Math.floor(ratio + epsilon);
+  }
+
+  return parseFloat((units * step).toFixed(stepDecimals(step)));
+};
+
+/**
+ * Розбирає фільтри символу з exchangeInfo
+ * @param {Object} symbolInfo - Елемент exchangeInfo.symbols
+ * @returns {Object} Правила торгової пари
+ */
+export const parseSymbolRules = (symbolInfo) => {
+  const filters = Object.fromEntries((symbolInfo.filters || []).map(f => [f.filterType, f]));
+  const lot = filters.LOT_SIZE || {};
+  const marketLot = filters.MARKET_LOT_SIZE || {};
+  const price = filters.PRICE_FILTER || {};
+  const notional = filters.NOTIONAL || filters.MIN_NOTIONAL || {};
+
+  const num = (value) => (value !== undefined ? parseFloat(value) : 0);
+
+  return {
+    symbol: symbolInfo.symbol,
+    baseAsset: symbolInfo.baseAsset,
+    quoteAsset: symbolInfo.quoteAsset,
+    status: symbolInfo.status,
+    stepSize: num(lot.stepSize),
+    minQty: num(lot.minQty),
+    maxQty: num(lot.maxQty),
+    // MARKET_LOT_SIZE з нульовим кроком означає "як у LOT_SIZE"
+    marketStepSize: num(marketLot.stepSize) || num(lot.stepSize),
+    marketMinQty: num(marketLot.minQty) || num(lot.minQty),
+    marketMaxQty: num(marketLot.maxQty) || num(lot.maxQty),
+    tickSize: num(price.tickSize),
+    minPrice: num(price.minPrice),
+    maxPrice: num(price.maxPrice),
+    minNotional: num(notional.minNotional),
+    maxNotional: num(notional.maxNotional),
+    applyMinToMarket: notional.applyMinToMarket ?? notional.applyToMarket ?? true,
+    applyMaxToMarket: notional.applyMaxToMarket ?? false
+  };
+};
+
+/**
+ * Округлює обсяг ордера вниз до кроку LOT_SIZE (або MARKET_LOT_SIZE)
+ * @param {Object} rules - Результат parseSymbolRules
+ * @param {number} quantity - Бажаний обсяг
+ * @param {Object} [options]
+ * @param {boolean} [options.market=false] - Ринковий ордер
+ * @returns {number}
+ */
+export const roundQuantity = (rules, quantity, { market = false } = {}) => {
+  const step = market ? rules.marketStepSize : rules.stepSize;
+  const maxQty = market ? rules.marketMaxQty : rules.maxQty;
+  const rounded = roundToStep(quantity, step, 'down');
+  return maxQty ? Math.min(rounded, roundToStep(maxQty, step, 'down')) : rounded;
+};
+
+/**
+ * Округлює ціну до tickSize
+ * @param {Object} rules - Результат parseSymbolRules
+ * @param {number} price - Бажана ціна
+ * @param {'down'|'up'|'nearest'} [mode='nearest'] - Напрям округлення
+ * @returns {number}
+ */
+export const roundPrice = (rules, price, mode = 'nearest') => {
+  const rounded = roundToStep(price, rules.tickSize, mode);
+  return rules.tickSize ? Math.max(rounded, rules.tickSize) : rounded;
+};
+
+/**
+ * Форматує обсяг рядком з точністю кроку (без експоненційного запису)
+ * @param {Object} rules - Результат parseSymbolRules
+ * @param {number} quantity - Обсяг
+ * @param {Object} [options]
+ * @param {boolean} [options.market=false] - Ринковий ордер
+ * @returns {string}
+ */
+export const formatQuantity = (rules, quantity, { market = false } = {}) => {
+  const step = market ? rules.marketStepSize : rules.stepSize;
+  return quantity.toFixed(step ? stepDecimals(step) : 8);
+};
+
+/**
+ * Форматує ціну рядком з точністю tickSize
+ * @param {Object} rules - Результат parseSymbolRules
+ * @param {number} price - Ціна
+ * @returns {string}
+ */
+export const formatPrice = (rules, price) => price.toFixed(rules.tickSize ? stepDecimals(rules.tickSize) : 8);
+
+/**
+ * Перевіряє обмеження ордера: мінімальний обсяг, діапазон ціни, мінімальну вартість
+ * @param {Object} rules - Результат parseSymbolRules
+ * @param {number} quantity - Обсяг (вже округлений)
+ * @param {number} price - Ціна (для ринкового ордера - очікувана)
+ * @param {Object} [options]
+ * @param {boolean} [options.market=false] - Ринковий ордер
+ * @returns {{ok: boolean, reason: string|null}}
+ */
+export const validateOrder = (rules, quantity, price, { market = false } = {}) => {
+  const minQty = market ? rules.marketMinQty : rules.minQty;
+  if (quantity <= 0 || (minQty && quantity < minQty)) {
+    return { ok: false, reason: `quantity ${quantity} below minQty ${minQty}` };
+  }
+  if (!market && rules.minPrice && price < rules.minPrice) {
+    return { ok: false, reason: `price ${price} below minPrice ${rules.minPrice}` };
+  }
+  if (!market && rules.maxPrice && price > rules.maxPrice) {
+    return { ok: false, reason: `price ${price} above maxPrice ${rules.maxPrice}` };
+  }
+
+  const notional = quantity * price;
+  const checkMin = !market || rules.applyMinToMarket;
+  if (checkMin && rules.minNotional && notional < rules.minNotional) {
+    return { ok: false, reason: `notional ${notional.toFixed(4)} below minNotional ${rules.minNotional}` };
+  }
+  const checkMax = !market || rules.applyMaxToMarket;
+  if (checkMax && rules.maxNotional && notional > rules.maxNotional) {
+    return { ok: false, reason: `notional ${notional.toFixed(4)} above maxNotional ${rules.maxNotional}` };
+  }
+
+  return { ok: true, reason: null };
+};
+
+/**
+ * Нормалізує параметри ордера перед відправкою на біржу
+ * @param {Object} rules - Результат parseSymbolRules
+ * @param {Object} order
+ * @param {number} order.quantity - Обсяг
+ * @param {number} [order.price] - Лімітна ціна
+ * @param {number} [order.stopPrice] - Тригер стоп-ордера
+ * @param {number} [order.referencePrice] - Очікувана ціна для ринкового ордера
+ * @param {boolean} [order.market=false] - Ринковий ордер
+ * @param {'down'|'up'|'nearest'} [order.priceRounding='nearest'] - Округлення лімітної ціни
+ * @returns {{ok: boolean, reason: string|null, quantity: string, price?: string, stopPrice?: string, values: Object}}
+ */
+export const normalizeOrder = (rules, { quantity, price, stopPrice, referencePrice, market = false, priceRounding = 'nearest' }) => {
+  const qty = roundQuantity(rules, quantity, { market });
+  const values = { quantity: qty };
+  const result = { quantity: formatQuantity(rules, qty, { market }) };
+
+  if (price !== undefined) {
+    values.price = roundPrice(rules, price, priceRounding);
+    result.price = formatPrice(rules, values.price);
+  }
+  if (stopPrice !== undefined) {
+    values.stopPrice = roundPrice(rules, stopPrice, 'nearest');
+    result.stopPrice = formatPrice(rules, values.stopPrice);
+  }
+
+  const checkPrice = values.price ?? values.stopPrice ?? referencePrice;
+  const { ok, reason } = validateOrder(rules, qty, checkPrice, { market });
+  return { ok, reason, ...result, values };
+};
+
+/**
+ * Розділяє наявний обсяг на той, що можна продати, і пил, що лишається після комісії
+ * @param {Object} rules - Результат parseSymbolRules
+ * @param {number} quantity - Наявний обсяг базового активу
+ * @param {number} price - Очікувана ціна продажу
+ * @returns {{sellable: number, dust: number, sellableNotional: boolean}}
+ *   sellableNotional=false означає, що навіть увесь обсяг не проходить minNotional
+ */
+export const splitSellableQuantity = (rules, quantity, price) => {
+  const sellable = roundQuantity(rules, quantity);
+  const dust = Math.max(0, parseFloat((quantity - sellable).toFixed(12)));
+  const { ok } = validateOrder(rules, sellable, price);
+  return { sellable, dust, sellableNotional: ok };
+};
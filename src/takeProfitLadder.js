@@ -0,0 +1,75 @@
+/**
+ * Драбина часткових тейк-профітів, спільна для живої торгівлі та HistoricalSimulator
+ */
+
+/**
+ * Розбирає опис драбини.
+ * Формат рядка: "прибуток:частка,..." — наприклад "0.2:0.4,0.5:0.3"
+ * означає продати 40% позиції на +20% і 30% на +50%, решта — "runner".
+ * @param {string|Array<{profitPercent: number, fraction: number}>} ladder
+ * @returns {Array<{profitPercent: number, fraction: number}>} Сходинки, відсортовані за прибутком
+ */
+export const parseLadder = (ladder) => {
+  if (!ladder) return [];
+
+  const rungs = Array.isArray(ladder)
+    ? ladder.map(r => ({ profitPercent: Number(r.profitPercent), fraction: Number(r.fraction) }))
+    : ladder.split(',').filter(Boolean).map(part => {
+      const [profitPercent, fraction] = part.split(':').map(v => parseFloat(v.trim()));
+      return { profitPercent, fraction };
+    });
+
+  for (const rung of rungs) {
+    if (!(rung.profitPercent > 0) || !(rung.fraction > 0)) {
+      throw new Error(`Invalid take-profit ladder rung: ${JSON.stringify(rung)}`);
+    }
+  }
+
+  const totalFraction = rungs.reduce((sum, r) => sum + r.fraction, 0);
+  if (totalFraction > 1 + 1e-9) {
+    throw new Error(`Take-profit ladder sells ${(totalFraction * 100).toFixed(0)}% of the position, max is 100%`);
+  }
+
+  return rungs.sort((a, b) => a.profitPercent - b.profitPercent);
+};
+
+/**
+ * Витягує налаштування драбини з набору параметрів стратегії
+ * @param {Object} parameters - Параметри стратегії (config або набір для симуляції)
+ * @returns {{enabled: boolean, rungs: Array, breakevenAfterFirstTp: boolean}}
+ */
+export const getLadderSettings = (parameters) => {
+  const rungs = parseLadder(parameters.TAKE_PROFIT_LADDER);
+  return {
+    enabled: rungs.length > 0,
+    rungs,
+    breakevenAfterFirstTp: parameters.LADDER_BREAKEVEN_STOP !== false
+  };
+};
+
+/**
+ * Розраховує ціни та обсяги сходинок для конкретної позиції
+ * @param {number} buyPrice - Ціна входу
+ * @param {number} quantity - Куплений обсяг
+ * @param {Array} rungs - Сходинки з parseLadder
+ * @param {number} [feeAdjustment=0] - Надбавка на комісії до цільової ціни
+ * @returns {{legs: Array<{leg: string, price: number, quantity: number}>, runnerQuantity: number}}
+ */
+export const buildLadderLegs = (buyPrice, quantity, rungs, feeAdjustment = 0) => {
+  const legs = rungs.map((rung, index) => ({
+    leg: `TP${index + 1}`,
+    price: buyPrice * (1 + rung.profitPercent + feeAdjustment),
+    quantity: quantity * rung.fraction
+  }));
+
+  const sold = legs.reduce((sum, l) => sum + l.quantity, 0);
+  return { legs, runnerQuantity: Math.max(0, quantity - sold) };
+};
+
+/**
+ * Ціна беззбитковості з урахуванням комісій на вхід і вихід
+ * @param {number} buyPrice - Ціна входу
+ * @param {number} [feeAdjustment=0] - Сумарна комісія (частка)
+ * @returns {number}
+ */
+export const breakevenPrice = (buyPrice, feeAdjustment = 0) => buyPrice * (1 + feeAdjustment);
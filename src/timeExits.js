@@ -0,0 +1,52 @@
+/**
+ * Вихід за часом утримання та за відсутністю руху ціни ("stale"),
+ * спільний для живої торгівлі та HistoricalSimulator
+ */
+
+// Типи виходів, що закривають угоду примусово: статус угоди - FILLED_TIME / FILLED_STALE
+export const TIME_EXIT_TYPES = ['TIME', 'STALE'];
+
+/**
+ * Витягує налаштування виходів за часом з набору параметрів стратегії
+ * @param {Object} parameters - Параметри стратегії (config або набір для симуляції)
+ * @returns {{maxHoldMs: number, staleRangePercent: number, staleWindowMs: number}}
+ */
+export const getTimeExitSettings = (parameters) => ({
+  maxHoldMs: parameters.MAX_HOLD_TIME_MS || 0,
+  staleRangePercent: parameters.STALE_RANGE_PERCENT,
+  staleWindowMs: parameters.STALE_WINDOW_MS || 0
+});
+
+/**
+ * Перевіряє, чи час закривати угоду.
+ * Для "stale" тримаємо опорну ціну: поки ціна в межах ±staleRangePercent від неї,
+ * відлік триває; вихід за межі переносить опору на поточну ціну і скидає відлік.
+ * @param {Object} trade - Стан угоди
+ * @param {number} trade.buyPrice - Ціна входу
+ * @param {number} trade.entryTime - Час входу
+ * @param {number|null} trade.staleAnchorPrice - Опорна ціна (null = ціна входу)
+ * @param {number|null} trade.staleAnchorTime - Час встановлення опори (null = час входу)
+ * @param {number} price - Поточна ціна
+ * @param {number} now - Поточний час (у симуляції - час свічки)
+ * @param {Object} settings - Результат getTimeExitSettings
+ * @returns {{exit: 'TIME'|'STALE'|null, staleAnchorPrice: number, staleAnchorTime: number}}
+ */
+export const checkTimeExit = (trade, price, now, settings) => {
+  let staleAnchorPrice = trade.staleAnchorPrice ?? trade.buyPrice;
+  let staleAnchorTime = trade.staleAnchorTime ?? trade.entryTime;
+
+  if (settings.maxHoldMs > 0 && now - trade.entryTime >= settings.maxHoldMs) {
+    return { exit: 'TIME', staleAnchorPrice, staleAnchorTime };
+  }
+
+  if (settings.staleWindowMs > 0) {
+    if (Math.abs(price - staleAnchorPrice) / staleAnchorPrice > settings.staleRangePercent) {
+      staleAnchorPrice = price;
+      staleAnchorTime = now;
+    } else if (now - staleAnchorTime >= settings.staleWindowMs) {
+      return { exit: 'STALE', staleAnchorPrice, staleAnchorTime };
+    }
+  }
+
+  return { exit: null, staleAnchorPrice, staleAnchorTime };
+};
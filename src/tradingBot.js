@@ -2,29 +2,116 @@ import { config } from './config.js';
 import * as db from './database.js';
 import * as binance from './binanceClient.js';
 import logger from './logger.js';
+import { getTrailingSettings, computeTrailingStop } from './trailingStop.js';
+import { getLadderSettings, buildLadderLegs, breakevenPrice } from './takeProfitLadder.js';
+import { normalizeOrder, splitSellableQuantity } from './symbolRules.js';
+import { runEntryFilters } from './entryFilters.js';
+import { getLiquiditySettings, applyLiquidityPolicy } from './liquidity.js';
+import { getSizingSettings, calculateAtr, calculatePositionSize } from './positionSizing.js';
+import { PerformanceAnalyzer } from './analysis/performanceAnalyzer.js';
+import { getTimeExitSettings, checkTimeExit, TIME_EXIT_TYPES } from './timeExits.js';
+import { summarizeFills, convertCommissions } from './fills.js';
+import { currentMode, isSimulation, isPaper } from './modes.js';
+import { UserDataStream } from './userDataStream.js';
+import { MarketDataStream } from './marketDataStream.js';
 
 // Активні угоди в пам'яті
 const activeTrades = new Map();
 const cooldowns = new Map();
 
+// Черги дій над угодами: монітор і події user data stream не змінюють одну угоду одночасно
+const tradeLocks = new Map();
+
+/**
+ * Виконує дію над угодою після завершення попередніх дій над нею
+ * @param {number} tradeId - ID угоди
+ * @param {Function} fn - Асинхронна дія
+ * @returns {Promise<*>} Результат дії
+ */
+const withTradeLock = (tradeId, fn) => {
+  const previous = tradeLocks.get(tradeId) ?? Promise.resolve();
+  const result = previous.then(fn);
+  const tail = result.catch(() => {});
+  tradeLocks.set(tradeId, tail);
+  tail.then(() => {
+    if (tradeLocks.get(tradeId) === tail) tradeLocks.delete(tradeId);
+  });
+  return result;
+};
+
+let userDataStream = null;
+let marketDataStream = null;
+
+/**
+ * Попереджає, якщо пара, яка зникла з біржі або вийшла з торгівлі, має активні угоди
+ * @param {string} symbol - Торгова пара
+ * @param {string} reason - Що сталося з парою
+ */
+const warnAboutActiveTrades = async (symbol, reason) => {
+  const trades = (await db.getActiveTrades()).filter(t => t.symbol === symbol);
+  if (trades.length > 0) {
+    logger.warn(`🚨 ${symbol} ${reason}: exit orders of trade(s) ${trades.map(t => `#${t.id}`).join(', ')} may not execute`);
+  }
+};
+
+binance.exchangeMetadata.on('symbolDelisted', ({ symbol }) => {
+  warnAboutActiveTrades(symbol, 'was removed from exchangeInfo').catch(error => logger.error('Delisting check failed:', error.message));
+});
+binance.exchangeMetadata.on('statusChanged', ({ symbol, newStatus }) => {
+  if (newStatus === 'TRADING') return;
+  warnAboutActiveTrades(symbol, `status changed to ${newStatus}`).catch(error => logger.error('Status change check failed:', error.message));
+});
+
+// Лістинги, які вже обробляються: сканування і market data stream можуть помітити пару одночасно
+const claimedListings = new Set();
+
+const claimListing = (symbol) => {
+  if (claimedListings.has(symbol)) return false;
+  claimedListings.add(symbol);
+  return true;
+};
+
 export const scanForNewListings = async () => {
   try {
     const exchangeInfo = await binance.getExchangeInfo();
-    const currentSymbols = exchangeInfo.symbols
+    const symbols = exchangeInfo.symbols;
+
+    // Перший запуск: фіксуємо існуючі пари як базу, щоб не купувати їх як "нові"
+    if (!(await db.hasSymbolBaseline())) {
+      const { added } = await db.saveKnownSymbols(symbols, { baseline: true });
+      logger.info(`📸 Symbol baseline created: ${added.length} symbols registered, no trades on first run`);
+      return;
+    }
+
+    const knownSymbols = new Map((await db.getKnownSymbols()).map(row => [row.symbol, row]));
+
+    // Новий лістинг - USDT пара, що вперше перейшла в TRADING після знімка
+    const newSymbols = symbols
       .filter(s => s.status === 'TRADING' && s.quoteAsset === 'USDT')
-      .map(s => s.symbol);
-    
-    const knownSymbols = db.getKnownSymbols();
-    const newSymbols = currentSymbols.filter(s => !knownSymbols.includes(s));
-    
+      .filter(s => {
+        const known = knownSymbols.get(s.symbol);
+        return !known || (!known.isBaseline && !known.listedAt);
+      })
+      .map(s => s.symbol)
+      // Пару могли вже помітити через market data stream
+      .filter(symbol => claimListing(symbol));
+
+    const { added, statusChanges } = await db.saveKnownSymbols(symbols);
+
+    for (const { symbol, oldStatus, newStatus } of statusChanges) {
+      logger.info(`🔄 ${symbol} status changed: ${oldStatus} → ${newStatus}`);
+    }
+    const pending = added.filter(s => !newSymbols.includes(s));
+    if (pending.length > 0) {
+      logger.info(`👀 New symbols registered but not trading yet: ${pending.join(', ')}`);
+    }
+
     if (newSymbols.length > 0) {
       logger.info(`🆕 New listings detected: ${newSymbols.join(', ')}`);
       
       for (const symbol of newSymbols) {
         await handleNewListing(symbol);
       }
-      
-      db.saveKnownSymbols(currentSymbols);
     }
     
   } catch (error) {
@@ -34,29 +121,12 @@ export const scanForNewListings = async () => {
 
 const handleNewListing = async (symbol) => {
   try {
-    // Перевірки
-    if (cooldowns.has(symbol)) {
-      logger.info(`⏰ ${symbol} is on cooldown`);
-      return;
-    }
-    
-    if (activeTrades.size >= config.MAX_OPEN_TRADES) {
-      logger.warn(`🚫 Max trades limit reached (${activeTrades.size}/${config.MAX_OPEN_TRADES})`);
-      return;
-    }
-    
-    const balance = await binance.getBalance();
-    if (balance < config.BUY_AMOUNT_USDT) {
-      logger.error(`💰 Insufficient balance: ${balance} USDT`);
-      return;
-    }
-    
-    // Перевірка ліквідності
-    const liquidity = await binance.checkLiquidity(symbol);
-    if (liquidity < config.MIN_LIQUIDITY_USDT) {
-      logger.warn(`📊 Low liquidity for ${symbol}: ${liquidity.toFixed(2)} USDT`);
-      return;
-    }
+    // Ланцюжок фільтрів входу (cooldown, ліміт угод, баланс, ліквідність, ...)
+    const { passed } = await runEntryFilters(symbol, {
+      onCooldown: cooldowns.has(symbol),
+      sizePosition: async () => sizePosition(symbol, await binance.getPrice(symbol))
+    });
+    if (!passed) return;
     
     // Виконання угоди
     await executeTrade(symbol);
@@ -71,89 +141,1090 @@ const handleNewListing = async (symbol) => {
 };
 
 const executeTrade = async (symbol) => {
+  const rules = await binance.getSymbolRules(symbol);
   const price = await binance.getPrice(symbol);
-  const quantity = (config.BUY_AMOUNT_USDT / price).toFixed(8);
+  
+  // Розмір позиції за обраною моделлю
+  const position = await sizePosition(symbol, price);
+  if (position.reason) {
+    logger.info(`📐 ${symbol}: ${position.model} sizing, ${position.reason}`);
+  }
+  if (position.amountUsdt <= 0) {
+    logger.warn(`🚫 ${symbol}: buy skipped, position size is 0`);
+    return;
+  }
+  
+  // Свіжий знімок книги безпосередньо перед купівлею: пропускаємо або зменшуємо угоду при великому прослизанні
+  const liquiditySettings = { ...getLiquiditySettings(config), amountUsdt: position.amountUsdt };
+  const sizing = applyLiquidityPolicy(
+    await binance.checkLiquidity(symbol, liquiditySettings),
+    position.amountUsdt,
+    liquiditySettings
+  );
+  if (sizing.action === 'skip') {
+    logger.warn(`🚫 ${symbol}: buy skipped, ${sizing.reason}`);
+    return;
+  }
+  if (sizing.amountUsdt < position.amountUsdt) {
+    logger.info(`📉 ${symbol}: ${sizing.reason}`);
+  }
+  
+  // Обсяг за фільтрами біржі: крок LOT_SIZE та мінімальна вартість ордера
+  const buy = normalizeOrder(rules, {
+    quantity: sizing.amountUsdt / price,
+    referencePrice: price,
+    market: true
+  });
+  if (!buy.ok) {
+    logger.warn(`🚫 ${symbol}: buy rejected by exchange filters (${buy.reason})`);
+    return;
+  }
+  
+  // Угоду резервуємо до купівлі: її ID входить у clientOrderId, за яким ордер знаходиться після збою
+  const tradeId = await db.createPendingTrade(symbol);
+  const clientOrderId = binance.clientOrderIdFor(tradeId, 'BUY');
+  await db.updateTrade(tradeId, { buyClientOrderId: clientOrderId });
   
   // Купівля
-  const buyOrder = await binance.marketBuy(symbol, quantity);
-  const buyPrice = parseFloat(buyOrder.fills[0].price);
-  const executedQty = parseFloat(buyOrder.executedQty);
+  let buyOrder;
+  try {
+    buyOrder = await binance.marketBuy(symbol, buy.quantity, clientOrderId);
+  } catch (error) {
+    // Купівля з невідомим результатом лишається в PENDING до звірки
+    if (error.orderStatusUnknown) {
+      logger.error(`❌ ${symbol}: state of buy ${clientOrderId} is unknown, trade #${tradeId} is left for reconciliation`);
+    } else {
+      await db.discardPendingTrade(tradeId);
+    }
+    throw error;
+  }
+  logger.info(`✅ Bought ${symbol}: ${buyOrder.executedQty} for ${buyOrder.cummulativeQuoteQty} ${rules.quoteAsset}`);
+  
+  await openPosition(symbol, rules, buyOrder, await collectEntryFeatures(symbol, price), tradeId);
+};
+
+/**
+ * Збирає дані для моделі розміру позиції та розраховує суму купівлі
+ * @param {string} symbol - Торгова пара
+ * @param {number} price - Поточна ціна
+ * @returns {Promise<{amountUsdt: number, model: string, reason: string|null}>}
+ */
+const sizePosition = async (symbol, price) => {
+  const settings = getSizingSettings(config);
+  const freeBalance = await binance.getBalance();
+  const openTrades = await db.getActiveTrades();
+  const inputs = {
+    freeBalance,
+    equity: freeBalance + openTrades.reduce((sum, t) => sum + remainingOf(t) * t.buyPrice, 0),
+    price,
+    stopDistance: config.STOP_LOSS_PERCENT + 2 * config.BINANCE_FEE
+  };
   
-  logger.info(`✅ Bought ${symbol}: ${executedQty} @ ${buyPrice}`);
+  if (settings.model === 'volatility') {
+    try {
+      const klines = await binance.getKlines(symbol, settings.atrInterval, undefined, undefined, settings.atrPeriod + 1);
+      inputs.atr = calculateAtr(klines, settings.atrPeriod);
+    } catch (error) {
+      logger.warn(`Failed to fetch klines for ${symbol} ATR:`, error.message);
+    }
+  }
+  if (settings.model === 'kelly') {
+    inputs.stats = new PerformanceAnalyzer().analyzeTrades(await db.getTradesByMode(currentMode()));
+  }
   
-  // Розрахунок TP/SL
-  const feeAdjustment = 2 * config.BINANCE_FEE;
-  const tpPrice = (buyPrice * (1 + config.TAKE_PROFIT_PERCENT + feeAdjustment)).toFixed(8);
-  const slPrice = (buyPrice * (1 - config.STOP_LOSS_PERCENT - feeAdjustment)).toFixed(8);
+  return calculatePositionSize(settings, inputs);
+};
+
+/**
+ * Реєструє куплену позицію в БД та розміщує для неї вихідні ордери
+ * @param {string} symbol - Торгова пара
+ * @param {Object} rules - Правила торгової пари
+ * @param {Object} buyOrder - Звіт біржі про виконаний ордер купівлі
+ * @param {Object} features - Ринкові ознаки на момент входу
+ * @param {number|null} [tradeId=null] - ID зарезервованої угоди (createPendingTrade)
+ * @returns {Promise<Object>} Збережена угода
+ */
+const openPosition = async (symbol, rules, buyOrder, features, tradeId = null) => {
+  const buy = normalizeOrderReport(buyOrder);
+  const fill = await summarizeOrder(rules, buy);
+  const buyPrice = fill.avgPrice;
+  const executedQty = fill.executedQty;
+  
+  // Комісія в базовому активі зменшує отриманий обсяг; залишок, менший за крок, продати не можна
+  const baseCommission = fill.commissions[rules.baseAsset] || 0;
+  const { sellable, dust, sellableNotional } = splitSellableQuantity(rules, executedQty - baseCommission, buyPrice);
+  if (dust > 0) {
+    logger.info(`🧹 ${symbol}: ${dust} ${rules.baseAsset} left as dust after fee and lot rounding`);
+  }
+  if (!sellableNotional) {
+    logger.error(`❌ ${symbol}: position ${sellable} is below exchange minimums and cannot be sold with exit orders`);
+  }
   
-  // Розміщення ордерів
-  const [tpOrder, slOrder] = await Promise.all([
-    binance.placeLimitSell(symbol, executedQty, tpPrice),
-    binance.placeStopLoss(symbol, executedQty, slPrice, slPrice)
-  ]);
+  const { tpPrice, slPrice } = exitPricesFor(buyPrice);
   
-  // Збереження в БД
+  // Спершу зберігаємо позицію, щоб вона не загубилась, якщо виходи не вдасться розмістити
   const trade = {
+    id: tradeId,
     symbol,
     buyPrice,
     buyQuantity: executedQty,
+    remainingQuantity: sellable,
+    dustQuantity: dust,
+    realizedPnl: 0,
     buyOrderId: buyOrder.orderId,
-    tpOrderId: tpOrder.orderId,
-    slOrderId: slOrder.orderId
+    buyClientOrderId: buyOrder.clientOrderId ?? null,
+    buyCommission: fill.commission,
+    entryTime: buyOrder.transactTime ?? buyOrder.time,
+    stopPrice: slPrice
+  };
+  
+  trade.id = await db.saveTrade(trade, features);
+  await db.saveTradeCommissions(trade.id, buy.orderId, 'BUY', fill.commissionItems);
+  logger.info(`🧾 ${symbol}: avg fill ${buyPrice} over ${buy.fills.length || 'unknown'} fill(s), commission ${fill.commission.toFixed(4)} ${rules.quoteAsset}`);
+  
+  activeTrades.set(trade.id, trade);
+  
+  try {
+    await placeExitOrders(trade, rules, tpPrice, slPrice);
+  } catch (error) {
+    logger.error(`❌ Failed to place exit orders for ${symbol}, position is unprotected:`, error.message);
+  }
+  
+  return trade;
+};
+
+/**
+ * Реєструє виконану купівлю, якої немає в БД (наприклад, бот впав одразу після marketBuy)
+ * @param {Object} buyOrder - Ордер з історії біржі (allOrders)
+ * @param {number|null} [tradeId=null] - ID зарезервованої угоди, якій належить купівля
+ * @returns {Promise<Object>} Збережена угода
+ */
+export const adoptPosition = async (buyOrder, tradeId = null) => {
+  const rules = await binance.getSymbolRules(buyOrder.symbol);
+  return openPosition(buyOrder.symbol, rules, buyOrder, { isNewListing: true }, tradeId);
+};
+
+/**
+ * Заново розміщує виходи для позиції, що залишилась без ордерів на біржі.
+ * Якщо частина драбини вже виконана, решта йде як runner зі стопом.
+ * @param {Object} trade - Угода з БД (мутується)
+ */
+export const protectPosition = async (trade) => {
+  const rules = await binance.getSymbolRules(trade.symbol);
+  const { tpPrice, slPrice } = exitPricesFor(trade.buyPrice);
+  const stopPrice = trade.stopPrice ?? slPrice;
+  
+  const exits = await db.getTradeExits(trade.id);
+  if (exits.length === 0) {
+    await placeExitOrders(trade, rules, tpPrice, stopPrice);
+    return;
+  }
+  
+  const quantity = tradeLevelQuantity(trade, exits.filter(e => e.status === 'OPEN'));
+  const stopOrder = await placeStop(trade, rules, quantity, stopPrice);
+  await setTradeExitOrders(trade, { slOrderId: stopOrder.orderId, clientOrderId: stopOrder.clientOrderId });
+  logger.info(`🛡️ ${trade.symbol} protected again: ${stopOrder.quantity} with stop ${stopPrice}`);
+};
+
+/**
+ * Зводить виконання ордера: середньозважена ціна за всіма fills і комісії в котирувальному активі.
+ * Звіт FULL містить fills; для ордерів з історії та звітів про статус вони підтягуються з myTrades.
+ * @param {Object} rules - Правила торгової пари
+ * @param {Object} order - Нормалізований звіт про ордер
+ * @returns {Promise<{executedQty: number, quoteQty: number, avgPrice: number, commissions: Object, commission: number, commissionItems: Array}>}
+ */
+const summarizeOrder = async (rules, order) => {
+  let fills = order.fills;
+  if (fills.length === 0 && order.executedQty > 0) {
+    fills = await binance.getOrderTrades(rules.symbol, order.orderId).catch(error => {
+      logger.warn(`⚠️ Failed to fetch fills of ${rules.symbol} order ${order.orderId}, commission is unknown:`, error.message);
+      return [];
+    });
+  }
+  
+  const summary = summarizeFills(order, fills);
+  const avgPrice = summary.avgPrice || order.price;
+  
+  // Комісія в BNB (або іншому активі) перераховується за поточною ціною активу
+  const assetPrices = {};
+  for (const asset of Object.keys(summary.commissions)) {
+    if (asset === rules.baseAsset || asset === rules.quoteAsset) continue;
+    assetPrices[asset] = await binance.getPrice(`${asset}${rules.quoteAsset}`).catch(() => null);
+  }
+  
+  const { total, items } = convertCommissions(summary.commissions, { ...rules, avgPrice, assetPrices });
+  for (const item of items.filter(i => i.quoteAmount === null)) {
+    logger.warn(`⚠️ ${rules.symbol}: no ${item.asset}${rules.quoteAsset} price, commission ${item.amount} ${item.asset} is left out of P&L`);
+  }
+  
+  return { ...summary, avgPrice, commission: total, commissionItems: items };
+};
+
+// TP/SL з поправкою на комісії входу і виходу
+const exitPricesFor = (buyPrice) => {
+  const feeAdjustment = 2 * config.BINANCE_FEE;
+  return {
+    tpPrice: buyPrice * (1 + config.TAKE_PROFIT_PERCENT + feeAdjustment),
+    slPrice: buyPrice * (1 - config.STOP_LOSS_PERCENT - feeAdjustment)
   };
+};
+
+/**
+ * Розміщує вихідні ордери для нової позиції.
+ * Без драбини - один OCO на весь обсяг (виконання TP скасовує SL і навпаки).
+ * З драбиною - окремий OCO на кожну сходинку та стоп-ордер на залишок ("runner").
+ * @param {Object} trade - Угода (мутується)
+ * @param {Object} rules - Правила торгової пари
+ * @param {number} tpPrice - Ціна тейк-профіту для одиночного виходу
+ * @param {number} slPrice - Ціна стоп-лоссу
+ */
+const placeExitOrders = async (trade, rules, tpPrice, slPrice) => {
+  const ladder = getLadderSettings(config);
+  const quantity = remainingOf(trade);
   
-  const tradeId = db.saveTrade(trade);
-  trade.id = tradeId;
+  if (!ladder.enabled) {
+    const exitOrders = await placeOco(trade, rules, 'OCO', quantity, tpPrice, slPrice);
+    await setTradeExitOrders(trade, exitOrders);
+    logger.info(`🎯 TP: ${tpPrice} | 🛡️ SL: ${slPrice} | OCO list: ${trade.orderListId}`);
+    return;
+  }
   
-  activeTrades.set(tradeId, trade);
+  const { legs } = buildLadderLegs(trade.buyPrice, quantity, ladder.rungs, 2 * config.BINANCE_FEE);
+  let placedQuantity = 0;
   
-  logger.info(`🎯 TP: ${tpPrice} | 🛡️ SL: ${slPrice}`);
+  for (const leg of legs) {
+    const orders = await placeOco(trade, rules, leg.leg, leg.quantity, leg.price, slPrice).catch(error => {
+      // Сходинка, що не проходить фільтри біржі, залишається в runner
+      logger.warn(`⚠️ ${trade.symbol} ${leg.leg} skipped:`, error.message);
+      return null;
+    });
+    if (!orders) continue;
+    
+    await db.saveTradeExit({
+      tradeId: trade.id,
+      leg: leg.leg,
+      targetPrice: leg.price,
+      quantity: orders.quantity,
+      orderListId: orders.orderListId,
+      tpOrderId: orders.tpOrderId,
+      slOrderId: orders.slOrderId,
+      clientOrderId: orders.clientOrderId
+    });
+    placedQuantity += orders.quantity;
+    logger.info(`🎯 ${trade.symbol} ${leg.leg}: ${orders.quantity} @ ${leg.price}`);
+  }
+  
+  const runnerQuantity = quantity - placedQuantity;
+  if (runnerQuantity > dustThreshold(trade)) {
+    const stopOrder = await placeStop(trade, rules, runnerQuantity, slPrice);
+    await setTradeExitOrders(trade, { slOrderId: stopOrder.orderId, clientOrderId: stopOrder.clientOrderId });
+    logger.info(`🏃 ${trade.symbol} runner: ${stopOrder.quantity} with stop ${slPrice}`);
+  }
 };
 
-export const monitorActiveTrades = async () => {
-  const dbTrades = db.getActiveTrades();
+/**
+ * Розміщує OCO на продаж з округленням до фільтрів біржі
+ * @param {Object} trade - Угода
+ * @param {Object} rules - Правила торгової пари
+ * @param {string} leg - Нога угоди для clientOrderId (OCO - вихід рівня угоди, TP1... - сходинки)
+ * @param {number} quantity - Обсяг
+ * @param {number} tpPrice - Ціна тейк-профіту
+ * @param {number} stopPrice - Тригер стоп-лоссу
+ * @returns {Promise<{orderListId, tpOrderId, slOrderId, clientOrderId, quantity: number}>}
+ */
+const placeOco = async (trade, rules, leg, quantity, tpPrice, stopPrice) => {
+  const tp = normalizeOrder(rules, { quantity, price: tpPrice, priceRounding: 'up' });
+  const sl = normalizeOrder(rules, { quantity, price: stopLimitFor(stopPrice), stopPrice, priceRounding: 'down' });
+  if (!tp.ok || !sl.ok) {
+    throw new Error(`OCO for ${trade.symbol} violates exchange filters: ${tp.reason || sl.reason}`);
+  }
   
-  for (const trade of dbTrades) {
-    if (!activeTrades.has(trade.id)) {
-      activeTrades.set(trade.id, trade);
+  const orders = await binance.placeOcoSell(
+    trade.symbol, tp.quantity, tp.price, sl.stopPrice, sl.price, binance.clientOrderIdFor(trade.id, leg)
+  );
+  return { ...orders, quantity: tp.values.quantity };
+};
+
+/**
+ * Розміщує STOP_LOSS_LIMIT на продаж з округленням до фільтрів біржі
+ * @param {Object} trade - Угода
+ * @param {Object} rules - Правила торгової пари
+ * @param {number} quantity - Обсяг
+ * @param {number} stopPrice - Тригер стоп-лоссу
+ * @returns {Promise<Object>} Відповідь біржі з доданим округленим quantity
+ */
+const placeStop = async (trade, rules, quantity, stopPrice) => {
+  const sl = normalizeOrder(rules, { quantity, price: stopLimitFor(stopPrice), stopPrice, priceRounding: 'down' });
+  if (!sl.ok) {
+    throw new Error(`Stop order for ${trade.symbol} violates exchange filters: ${sl.reason}`);
+  }
+  
+  const order = await binance.placeStopLoss(
+    trade.symbol, sl.quantity, sl.stopPrice, sl.price, binance.clientOrderIdFor(trade.id, 'SL')
+  );
+  return { ...order, quantity: sl.values.quantity };
+};
+
+/**
+ * Оновлює вихідні ордери рівня угоди (основний OCO або стоп на runner)
+ * @param {Object} trade - Угода (мутується)
+ * @param {{orderListId?: *, tpOrderId?: *, slOrderId?: *, clientOrderId?: string}} orders - Нові ID (відсутні = null);
+ *   clientOrderId - listClientOrderId OCO або clientOrderId стопа
+ */
+export const setTradeExitOrders = async (trade, { orderListId = null, tpOrderId = null, slOrderId = null, clientOrderId = null }) => {
+  const fields = {
+    orderListId: orderListId != null ? String(orderListId) : null,
+    tpOrderId: tpOrderId != null ? String(tpOrderId) : null,
+    slOrderId: slOrderId != null ? String(slOrderId) : null,
+    exitClientOrderId: clientOrderId
+  };
+  Object.assign(trade, fields);
+  await db.updateTrade(trade.id, fields);
+};
+
+// Лімітна ціна стоп-лоссу трохи нижче тригера, щоб ордер гарантовано виконався
+const stopLimitFor = (stopPrice) => stopPrice * (1 - config.STOP_LIMIT_OFFSET_PERCENT);
+
+// Залишок, менший за цей поріг, вважаємо закритою позицією (пил після округлень вже відокремлений)
+const dustThreshold = (trade) => trade.buyQuantity * 1e-6;
+
+const remainingOf = (trade) => trade.remainingQuantity ?? trade.buyQuantity;
+
+/**
+ * Обсяг, який покривають виходи рівня угоди: все, що не розподілено по сходинках
+ * @param {Object} trade - Угода
+ * @param {Array} openExits - Відкриті сходинки
+ * @returns {number}
+ */
+const tradeLevelQuantity = (trade, openExits) => {
+  const inLadder = openExits.reduce((sum, e) => sum + (e.quantity - (e.filledQty || 0)), 0);
+  return Math.max(0, remainingOf(trade) - inLadder);
+};
+
+/**
+ * Збирає ринкові ознаки на момент входу для подальшого аналізу
+ * @param {string} symbol - Торгова пара
+ * @param {number} initialPrice - Ціна на момент виявлення лістингу
+ * @returns {Promise<Object>}
+ */
+const collectEntryFeatures = async (symbol, initialPrice) => {
+  const features = { isNewListing: true, initialPrice };
+
+  try {
+    const ticker = await binance.get24hrTicker(symbol);
+    if (ticker) {
+      features.volume24h = ticker.volume24h;
+      features.priceChange24h = ticker.priceChange24h;
     }
-    
+  } catch (error) {
+    logger.warn(`Failed to fetch 24h ticker for ${symbol}:`, error.message);
+  }
+
+  features.category = await db.getListingCategory(symbol);
+  return features;
+};
+
+export const monitorActiveTrades = async () => {
+  const dbTrades = await db.getActiveTrades();
+  const settings = {
+    trailing: getTrailingSettings(config),
+    ladder: getLadderSettings(config),
+    timeExit: getTimeExitSettings(config)
+  };
+  // Поки user data stream живий, виконання приходять подіями - ордери через REST не опитуються
+  const pollOrders = !userDataStream?.isHealthy();
+  binance.watchPrices(dbTrades.map(t => t.symbol));
+  
+  for (const { id, symbol } of dbTrades) {
     try {
-      const [tpStatus, slStatus] = await Promise.all([
-        binance.getOrderStatus(trade.symbol, trade.tpOrderId),
-        binance.getOrderStatus(trade.symbol, trade.slOrderId)
-      ]);
-      
-      if (tpStatus?.status === 'FILLED') {
-        await handleFilledOrder(trade, 'TP', tpStatus);
-      } else if (slStatus?.status === 'FILLED') {
-        await handleFilledOrder(trade, 'SL', slStatus);
-      }
-      
+      await withTradeLock(id, () => monitorTrade(id, settings, pollOrders));
     } catch (error) {
-      logger.error(`Monitor error for ${trade.symbol}:`, error.message);
+      logger.error(`Monitor error for ${symbol}:`, error.message);
     }
   }
 };
 
-const handleFilledOrder = async (trade, type, orderStatus) => {
-  const sellPrice = parseFloat(orderStatus.price);
-  const profitLoss = ((sellPrice - trade.buyPrice) / trade.buyPrice * 100).toFixed(2);
+/**
+ * Один крок моніторингу угоди. Угода перечитується під замком: поки монітор чекав,
+ * її могла закрити подія user data stream.
+ * @param {number} tradeId - ID угоди
+ * @param {Object} settings - Налаштування trailing stop, драбини TP та виходів за часом
+ * @param {boolean} pollOrders - Перевіряти вихідні ордери через REST
+ */
+const monitorTrade = async (tradeId, settings, pollOrders) => {
+  const trade = await db.getTradeById(tradeId);
+  if (trade?.status !== 'ACTIVE') return;
+  if (!activeTrades.has(trade.id)) {
+    activeTrades.set(trade.id, trade);
+  }
   
-  // Скасування протилежного ордера
-  const cancelOrderId = type === 'TP' ? trade.slOrderId : trade.tpOrderId;
-  await binance.cancelOrder(trade.symbol, cancelOrderId);
+  // Оновлення мін/макс ціни за час життя угоди, включно з піками між циклами з market data stream
+  const currentPrice = await binance.getPrice(trade.symbol);
+  const range = binance.getPriceRange(trade.symbol, trade.entryTime) ?? { high: currentPrice, low: currentPrice };
+  const high = Math.max(currentPrice, range.high);
+  await db.recordTradePrice(trade.id, currentPrice, { high, low: Math.min(currentPrice, range.low) });
+  trade.maxPrice = Math.max(trade.maxPrice ?? trade.buyPrice, high);
+  
+  if (pollOrders) {
+    await pollExitOrders(trade);
+    if (trade.status !== 'ACTIVE') return;
+  }
+  
+  // Вихід за часом утримання або через відсутність руху ціни
+  const timeExit = checkTimeExit(trade, currentPrice, Date.now(), settings.timeExit);
+  if (settings.timeExit.staleWindowMs > 0 && timeExit.staleAnchorTime !== trade.staleAnchorTime) {
+    trade.staleAnchorPrice = timeExit.staleAnchorPrice;
+    trade.staleAnchorTime = timeExit.staleAnchorTime;
+    await db.updateTrade(trade.id, { staleAnchorPrice: trade.staleAnchorPrice, staleAnchorTime: trade.staleAnchorTime });
+  }
+  if (timeExit.exit) {
+    await exitAtMarket(trade, timeExit.exit, currentPrice);
+    return;
+  }
+  
+  const exits = await db.getTradeExits(trade.id);
+  const stillOpen = exits.filter(e => e.status === 'OPEN');
+  
+  // Після першого TP стоп решти позиції переноситься в беззбиток
+  const ladderTpFilled = exits.some(e => e.leg.startsWith('TP') && e.status === 'FILLED_TP');
+  if (settings.ladder.breakevenAfterFirstTp && ladderTpFilled) {
+    await moveStopsToBreakeven(trade, stillOpen);
+  }
   
-  // Оновлення БД
-  db.updateTrade(trade.id, {
+  // Trailing керує лише виходами рівня угоди (увесь обсяг або runner)
+  if (settings.trailing.enabled && tradeLevelQuantity(trade, stillOpen) > dustThreshold(trade)) {
+    await updateTrailingStop(trade, currentPrice, settings.trailing, tradeLevelQuantity(trade, stillOpen));
+  }
+};
+
+/**
+ * Перевіряє вихідні ордери угоди через REST і обробляє виконані
+ * @param {Object} trade - Угода з БД (мутується)
+ */
+const pollExitOrders = async (trade) => {
+  // Сходинки тейк-профіту
+  const openExits = await db.getOpenTradeExits(trade.id);
+  for (const exit of openExits) {
+    const filledOrder = await findFilledOrderInList(trade.symbol, exit.orderListId);
+    if (filledOrder) {
+      await handleFilledOrder(trade, filledOrder, exit);
+    }
+  }
+  if (trade.status !== 'ACTIVE') return;
+  
+  // Основний OCO або стоп на runner
+  const filledOrder = await findFilledExitOrder(trade, openExits.length > 0);
+  if (filledOrder) {
+    await handleFilledOrder(trade, filledOrder);
+  }
+};
+
+/**
+ * Повертає виконаний ордер з завершеного OCO списку
+ * @param {string} symbol - Торгова пара
+ * @param {string} orderListId - ID списку
+ * @returns {Promise<Object|null>}
+ */
+const findFilledOrderInList = async (symbol, orderListId) => {
+  const orderList = await binance.getOrderListStatus(orderListId);
+  if (orderList.listOrderStatus !== 'ALL_DONE') return null;
+  
+  // Список завершено - знаходимо ногу, що виконалась (друга скасована біржею)
+  for (const { orderId } of orderList.orders) {
+    const order = await binance.getOrderStatus(symbol, orderId);
+    if (order?.status === 'FILLED') {
+      return order;
+    }
+  }
+  
+  logger.warn(`⚠️ OCO list ${orderListId} for ${symbol} finished without fills (cancelled or expired)`);
+  return null;
+};
+
+/**
+ * Перевіряє вихідні ордери рівня угоди та повертає виконаний, якщо він є
+ * @param {Object} trade - Угода з БД
+ * @param {boolean} hasLadderExits - Чи є відкриті сходинки TP
+ * @returns {Promise<Object|null>} Звіт про виконаний ордер
+ */
+const findFilledExitOrder = async (trade, hasLadderExits) => {
+  if (trade.orderListId) {
+    return findFilledOrderInList(trade.symbol, trade.orderListId);
+  }
+  
+  // Окремий стоп-ордер: trailing stop або runner драбини
+  if (trade.slOrderId) {
+    const order = await binance.getOrderStatus(trade.symbol, trade.slOrderId);
+    return order?.status === 'FILLED' ? order : null;
+  }
+  
+  if (!hasLadderExits) {
+    logger.warn(`⚠️ ${trade.symbol} (trade #${trade.id}) has no exit orders`);
+  }
+  return null;
+};
+
+/**
+ * Підтягує стоп-ордер за ціною. Після активації OCO замінюється окремим
+ * STOP_LOSS_LIMIT ордером, який перевиставляється з кожним кроком.
+ * @param {Object} trade - Угода з БД (мутується)
+ * @param {number} currentPrice - Поточна ціна
+ * @param {Object} settings - Налаштування trailing stop
+ * @param {number} quantity - Обсяг під управлінням trailing stop
+ */
+const updateTrailingStop = async (trade, currentPrice, settings, quantity) => {
+  const { newStopPrice } = computeTrailingStop({
+    buyPrice: trade.buyPrice,
+    maxPrice: trade.maxPrice,
+    stopPrice: trade.stopPrice,
+    trailingActive: Boolean(trade.trailingActive)
+  }, currentPrice, settings);
+  
+  // Попереднє перевиставлення могло впасти між скасуванням і новим ордером
+  const unprotected = trade.trailingActive && !trade.orderListId && !trade.slOrderId;
+  if (!newStopPrice && !unprotected) return;
+  
+  const oldStopPrice = trade.stopPrice;
+  const stopPrice = newStopPrice ?? trade.stopPrice;
+  
+  await cancelTradeExitOrders(trade);
+  trade.trailingActive = true;
+  await db.updateTrade(trade.id, { trailingActive: true });
+  
+  const rules = await binance.getSymbolRules(trade.symbol);
+  const stopOrder = await placeStop(trade, rules, quantity, stopPrice);
+  
+  await setTradeExitOrders(trade, { slOrderId: stopOrder.orderId, clientOrderId: stopOrder.clientOrderId });
+  trade.stopPrice = stopPrice;
+  await db.updateTrade(trade.id, { stopPrice });
+  await db.saveStopAdjustment({
+    tradeId: trade.id,
+    symbol: trade.symbol,
+    oldStopPrice,
+    newStopPrice: stopPrice,
+    maxPrice: trade.maxPrice,
+    orderId: stopOrder.orderId
+  });
+  
+  logger.info(`📈 Trailing stop for ${trade.symbol} moved: ${oldStopPrice ?? '-'} → ${stopPrice.toFixed(8)} (max ${trade.maxPrice})`);
+};
+
+/**
+ * Скасовує виходи рівня угоди (основний OCO або окремий стоп)
+ * @param {Object} trade - Угода (мутується)
+ */
+const cancelTradeExitOrders = async (trade) => {
+  if (trade.orderListId) {
+    await binance.cancelOrderList(trade.symbol, trade.orderListId);
+  } else if (trade.slOrderId) {
+    await binance.cancelOrder(trade.symbol, trade.slOrderId);
+  }
+  await setTradeExitOrders(trade, {});
+};
+
+/**
+ * Скасовує OCO сходинки драбини. TP-нога могла бути частково виконана до скасування:
+ * виконану частину фіксуємо окремим виходом, а обсяг сходинки зменшуємо на неї.
+ * @param {Object} trade - Угода (мутується)
+ * @param {Object} exit - Відкрита сходинка (мутується)
+ */
+const cancelLadderExit = async (trade, exit) => {
+  const cancelled = await binance.cancelOrderList(trade.symbol, exit.orderListId);
+  
+  const tpReport = (cancelled.orderReports || []).find(o => String(o.orderId) === String(exit.tpOrderId));
+  const partial = tpReport ? normalizeOrderReport(tpReport) : null;
+  if (!(partial?.executedQty > 0)) return;
+  
+  const fill = await recordSellFill(trade, partial);
+  await db.saveTradeExit({
+    tradeId: trade.id,
+    leg: exit.leg,
+    targetPrice: exit.targetPrice,
+    quantity: fill.executedQty,
+    tpOrderId: exit.tpOrderId,
+    status: 'FILLED_TP',
+    filledQty: fill.executedQty,
+    fillPrice: fill.avgPrice,
+    realizedPnl: (fill.avgPrice - trade.buyPrice) * fill.executedQty,
+    commission: fill.commission,
+    filledAt: Date.now()
+  });
+  exit.quantity -= fill.executedQty;
+  await db.updateTradeExit(exit.id, { quantity: exit.quantity });
+  await applyFill(trade, fill.executedQty, fill.avgPrice, `${exit.leg} (partial)`);
+};
+
+/**
+ * Закриває позицію ринковим продажем після виходу за часом:
+ * скасовує всі сходинки та вихід рівня угоди, продає залишок і фіксує вихід
+ * @param {Object} trade - Угода (мутується)
+ * @param {'TIME'|'STALE'} type - Тип виходу
+ * @param {number} currentPrice - Поточна ціна (для перевірки мінімального notional)
+ */
+const exitAtMarket = async (trade, type, currentPrice) => {
+  const reason = type === 'TIME' ? 'max hold time reached' : 'price has not moved';
+  logger.info(`⏰ ${trade.symbol} (trade #${trade.id}) ${reason}, closing at market`);
+  
+  const exits = await db.getTradeExits(trade.id);
+  for (const exit of exits.filter(e => e.status === 'OPEN')) {
+    await cancelLadderExit(trade, exit);
+    await db.updateTradeExit(exit.id, { status: 'CANCELLED' });
+    if (trade.status !== 'ACTIVE') return;
+  }
+  await cancelTradeExitOrders(trade);
+  
+  const rules = await binance.getSymbolRules(trade.symbol);
+  const sell = normalizeOrder(rules, { quantity: remainingOf(trade), referencePrice: currentPrice, market: true });
+  if (!sell.ok) {
+    throw new Error(`Market sell for ${trade.symbol} violates exchange filters: ${sell.reason}`);
+  }
+  
+  const order = await binance.marketSell(trade.symbol, sell.quantity, binance.clientOrderIdFor(trade.id, 'EXIT'));
+  const fill = await recordSellFill(trade, normalizeOrderReport(order));
+  const quantity = fill.executedQty;
+  const sellPrice = fill.avgPrice;
+  
+  await db.saveTradeExit({
+    tradeId: trade.id,
+    leg: exits.some(e => e.leg.startsWith('TP')) ? 'RUNNER' : 'MAIN',
+    quantity,
     status: `FILLED_${type}`,
+    filledQty: quantity,
+    fillPrice: sellPrice,
+    realizedPnl: (sellPrice - trade.buyPrice) * quantity,
+    commission: fill.commission,
+    filledAt: Date.now()
+  });
+  
+  // Залишок, менший за крок лоту, продати неможливо - він стає пилом
+  const leftover = remainingOf(trade) - quantity;
+  if (leftover > dustThreshold(trade)) {
+    trade.dustQuantity = (trade.dustQuantity || 0) + leftover;
+    trade.remainingQuantity = quantity;
+    await db.updateTrade(trade.id, { dustQuantity: trade.dustQuantity });
+  }
+  
+  await applyFill(trade, quantity, sellPrice, type);
+};
+
+/**
+ * Переносить стопи всіх відкритих виходів у беззбиток
+ * @param {Object} trade - Угода (мутується)
+ * @param {Array} openExits - Відкриті сходинки
+ */
+const moveStopsToBreakeven = async (trade, openExits) => {
+  const newStopPrice = breakevenPrice(trade.buyPrice, 2 * config.BINANCE_FEE);
+  if (trade.stopPrice >= newStopPrice) return;
+  
+  const rules = await binance.getSymbolRules(trade.symbol);
+  
+  for (const exit of openExits) {
+    await cancelLadderExit(trade, exit);
+    if (trade.status !== 'ACTIVE') return;
+    
+    const restQuantity = exit.quantity;
+    if (restQuantity <= dustThreshold(trade)) {
+      await db.updateTradeExit(exit.id, { status: 'CANCELLED' });
+      continue;
+    }
+    
+    const orders = await placeOco(trade, rules, exit.leg, restQuantity, exit.targetPrice, newStopPrice).catch(error => {
+      logger.warn(`⚠️ ${trade.symbol} ${exit.leg} could not be re-placed, its quantity moves to the runner:`, error.message);
+      return null;
+    });
+    if (!orders) {
+      await db.updateTradeExit(exit.id, { status: 'CANCELLED' });
+      continue;
+    }
+    await db.updateTradeExit(exit.id, {
+      quantity: orders.quantity,
+      orderListId: String(orders.orderListId),
+      tpOrderId: String(orders.tpOrderId),
+      slOrderId: String(orders.slOrderId),
+      clientOrderId: orders.clientOrderId
+    });
+  }
+  
+  const runnerQuantity = tradeLevelQuantity(trade, await db.getOpenTradeExits(trade.id));
+  let stopOrderId = null;
+  if (!trade.trailingActive && runnerQuantity > dustThreshold(trade)) {
+    await cancelTradeExitOrders(trade);
+    const stopOrder = await placeStop(trade, rules, runnerQuantity, newStopPrice);
+    await setTradeExitOrders(trade, { slOrderId: stopOrder.orderId, clientOrderId: stopOrder.clientOrderId });
+    stopOrderId = stopOrder.orderId;
+  }
+  
+  await db.saveStopAdjustment({
+    tradeId: trade.id,
+    symbol: trade.symbol,
+    oldStopPrice: trade.stopPrice,
+    newStopPrice,
+    maxPrice: trade.maxPrice,
+    orderId: stopOrderId
+  });
+  trade.stopPrice = newStopPrice;
+  await db.updateTrade(trade.id, { stopPrice: newStopPrice });
+  
+  logger.info(`⚖️ ${trade.symbol} stops moved to breakeven: ${newStopPrice.toFixed(8)}`);
+};
+
+/**
+ * Приводить звіт про ордер до єдиного формату.
+ * Підтримує відповідь REST (GET /api/v3/order, FULL-відповідь на новий ордер) та executionReport з user data stream.
+ * @param {Object} report - Звіт біржі
+ * @returns {{orderId: string, orderListId: string|null, type: string, status: string, price: number, executedQty: number, quoteQty: number, fills: Array}}
+ *   price - лімітна ціна ордера; фактичну ціну виконання дає quoteQty / executedQty
+ */
+const normalizeOrderReport = (report) => {
+  if (report.e === 'executionReport') {
+    return {
+      orderId: String(report.i),
+      orderListId: report.g != null && report.g !== -1 ? String(report.g) : null,
+      type: report.o,
+      status: report.X,
+      price: parseFloat(report.p),
+      executedQty: parseFloat(report.z),
+      quoteQty: parseFloat(report.Z),
+      fills: []
+    };
+  }
+  
+  return {
+    orderId: String(report.orderId),
+    orderListId: report.orderListId != null && report.orderListId !== -1 ? String(report.orderListId) : null,
+    type: report.type,
+    status: report.status,
+    price: parseFloat(report.price),
+    executedQty: parseFloat(report.executedQty),
+    quoteQty: parseFloat(report.cummulativeQuoteQty),
+    fills: report.fills || []
+  };
+};
+
+/**
+ * Зводить виконання продажу та зберігає його комісії
+ * @param {Object} trade - Угода
+ * @param {Object} order - Нормалізований звіт про ордер
+ * @returns {Promise<Object>} Результат summarizeOrder
+ */
+const recordSellFill = async (trade, order) => {
+  const rules = await binance.getSymbolRules(trade.symbol);
+  const fill = await summarizeOrder(rules, order);
+  await db.saveTradeCommissions(trade.id, order.orderId, 'SELL', fill.commissionItems);
+  return fill;
+};
+
+/**
+ * Визначає, який вихід виконався
+ * @param {Object} trade - Угода
+ * @param {Object} order - Нормалізований звіт про ордер
+ * @param {Object|null} exit - Сходинка драбини, якщо ордер належить їй
+ * @returns {'TP'|'SL'|'TRAILING'}
+ */
+const resolveExitType = (trade, order, exit) => {
+  if (exit) {
+    return order.orderId === String(exit.tpOrderId) ? 'TP' : 'SL';
+  }
+  const stopType = trade.trailingActive ? 'TRAILING' : 'SL';
+  if (order.orderId === String(trade.tpOrderId)) return 'TP';
+  if (order.orderId === String(trade.slOrderId)) return stopType;
+  return order.type === 'LIMIT_MAKER' || order.type === 'LIMIT' ? 'TP' : stopType;
+};
+
+/**
+ * Обробляє виконання вихідного ордера (сходинки драбини або виходу рівня угоди)
+ * @param {Object} trade - Угода (мутується)
+ * @param {Object} orderReport - Звіт біржі про ордер
+ * @param {Object|null} [exit] - Сходинка драбини, якій належить ордер
+ */
+export const handleFilledOrder = async (trade, orderReport, exit = null) => {
+  const order = normalizeOrderReport(orderReport);
+  const type = resolveExitType(trade, order, exit);
+  // Ціна виконання, а не лімітна: стоп-ліміт і ринкові ордери виконуються за іншою ціною
+  const fill = await recordSellFill(trade, order);
+  const sellPrice = fill.avgPrice;
+  const quantity = fill.executedQty;
+  const pnl = (sellPrice - trade.buyPrice) * quantity;
+  const now = Date.now();
+  
+  if (exit) {
+    await db.updateTradeExit(exit.id, {
+      status: `FILLED_${type}`,
+      filledQty: quantity,
+      fillPrice: sellPrice,
+      realizedPnl: pnl,
+      commission: fill.commission,
+      filledAt: now
+    });
+  } else {
+    // Вихід рівня угоди виконано - фіксуємо його і знімаємо посилання на ордери
+    const isLadder = (await db.getTradeExits(trade.id)).some(e => e.leg.startsWith('TP'));
+    await db.saveTradeExit({
+      tradeId: trade.id,
+      leg: isLadder ? 'RUNNER' : 'MAIN',
+      quantity,
+      orderListId: trade.orderListId,
+      tpOrderId: trade.tpOrderId,
+      slOrderId: trade.slOrderId,
+      status: `FILLED_${type}`,
+      filledQty: quantity,
+      fillPrice: sellPrice,
+      realizedPnl: pnl,
+      commission: fill.commission,
+      filledAt: now
+    });
+    await setTradeExitOrders(trade, {});
+  }
+  
+  await applyFill(trade, quantity, sellPrice, exit?.leg ?? type);
+};
+
+/**
+ * Зменшує залишок позиції на проданий обсяг і закриває угоду, коли продано все.
+ * P&L накопичується по всіх виходах.
+ * @param {Object} trade - Угода (мутується)
+ * @param {number} quantity - Проданий обсяг
+ * @param {number} sellPrice - Ціна продажу
+ * @param {string} label - Назва виходу для логу
+ */
+const applyFill = async (trade, quantity, sellPrice, label) => {
+  trade.remainingQuantity = Math.max(0, remainingOf(trade) - quantity);
+  trade.realizedPnl = (trade.realizedPnl || 0) + (sellPrice - trade.buyPrice) * quantity;
+  await db.updateTrade(trade.id, { remainingQuantity: trade.remainingQuantity, realizedPnl: trade.realizedPnl });
+  
+  logger.info(`💸 ${trade.symbol} ${label}: sold ${quantity} @ ${sellPrice} | remaining ${trade.remainingQuantity}`);
+  
+  if (trade.remainingQuantity <= dustThreshold(trade)) {
+    await finalizeTrade(trade);
+  }
+};
+
+/**
+ * Закриває угоду після продажу всього обсягу
+ * @param {Object} trade - Угода (мутується)
+ */
+const finalizeTrade = async (trade) => {
+  const exits = (await db.getTradeExits(trade.id)).filter(e => e.filledQty > 0);
+  const soldQty = exits.reduce((sum, e) => sum + e.filledQty, 0);
+  const sellPrice = exits.reduce((sum, e) => sum + e.fillPrice * e.filledQty, 0) / soldQty;
+  
+  // Примусове закриття за часом визначає статус, навіть якщо частину драбини вже виконано
+  const types = exits.map(e => e.status.replace('FILLED_', ''));
+  const lastType = types[types.length - 1];
+  const status = TIME_EXIT_TYPES.includes(lastType)
+    ? `FILLED_${lastType}`
+    : types.every(t => t === 'TP') ? 'FILLED_TP' : types.some(t => t === 'TP') ? 'FILLED_LADDER' : `FILLED_${lastType}`;
+  
+  const closed = await db.closeTrade(trade.id, {
+    status,
     exitTime: Date.now(),
     sellPrice,
-    profitLoss
+    sellCommission: exits.reduce((sum, e) => sum + (e.commission || 0), 0)
   });
   
+  trade.status = status;
   activeTrades.delete(trade.id);
   
-  const emoji = type === 'TP' ? '🎉' : '🛑';
-  logger.info(`${emoji} Trade closed: ${trade.symbol} ${type} | P&L: ${profitLoss}%`);
-};
\ No newline at end of file
+  const emoji = closed.netPnl > 0 ? '🎉' : '🛑';
+  logger.info(`${emoji} Trade closed: ${trade.symbol} ${status} | P&L: ${closed.profitLoss.toFixed(2)}% gross, ` +
+    `${closed.netPnlPercent.toFixed(2)}% (${closed.netPnl.toFixed(2)} USDT) net of ${(closed.buyCommission + closed.sellCommission).toFixed(4)} USDT fees`);
+};
+
+// ===== User data stream =====
+
+/**
+ * Знаходить угоду (і сходинку драбини), якій належить відкритий вихідний ордер
+ * @param {string} symbol - Торгова пара
+ * @param {string} orderId - ID ордера
+ * @returns {Promise<{trade: Object, exit: Object|null}|null>} null - ордер не наш або вже оброблений
+ */
+const findExitOwner = async (symbol, orderId) => {
+  const trades = (await db.getActiveTrades()).filter(t => t.symbol === symbol);
+  for (const trade of trades) {
+    if (orderId === trade.tpOrderId || orderId === trade.slOrderId) {
+      return { trade, exit: null };
+    }
+    const exit = (await db.getOpenTradeExits(trade.id))
+      .find(e => orderId === String(e.tpOrderId) || orderId === String(e.slOrderId));
+    if (exit) {
+      return { trade, exit };
+    }
+  }
+  return null;
+};
+
+/**
+ * Обробляє подію user data stream: виконання вихідних ордерів одразу передаються угоді
+ * @param {Object} event - Подія потоку
+ */
+const handleUserDataEvent = async (event) => {
+  if (event.e === 'outboundAccountPosition') {
+    binance.applyAccountPosition(event);
+    return;
+  }
+  if (event.e !== 'executionReport' || event.S !== 'SELL' || event.X !== 'FILLED') return;
+  
+  const orderId = String(event.i);
+  const owner = await findExitOwner(event.s, orderId);
+  if (!owner) return;
+  
+  await withTradeLock(owner.trade.id, async () => {
+    // Поки подія чекала на замок, виконання могло обробити REST-опитування
+    const current = await findExitOwner(event.s, orderId);
+    if (!current) return;
+    logger.info(`⚡ ${event.s} exit order ${orderId} filled (user data stream)`);
+    await handleFilledOrder(current.trade, event, current.exit);
+  });
+};
+
+/**
+ * Дозвірка після (пере)підключення потоку: баланси та виконання, пропущені за час розриву, беруться з REST
+ */
+const recoverUserDataGap = async () => {
+  await binance.refreshStreamBalances();
+  
+  const trades = await db.getActiveTrades();
+  for (const { id, symbol } of trades) {
+    try {
+      await withTradeLock(id, async () => {
+        const trade = await db.getTradeById(id);
+        if (trade?.status === 'ACTIVE') {
+          await pollExitOrders(trade);
+        }
+      });
+    } catch (error) {
+      logger.error(`Stream gap recovery failed for ${symbol}:`, error.message);
+    }
+  }
+  if (trades.length > 0) {
+    logger.info(`🔄 Exit orders of ${trades.length} active trade(s) re-checked after stream (re)connect`);
+  }
+};
+
+/**
+ * Запускає user data stream. У симуляції та paper-режимі ордери живуть локально і потік не потрібен
+ */
+export const startUserDataStream = async () => {
+  if (!config.USER_DATA_STREAM_ENABLED || isSimulation() || isPaper() || userDataStream) return;
+  
+  userDataStream = new UserDataStream({
+    api: {
+      createListenKey: binance.createListenKey,
+      keepAliveListenKey: binance.keepAliveListenKey,
+      closeListenKey: binance.closeListenKey
+    },
+    wsURL: binance.getStreamUrl(),
+    onEvent: handleUserDataEvent,
+    onConnected: recoverUserDataGap,
+    onDisconnected: binance.clearStreamBalances,
+    keepAliveMs: config.USER_DATA_KEEPALIVE_MS,
+    reconnectDelayMs: config.USER_DATA_RECONNECT_MS,
+    reconnectMaxDelayMs: config.USER_DATA_RECONNECT_MAX_MS
+  });
+  await userDataStream.start();
+};
+
+/**
+ * Зупиняє user data stream
+ */
+export const stopUserDataStream = async () => {
+  if (!userDataStream) return;
+  await userDataStream.stop();
+  userDataStream = null;
+  binance.clearStreamBalances();
+};
+
+/**
+ * Стан user data stream
+ * @returns {Object|null} null - потік не запущено
+ */
+export const getUserDataStreamStatus = () => userDataStream?.getStatus() ?? null;
+
+// ===== Market data stream =====
+
+// Пари, які вже бачив market data stream або які відомі з реєстру
+const seenSymbols = new Set();
+
+// Перевірки лістингів із потоку, що ще виконуються (зупинка бота чекає на них перед закриттям БД)
+const streamListingChecks = new Set();
+
+/**
+ * Обробляє повідомлення !miniTicker@arr: оновлює кеш цін і шукає пари, що з'явилися вперше
+ * @param {Array<Object>} tickers - Події 24hrMiniTicker
+ */
+const handleMarketData = (tickers) => {
+  if (!Array.isArray(tickers)) return;
+  binance.applyMiniTickers(tickers);
+  
+  for (const { s: symbol } of tickers) {
+    if (seenSymbols.has(symbol)) continue;
+    seenSymbols.add(symbol);
+    if (symbol.endsWith('USDT')) {
+      const check = checkStreamListing(symbol)
+        .catch(error => {
+          logger.error(`Stream listing check failed for ${symbol}:`, error.message);
+        })
+        .finally(() => streamListingChecks.delete(check));
+      streamListingChecks.add(check);
+    }
+  }
+};
+
+/**
+ * Перевіряє пару, вперше побачену в mini-ticker: невідома пара, торгівлю якою підтверджує
+ * exchangeInfo, - новий лістинг, який обробляється одразу, не чекаючи сканування
+ * @param {string} symbol - Торгова пара
+ */
+const checkStreamListing = async (symbol) => {
+  // До початкового знімка кожна пара виглядає новою - знімок створює сканування
+  if (!(await db.hasSymbolBaseline())) return;
+  const known = await db.getKnownSymbol(symbol);
+  if (known && (known.isBaseline || known.listedAt)) return;
+  
+  const entry = await binance.getSymbolInfo(symbol);
+  if (entry?.status !== 'TRADING' || entry.quoteAsset !== 'USDT') return;
+  if (!claimListing(symbol)) return;
+  
+  await db.saveKnownSymbols([entry.info]);
+  logger.info(`⚡ New listing detected by market data stream: ${symbol}`);
+  await handleNewListing(symbol);
+};
+
+/**
+ * Запускає market data stream (mini-ticker усіх пар)
+ */
+export const startMarketDataStream = async () => {
+  if (!config.MARKET_DATA_STREAM_ENABLED || isSimulation() || marketDataStream) return;
+  
+  for (const row of await db.getKnownSymbols()) {
+    if (row.isBaseline || row.listedAt) seenSymbols.add(row.symbol);
+  }
+  
+  marketDataStream = new MarketDataStream({
+    wsURL: binance.getStreamUrl(),
+    streams: ['!miniTicker@arr'],
+    onMessage: handleMarketData,
+    staleAfterMs: config.MARKET_DATA_STALE_MS,
+    reconnectDelayMs: config.MARKET_DATA_RECONNECT_MS,
+    reconnectMaxDelayMs: config.MARKET_DATA_RECONNECT_MAX_MS
+  });
+  marketDataStream.start();
+};
+
+/**
+ * Зупиняє market data stream і дочікується перевірок лістингів, які він уже запустив
+ * @returns {Promise<void>}
+ */
+export const stopMarketDataStream = async () => {
+  if (marketDataStream) {
+    marketDataStream.stop();
+    marketDataStream = null;
+  }
+  await Promise.all(streamListingChecks);
+};
+
+/**
+ * Стан market data stream
+ * @returns {Object|null} null - потік не запущено
+ */
+export const getMarketDataStreamStatus = () => marketDataStream?.getStatus() ?? null;
@@ -0,0 +1,56 @@
+/**
+ * Логіка trailing stop-loss, спільна для живої торгівлі та HistoricalSimulator
+ */
+
+/**
+ * Витягує налаштування trailing stop з набору параметрів стратегії
+ * @param {Object} parameters - Параметри стратегії (config або набір для симуляції)
+ * @returns {{enabled: boolean, activationPercent: number, distancePercent: number, stepPercent: number}}
+ */
+export const getTrailingSettings = (parameters) => ({
+  enabled: Boolean(parameters.TRAILING_STOP_ENABLED),
+  activationPercent: parameters.TRAILING_ACTIVATION_PERCENT,
+  distancePercent: parameters.TRAILING_DISTANCE_PERCENT,
+  stepPercent: parameters.TRAILING_STEP_PERCENT
+});
+
+/**
+ * Розраховує новий рівень trailing stop для поточної ціни
+ * @param {Object} trade - Стан угоди
+ * @param {number} trade.buyPrice - Ціна входу
+ * @param {number} trade.maxPrice - Максимальна ціна з моменту входу
+ * @param {number|null} trade.stopPrice - Поточний рівень стопу
+ * @param {boolean} trade.trailingActive - Чи вже активований trailing
+ * @param {number} price - Поточна ціна
+ * @param {Object} settings - Результат getTrailingSettings
+ * @returns {{maxPrice: number, active: boolean, newStopPrice: number|null}}
+ *   newStopPrice не null лише коли стоп потрібно перемістити
+ */
+export const computeTrailingStop = (trade, price, settings) => {
+  const maxPrice = Math.max(trade.maxPrice ?? trade.buyPrice, price);
+
+  if (!settings.enabled) {
+    return { maxPrice, active: false, newStopPrice: null };
+  }
+
+  const activationPrice = trade.buyPrice * (1 + settings.activationPercent);
+  const active = Boolean(trade.trailingActive) || maxPrice >= activationPrice;
+  if (!active) {
+    return { maxPrice, active: false, newStopPrice: null };
+  }
+
+  const candidate = maxPrice * (1 - settings.distancePercent);
+  const currentStop = trade.stopPrice ?? 0;
+
+  // Активація відбувається лише тоді, коли trailing-рівень вищий за початковий стоп
+  if (!trade.trailingActive) {
+    return candidate > currentStop
+      ? { maxPrice, active: true, newStopPrice: candidate }
+      : { maxPrice, active: false, newStopPrice: null };
+  }
+
+  // Стоп тільки піднімається, і лише на крок не менший за stepPercent,
+  // щоб не перевиставляти ордер на біржі через кожен тік
+  const newStopPrice = candidate > currentStop * (1 + settings.stepPercent) ? candidate : null;
+  return { maxPrice, active: true, newStopPrice };
+};
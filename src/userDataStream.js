@@ -0,0 +1,232 @@
+import WebSocket from 'ws';
+import logger from './logger.js';
+
+/**
+ * User data stream Binance: події виконання ордерів (executionReport) та змін балансу
+ * (outboundAccountPosition) через WebSocket. Веде listenKey (створення, продовження,
+ * заміна після закінчення), перепідключається з наростаючою затримкою і виявляє
+ * "мертве" з'єднання через ping/pong. Після кожного (пере)підключення викликає
+ * onConnected, щоб власник дозвірив через REST події, пропущені за час розриву.
+ */
+
+// Помилка біржі: listenKey не існує (закінчився або закритий)
+const LISTEN_KEY_NOT_FOUND = -1125;
+
+// Після стількох невдалих спроб поспіль listenKey створюється заново
+const ATTEMPTS_BEFORE_NEW_KEY = 3;
+
+export class UserDataStream {
+  /**
+   * @param {Object} options
+   * @param {Object} options.api - REST виклики listenKey
+   * @param {Function} options.api.createListenKey - () => Promise<string>
+   * @param {Function} options.api.keepAliveListenKey - (listenKey) => Promise<void>
+   * @param {Function} options.api.closeListenKey - (listenKey) => Promise<void>
+   * @param {string} options.wsURL - Базова адреса WebSocket (потік: <wsURL>/ws/<listenKey>)
+   * @param {Function} options.onEvent - (event) => Promise, події обробляються послідовно
+   * @param {Function} [options.onConnected] - () => Promise після кожного (пере)підключення
+   * @param {Function} [options.onDisconnected] - () => void після втрати з'єднання
+   * @param {number} [options.keepAliveMs=1800000] - Інтервал продовження listenKey
+   * @param {number} [options.reconnectDelayMs=1000] - Базова затримка перепідключення
+   * @param {number} [options.reconnectMaxDelayMs=60000] - Максимальна затримка перепідключення
+   * @param {number} [options.heartbeatMs=30000] - Інтервал ping; без pong до наступного ping з'єднання вважається втраченим
+   */
+  constructor({
+    api, wsURL, onEvent, onConnected = async () => {}, onDisconnected = () => {},
+    keepAliveMs = 1800000, reconnectDelayMs = 1000, reconnectMaxDelayMs = 60000, heartbeatMs = 30000
+  }) {
+    this.api = api;
+    this.wsURL = wsURL.replace(/\/+$/, '');
+    this.onEvent = onEvent;
+    this.onConnected = onConnected;
+    this.onDisconnected = onDisconnected;
+    this.keepAliveMs = keepAliveMs;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.reconnectMaxDelayMs = reconnectMaxDelayMs;
+    this.heartbeatMs = heartbeatMs;
+
+    this.running = false;
+    this.listenKey = null;
+    this.socket = null;
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.keepAliveTimer = null;
+    this.heartbeatTimer = null;
+    this.dispatching = Promise.resolve();
+    this.stats = { connects: 0, disconnects: 0, events: 0, lastEventAt: null, connectedAt: null };
+  }
+
+  /**
+   * Запускає потік. Помилка першого підключення не кидається: потік продовжує спроби у фоні
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+    this.keepAliveTimer = setInterval(() => this.keepAlive(), this.keepAliveMs);
+    await this.connect();
+  }
+
+  /**
+   * Зупиняє потік і закриває listenKey
+   */
+  async stop() {
+    this.running = false;
+    clearInterval(this.keepAliveTimer);
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+
+    const socket = this.socket;
+    this.socket = null;
+    socket?.terminate();
+
+    if (this.listenKey) {
+      await this.api.closeListenKey(this.listenKey).catch(error => {
+        logger.warn('Failed to close listenKey:', error.message);
+      });
+      this.listenKey = null;
+    }
+    await this.dispatching;
+  }
+
+  /**
+   * Чи можна покладатися на потік (з'єднання відкрите)
+   * @returns {boolean}
+   */
+  isHealthy() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Стан потоку для моніторингу
+   * @returns {Object}
+   */
+  getStatus() {
+    return { running: this.running, healthy: this.isHealthy(), reconnectAttempts: this.attempts, ...this.stats };
+  }
+
+  async connect() {
+    if (!this.running) return;
+
+    try {
+      this.listenKey = this.listenKey || await this.api.createListenKey();
+    } catch (error) {
+      logger.warn('⚠️ Failed to create listenKey:', error.message);
+      this.scheduleReconnect();
+      return;
+    }
+
+    const socket = new WebSocket(`${this.wsURL}/ws/${this.listenKey}`);
+    this.socket = socket;
+
+    socket.on('open', () => {
+      this.attempts = 0;
+      this.stats.connects++;
+      this.stats.connectedAt = Date.now();
+      this.startHeartbeat(socket);
+      logger.info('🔌 User data stream connected');
+
+      // Дозвірка через REST стоїть у черзі подій: нові події обробляються після неї
+      this.dispatching = this.dispatching
+        .then(() => this.onConnected())
+        .catch(error => {
+          logger.error('User data stream recovery failed:', error.message);
+        });
+    });
+
+    socket.on('message', (data) => this.handleMessage(data));
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('error', (error) => {
+      logger.warn('⚠️ User data stream error:', error.message);
+    });
+    socket.on('close', (code) => {
+      if (this.socket !== socket) return; // закрито через stop() або заміну з'єднання
+      const wasOpen = this.stats.connectedAt !== null;
+      this.socket = null;
+      this.stats.connectedAt = null;
+      this.stopHeartbeat();
+
+      if (wasOpen) {
+        this.stats.disconnects++;
+        logger.warn(`🔌 User data stream disconnected (code ${code}), falling back to REST polling`);
+        this.onDisconnected();
+      }
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.running) return;
+
+    // listenKey міг бути відкликаний біржею - після кількох невдач створюємо новий
+    if (++this.attempts >= ATTEMPTS_BEFORE_NEW_KEY) {
+      this.listenKey = null;
+    }
+    const delay = Math.min(this.reconnectMaxDelayMs, this.reconnectDelayMs * 2 ** (this.attempts - 1));
+    logger.info(`🔁 User data stream reconnect in ${delay}ms (attempt ${this.attempts})`);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  handleMessage(data) {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn('⚠️ Malformed user data stream message:', error.message);
+      return;
+    }
+
+    if (event.e === 'listenKeyExpired') {
+      logger.warn('⌛ listenKey expired, reconnecting with a new one');
+      this.replaceListenKey();
+      return;
+    }
+
+    this.stats.events++;
+    this.stats.lastEventAt = Date.now();
+    // Послідовна обробка: виконання ордерів мають застосовуватися в порядку надходження
+    this.dispatching = this.dispatching
+      .then(() => this.onEvent(event))
+      .catch(error => {
+        logger.error(`User data event ${event.e} failed:`, error.message);
+      });
+  }
+
+  replaceListenKey() {
+    this.listenKey = null;
+    // Обробник close перепідключиться з новим ключем
+    this.socket?.terminate();
+  }
+
+  async keepAlive() {
+    if (!this.listenKey) return;
+    try {
+      await this.api.keepAliveListenKey(this.listenKey);
+    } catch (error) {
+      if (error.response?.data?.code === LISTEN_KEY_NOT_FOUND || error.code === LISTEN_KEY_NOT_FOUND) {
+        logger.warn('⌛ listenKey is no longer valid, reconnecting with a new one');
+        this.replaceListenKey();
+        return;
+      }
+      logger.warn('⚠️ Failed to keep listenKey alive:', error.message);
+    }
+  }
+
+  // Без pong на попередній ping з'єднання вважається втраченим (напівзакритий TCP не дає події close)
+  startHeartbeat(socket) {
+    socket.isAlive = true;
+    this.heartbeatTimer = setInterval(() => {
+      if (!socket.isAlive) {
+        logger.warn('💤 User data stream heartbeat timed out');
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }, this.heartbeatMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Симуляція з БД у пам'яті: без .env і без спільного data/bot_simulation.db
+process.env.BOT_MODE = 'simulation';
+process.env.BOT_DB_PATH = ':memory:';
+const { config } = await import('../src/config.js');
+const { HistoricalSimulator } = await import('../src/simulation/historicalSimulator.js');
+const { ExecutionModel } = await import('../src/simulation/executionModel.js');
+const db = await import('../src/database.js');
+
+const LISTING_TIME = Date.UTC(2024, 0, 1);
+
+// Комісія 0.1% на обидві сторони, без прослизання і часткових виконань
+const execution = (settings = {}) => new ExecutionModel({
+  makerFee: 0.001,
+  takerFee: 0.001,
+  bnbDiscount: 0,
+  slippageImpact: 0,
+  maxSlippage: 0,
+  entryLatencyMs: 0,
+  partialFillProbability: 0,
+  partialFillRatio: 0.5,
+  seed: 1,
+  ...settings
+});
+
+const parameters = {
+  ...config,
+  BUY_AMOUNT_USDT: 100,
+  POSITION_SIZING: 'fixed',
+  MAX_OPEN_TRADES: 1,
+  TAKE_PROFIT_PERCENT: 0.2,
+  STOP_LOSS_PERCENT: 0.05,
+  TAKE_PROFIT_LADDER: '0.05:0.5,0.10:0.3',
+  LADDER_BREAKEVEN_STOP: true,
+  TRAILING_STOP_ENABLED: false,
+  MAX_HOLD_TIME_MS: 0,
+  STALE_WINDOW_MS: 0,
+  SIMULATION_AMBIGUOUS_BAR: 'stop',
+  SIMULATION_LOG_EVENTS: false
+};
+
+// Прогін одного лістингу по заданих свічках без звернень до БД
+const simulate = async (bars, executionModel = execution()) => {
+  const simulator = new HistoricalSimulator(1000, { executionModel });
+  simulator.prepare(parameters);
+  const listing = { symbol: 'TESTUSDT', listingTime: LISTING_TIME, initialPrice: bars[0].open };
+  simulator.schedule({ type: 'entry', time: LISTING_TIME, price: listing.initialPrice, stream: { listing, bars, index: 0 } });
+  await simulator.processEvents();
+  await simulator.closeAllPositions();
+  return simulator.trades[0];
+};
+
+const soldBy = (trade, leg) => trade.exits.filter(e => e.leg === leg).reduce((sum, e) => sum + e.quantity, 0);
+
+test('сходинка драбини продається один раз, навіть якщо ціна торкається її кілька разів', async () => {
+  const trade = await simulate([
+    { openTime: LISTING_TIME, closeTime: LISTING_TIME + 59999, open: 1, high: 1.2, low: 0.99, close: 1.15, quoteAssetVolume: 1e6 }
+  ]);
+
+  assert.equal(trade.buyQuantity, 100);
+  assert.equal(soldBy(trade, 'TP1'), 50);
+  assert.equal(soldBy(trade, 'TP2'), 30);
+  // Решта закривається за останнім закриттям у кінці прогону
+  assert.equal(soldBy(trade, 'RUNNER'), 20);
+  assert.equal(trade.exits.reduce((sum, e) => sum + e.quantity, 0), trade.buyQuantity);
+  assert.equal(trade.status, 'FILLED_LADDER');
+
+  // 50 @ 1.052 + 30 @ 1.102 (maker) + 20 @ 1.15 (taker) проти 100 USDT + 0.1 комісії входу
+  const proceeds = 50 * 1.052 + 30 * 1.102 + 20 * 1.15;
+  const netPnl = proceeds - 100 - 0.1 - proceeds * 0.001;
+  assert.ok(Math.abs(trade.netPnl - netPnl) < 1e-9);
+  assert.ok(Math.abs(trade.profitLoss - netPnl / 100.1 * 100) < 1e-9);
+});
+
+test('повторне торкання сходинки в наступній свічці не продає її вдруге', async () => {
+  const trade = await simulate([
+    { openTime: LISTING_TIME, closeTime: LISTING_TIME + 59999, open: 1, high: 1.06, low: 0.99, close: 1.04, quoteAssetVolume: 1e6 },
+    { openTime: LISTING_TIME + 60000, closeTime: LISTING_TIME + 119999, open: 1.04, high: 1.07, low: 1.03, close: 1.06, quoteAssetVolume: 1e6 }
+  ]);
+
+  assert.equal(soldBy(trade, 'TP1'), 50);
+  assert.equal(soldBy(trade, 'TP2'), 0);
+  assert.equal(soldBy(trade, 'RUNNER'), 50);
+  assert.equal(trade.exits.reduce((sum, e) => sum + e.quantity, 0), trade.buyQuantity);
+});
+
+test('поправки TP/SL на комісії беруться з моделі виконання', async () => {
+  // Лімітні виходи без комісії (maker 0), ринкові - 0.2%
+  const trade = await simulate([
+    { openTime: LISTING_TIME, closeTime: LISTING_TIME + 59999, open: 1, high: 1.06, low: 1, close: 1.01, quoteAssetVolume: 1e6 }
+  ], execution({ makerFee: 0, takerFee: 0.002 }));
+
+  const [tp1, tp2] = trade.ladder;
+  assert.ok(Math.abs(tp1.price - 1.052) < 1e-12);
+  assert.ok(Math.abs(tp2.price - 1.102) < 1e-12);
+  assert.ok(Math.abs(trade.tpPrice - 1.202) < 1e-12);
+  // Після TP1 стоп переноситься в беззбиток з урахуванням taker-комісій входу і стопу
+  const [{ oldStopPrice, newStopPrice }] = trade.stopAdjustments;
+  assert.ok(Math.abs(oldStopPrice - 0.946) < 1e-12);
+  assert.ok(Math.abs(newStopPrice - 1.004) < 1e-12);
+});
+
+test('угода закривається на останній свічці вікна і звільняє слот для наступного лістингу', async () => {
+  await db.initSchema();
+  const second = LISTING_TIME + 10 * 86400000;
+  const flatBar = (symbol, openTime) => ({
+    symbol, interval: '1m', openTime, closeTime: openTime + 59999,
+    open: 1, high: 1.01, low: 0.99, close: 1, volume: 1e6, quoteAssetVolume: 1e6,
+    numberOfTrades: 100, takerBuyBaseAssetVolume: 5e5, takerBuyQuoteAssetVolume: 5e5
+  });
+  // AUSDT - усе вікно в 3 хвилини, BUSDT - історія обривається після першої свічки
+  for (const bar of [0, 1, 2].map(i => flatBar('AUSDT', LISTING_TIME + i * 60000))) {
+    await db.saveKline(bar);
+  }
+  await db.saveKline(flatBar('BUSDT', second));
+  for (const [symbol, listingTime] of [['AUSDT', LISTING_TIME], ['BUSDT', second]]) {
+    await db.saveListingHistory({ symbol, listingTime, initialPrice: 1 });
+  }
+
+  const simulator = new HistoricalSimulator(1000, { executionModel: execution() });
+  await simulator.loadHistoricalData(LISTING_TIME, second);
+  await simulator.runSimulation({ ...parameters, SIMULATION_MAX_HOLD_HOURS: 0.05 });
+
+  const [first, next] = simulator.trades;
+  assert.equal(simulator.trades.length, 2);
+  assert.equal(first.symbol, 'AUSDT');
+  assert.equal(first.status, 'FILLED_TIME');
+  assert.equal(first.exitTime, LISTING_TIME + 179999);
+  assert.equal(next.symbol, 'BUSDT');
+  assert.equal(next.status, 'FILLED_DATA_END');
+  assert.equal(next.exitTime, second + 59999);
+});
+
+test('просадка рахується в порядку закриття угод, а не входу', () => {
+  const simulator = new HistoricalSimulator(1000);
+  // Перша за входом угода закривається останньою
+  simulator.trades = [
+    { status: 'FILLED_TP', entryTime: 1, exitTime: 30, netPnl: 200 },
+    { status: 'FILLED_SL', entryTime: 2, exitTime: 10, netPnl: -100 },
+    { status: 'FILLED_SL', entryTime: 3, exitTime: 20, netPnl: -100 }
+  ];
+  // 1000 → 900 → 800 → 1000: просадка 20%, а не 16.7% (1200 → 1000) за порядком входу
+  assert.ok(Math.abs(simulator.calculateMaxDrawdown() - 20) < 1e-9);
+});
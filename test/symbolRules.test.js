@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMockExchangeInfo } from '../src/exchange/mockExchangeInfo.js';
+import {
+  roundToStep,
+  parseSymbolRules,
+  roundQuantity,
+  formatQuantity,
+  validateOrder,
+  normalizeOrder,
+  splitSellableQuantity
+} from '../src/symbolRules.js';
+
+const symbolInfo = (symbol) => getMockExchangeInfo().symbols.find(s => s.symbol === symbol);
+const rulesFor = (symbol) => parseSymbolRules(symbolInfo(symbol));
+
+test('roundToStep не втрачає крок на похибці ділення', () => {
+  // 0.3 / 0.1 = 2.9999999999999996, 0.7 / 0.1 = 6.999999999999999
+  assert.equal(roundToStep(0.3, 0.1), 0.3);
+  assert.equal(roundToStep(0.7, 0.1), 0.7);
+  // 1.1 / 0.1 = 11.000000000000002 не має округлюватись угору до 1.2
+  assert.equal(roundToStep(1.1, 0.1, 'up'), 1.1);
+  assert.equal(roundToStep(0.30000001, 0.1, 'up'), 0.4);
+  assert.equal(roundToStep(0.39999999, 0.1), 0.3);
+  assert.equal(roundToStep(0.12345, 0.001, 'nearest'), 0.123);
+  assert.equal(roundToStep(123.456, 0), 123.456);
+});
+
+test('MARKET_LOT_SIZE з нульовим кроком бере крок і мінімум з LOT_SIZE', () => {
+  const rules = rulesFor('XRPUSDT');
+  assert.equal(rules.stepSize, 0.1);
+  assert.equal(rules.marketStepSize, 0.1);
+  assert.equal(rules.marketMinQty, 0.1);
+  assert.equal(rules.marketMaxQty, 100000);
+  assert.equal(roundQuantity(rules, 12.34, { market: true }), 12.3);
+  assert.equal(formatQuantity(rules, 12.3, { market: true }), '12.3');
+  // Ринковий обсяг обмежує MARKET_LOT_SIZE.maxQty, лімітний - LOT_SIZE.maxQty
+  assert.equal(roundQuantity(rules, 200000, { market: true }), 100000);
+  assert.equal(roundQuantity(rules, 200000), 200000);
+});
+
+test('MARKET_LOT_SIZE з власним кроком має пріоритет для ринкових ордерів', () => {
+  const info = symbolInfo('XRPUSDT');
+  info.filters.find(f => f.filterType === 'MARKET_LOT_SIZE').stepSize = '1.00000000';
+  const rules = parseSymbolRules(info);
+  assert.equal(rules.marketStepSize, 1);
+  assert.equal(roundQuantity(rules, 12.34, { market: true }), 12);
+  assert.equal(roundQuantity(rules, 12.34), 12.3);
+});
+
+test('ордер дешевший за minNotional відхиляється', () => {
+  const rules = rulesFor('XRPUSDT');
+  assert.equal(rules.minNotional, 5);
+
+  const rejected = validateOrder(rules, 10, 0.4);
+  assert.equal(rejected.ok, false);
+  assert.match(rejected.reason, /below minNotional 5/);
+  assert.equal(validateOrder(rules, 12.5, 0.4).ok, true);
+
+  // Після округлення обсягу вниз вартість падає нижче мінімуму
+  const limit = normalizeOrder(rules, { quantity: 10.05, price: 0.49994 });
+  assert.equal(limit.ok, false);
+  assert.equal(limit.quantity, '10.0');
+  assert.equal(limit.price, '0.4999');
+
+  // applyMinToMarket: ринковий ордер перевіряється за очікуваною ціною
+  const market = normalizeOrder(rules, { quantity: 10, referencePrice: 0.4, market: true });
+  assert.equal(market.ok, false);
+  assert.match(market.reason, /minNotional/);
+});
+
+test('splitSellableQuantity відділяє пил після комісії', () => {
+  const rules = rulesFor('PIXELUSDT');
+
+  // Куплено 100, комісія 0.05 у базовому активі
+  const { sellable, dust, sellableNotional } = splitSellableQuantity(rules, 99.95, 0.5);
+  assert.equal(sellable, 99.9);
+  assert.equal(dust, 0.05);
+  assert.equal(sellableNotional, true);
+
+  // Залишок дешевший за minNotional - продати його не можна
+  const remainder = splitSellableQuantity(rules, 9.95, 0.5);
+  assert.equal(remainder.sellable, 9.9);
+  assert.equal(remainder.dust, 0.05);
+  assert.equal(remainder.sellableNotional, false);
+
+  // Обсяг менший за крок - увесь пил
+  const crumbs = splitSellableQuantity(rules, 0.04, 0.5);
+  assert.equal(crumbs.sellable, 0);
+  assert.equal(crumbs.dust, 0.04);
+  assert.equal(crumbs.sellableNotional, false);
+});
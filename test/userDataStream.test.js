@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadScenario } from '../src/exchange/scenario.js';
+import { startMockExchange } from '../src/exchange/mockServer.js';
+import { UserDataStream } from '../src/userDataStream.js';
+
+let exchange;
+let baseURL;
+
+// REST mock-біржі: помилки з кодом Binance, як у конектора
+const rest = async (method, path, params = {}) => {
+  const response = await fetch(`${baseURL}${path}?${new URLSearchParams(params)}`, { method });
+  const body = await response.json();
+  if (!response.ok) {
+    throw Object.assign(new Error(body.msg), { code: body.code });
+  }
+  return body;
+};
+
+const api = {
+  createListenKey: async () => (await rest('POST', '/api/v3/userDataStream')).listenKey,
+  keepAliveListenKey: (listenKey) => rest('PUT', '/api/v3/userDataStream', { listenKey }),
+  closeListenKey: (listenKey) => rest('DELETE', '/api/v3/userDataStream', { listenKey })
+};
+
+const marketBuy = (newClientOrderId) => rest('POST', '/api/v3/order', {
+  symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '0.001', newClientOrderId
+});
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+// Потік з короткими затримками, що збирає події та (пере)підключення
+const createStream = (options = {}) => {
+  const events = [];
+  const state = { connected: 0, disconnected: 0 };
+  const stream = new UserDataStream({
+    api,
+    wsURL: baseURL.replace(/^http/, 'ws'),
+    onEvent: async (event) => { events.push(event); },
+    onConnected: async () => { state.connected++; },
+    onDisconnected: () => { state.disconnected++; },
+    reconnectDelayMs: 20,
+    reconnectMaxDelayMs: 100,
+    ...options
+  });
+  return { stream, events, state };
+};
+
+before(async () => {
+  const scenario = loadScenario(fileURLToPath(new URL('../scenarios/listing-pump.json', import.meta.url)));
+  exchange = await startMockExchange(scenario, 0);
+  baseURL = `http://localhost:${exchange.server.address().port}`;
+});
+
+after(async () => {
+  exchange.streams.disconnectAll();
+  exchange.server.closeAllConnections();
+  await new Promise(resolve => exchange.server.close(resolve));
+});
+
+test('виконання ордера приходить у onEvent як executionReport', async () => {
+  const { stream, events, state } = createStream();
+  await stream.start();
+  try {
+    await waitFor(() => state.connected === 1);
+    const order = await marketBuy('lb1-BUY');
+
+    await waitFor(() => events.some(e => e.e === 'executionReport' && e.i === order.orderId));
+    const report = events.find(e => e.e === 'executionReport' && e.i === order.orderId);
+    assert.equal(report.c, 'lb1-BUY');
+    assert.equal(report.x, 'TRADE');
+    assert.equal(report.X, 'FILLED');
+    assert.equal(report.z, '0.001');
+    assert.ok(events.some(e => e.e === 'outboundAccountPosition'));
+  } finally {
+    await stream.stop();
+  }
+});
+
+test('після розриву потік перепідключається, а onConnected дозвіряє пропущене через REST', async () => {
+  const recovered = [];
+  let placed = null;
+  const { stream, events, state } = createStream({
+    onConnected: async () => {
+      state.connected++;
+      if (state.connected > 1) {
+        await placed;
+        recovered.push(...await rest('GET', '/api/v3/allOrders', { symbol: 'BTCUSDT' }));
+      }
+    },
+    onDisconnected: () => {
+      state.disconnected++;
+      // Ордер виконується, поки з'єднання немає - його подія в потік не потрапить
+      placed = marketBuy('lb2-BUY');
+    },
+    reconnectDelayMs: 200
+  });
+  await stream.start();
+  try {
+    await waitFor(() => state.connected === 1);
+    const listenKey = stream.listenKey;
+
+    exchange.streams.disconnectAll();
+    await waitFor(() => state.connected === 2);
+    await stream.dispatching;
+
+    assert.equal(state.disconnected, 1);
+    assert.equal(stream.listenKey, listenKey);
+    assert.ok(stream.isHealthy());
+    const missed = (await placed).orderId;
+    assert.ok(!events.some(e => e.i === missed));
+    assert.ok(recovered.some(o => o.orderId === missed && o.status === 'FILLED'));
+    assert.deepEqual(
+      { connects: stream.getStatus().connects, disconnects: stream.getStatus().disconnects },
+      { connects: 2, disconnects: 1 }
+    );
+  } finally {
+    await stream.stop();
+  }
+});
+
+test('listenKeyExpired замінює listenKey новим', async () => {
+  const { stream, events, state } = createStream();
+  await stream.start();
+  try {
+    await waitFor(() => state.connected === 1);
+    const expiredKey = stream.listenKey;
+
+    exchange.streams.expireListenKeys();
+    await waitFor(() => state.connected === 2);
+
+    assert.ok(stream.listenKey);
+    assert.notEqual(stream.listenKey, expiredKey);
+    await assert.rejects(api.keepAliveListenKey(expiredKey), { code: -1125 });
+    // Подія закінчення не передається власнику потоку
+    assert.ok(!events.some(e => e.e === 'listenKeyExpired'));
+
+    // Новий ключ отримує події
+    const order = await marketBuy('lb3-BUY');
+    await waitFor(() => events.some(e => e.e === 'executionReport' && e.i === order.orderId));
+  } finally {
+    await stream.stop();
+  }
+});